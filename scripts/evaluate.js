@@ -0,0 +1,96 @@
+/**
+ * Evaluation runner - scores the classifier against a labeled dataset
+ *
+ * Usage:
+ *   npm run eval -- [--dataset eval/labeled-messages.json] [--path llm|fallback|both]
+ *                   [--provider groq|openai|ollama|mock] [--fixtures record|replay] [--out report.json]
+ *
+ * Provider settings and API keys are read from .env / .env.local like the app.
+ */
+import { readFile, writeFile, mkdir } from 'node:fs/promises'
+import { dirname, resolve } from 'node:path'
+import { parseArgs } from 'node:util'
+import { loadEnv } from 'vite'
+
+const FIXTURES_FILE = resolve('fixtures/llm-fixtures.json')
+
+const { values: args } = parseArgs({
+  options: {
+    dataset: { type: 'string', default: 'eval/labeled-messages.json' },
+    path: { type: 'string', default: 'both' },
+    provider: { type: 'string' },
+    fixtures: { type: 'string' },
+    out: { type: 'string' }
+  }
+})
+
+// Same env files Vite loads for the app, without overriding the shell environment
+Object.assign(process.env, { ...loadEnv('development', process.cwd(), ['VITE_', 'GROQ_API_KEY', 'LLM_API_KEY']), ...process.env })
+
+// Analyzer modules read configuration at call time, so import them after the env is loaded
+const { configureProvider } = await import('../src/utils/llmProviders.js')
+const { configureFixtures } = await import('../src/utils/llmFixtures.js')
+const { validateDataset, runPredictions, computeMetrics, formatReport } = await import('../src/utils/evaluation.js')
+
+function createFileFixtureBackend(file) {
+  let writeQueue = Promise.resolve()
+
+  return {
+    async load() {
+      try {
+        return JSON.parse(await readFile(file, 'utf8'))
+      } catch {
+        return {}
+      }
+    },
+    save(key, entry) {
+      writeQueue = writeQueue.then(async () => {
+        const fixtures = await this.load()
+        fixtures[key] = entry
+        await mkdir(dirname(file), { recursive: true })
+        await writeFile(file, JSON.stringify(fixtures, null, 2) + '\n')
+      })
+      return writeQueue
+    }
+  }
+}
+
+if (args.provider) {
+  configureProvider({ provider: args.provider })
+}
+if (args.fixtures) {
+  configureFixtures({ mode: args.fixtures, backend: createFileFixtureBackend(FIXTURES_FILE) })
+}
+
+const paths = args.path === 'both' ? ['fallback', 'llm'] : [args.path]
+if (!paths.every(p => p === 'llm' || p === 'fallback')) {
+  console.error(`Unknown --path "${args.path}". Expected llm, fallback or both.`)
+  process.exit(1)
+}
+
+let records
+try {
+  records = validateDataset(JSON.parse(await readFile(resolve(args.dataset), 'utf8')))
+} catch (error) {
+  console.error(`Invalid dataset ${args.dataset}: ${error.message}`)
+  process.exit(1)
+}
+
+const report = {}
+for (const path of paths) {
+  const predictions = await runPredictions(records, {
+    path,
+    onProgress: (done, total) => process.stderr.write(`\r${path}: ${done}/${total}`)
+  })
+  process.stderr.write('\n')
+
+  const metrics = computeMetrics(predictions)
+  report[path] = { metrics, predictions }
+  console.log(formatReport(metrics, path === 'llm' ? 'LLM pipeline' : 'Rule-based fallback'))
+  console.log('')
+}
+
+if (args.out) {
+  await writeFile(resolve(args.out), JSON.stringify(report, null, 2) + '\n')
+  console.log(`Full report written to ${args.out}`)
+}
@@ -0,0 +1,52 @@
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs'
+import { dirname } from 'node:path'
+import { randomBytes, createHash, timingSafeEqual } from 'node:crypto'
+import { httpError } from './http.js'
+
+/**
+ * API token - a shared secret the webhook routes require, so other local programs can't
+ * change where the server posts. The Vite dev and preview proxies add it to the app's requests,
+ * so the browser never holds it. It comes from TRIAGE_API_TOKEN, else from a file the server
+ * creates on first start and the proxy reads.
+ */
+
+export const API_TOKEN_HEADER = 'x-triage-token'
+export const DEFAULT_TOKEN_FILE = '.triage-data/api-token'
+
+/**
+ * Read the token file
+ *
+ * @returns {string|null} - null if the file is missing or empty
+ */
+export function readApiToken(file = DEFAULT_TOKEN_FILE) {
+  try {
+    return readFileSync(file, 'utf8').trim() || null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Read the token file, creating it with a random token (readable by this user only) if needed
+ */
+export function ensureApiToken(file = DEFAULT_TOKEN_FILE) {
+  const existing = readApiToken(file)
+  if (existing) return existing
+
+  const token = randomBytes(32).toString('hex')
+  mkdirSync(dirname(file), { recursive: true })
+  writeFileSync(file, `${token}\n`, { mode: 0o600 })
+  return token
+}
+
+const digest = (value) => createHash('sha256').update(value).digest()
+
+/**
+ * Reject requests without the token; compared in constant time
+ */
+export function assertApiToken(req, token) {
+  const given = req.headers[API_TOKEN_HEADER]
+  if (!token || typeof given !== 'string' || !timingSafeEqual(digest(given), digest(token))) {
+    throw httpError(401, `Missing or wrong ${API_TOKEN_HEADER} header`)
+  }
+}
@@ -0,0 +1,146 @@
+import { createServer as createHttpServer } from 'node:http'
+import { completeChat, streamChat, getProviderSettings } from '../src/utils/llmProviders.js'
+import { httpError, sendJson, readJsonBody, assertSameOrigin, DEFAULT_APP_ORIGINS } from './http.js'
+import { TRIAGE_ROUTES } from './triageRoutes.js'
+import { createWebhookRoutes, assertPublicTarget } from './webhookRelay.js'
+import { setDeliveryGuard } from '../src/utils/webhooks.js'
+
+/**
+ * Triage API server - holds the LLM API key so the browser never sees it
+ * The React app's proxy provider posts chat completions here (through the Vite dev proxy in
+ * development), and this server forwards them to the configured provider.
+ * Integrations call the triage routes (server/triageRoutes.js) to run the full pipeline.
+ */
+
+const MAX_COMPLETION_TOKENS = 2000
+const ROLES = ['system', 'user', 'assistant']
+
+/**
+ * Keep only the completion options the app uses; the model always comes from the server's settings
+ */
+function toChatOptions(body) {
+  const { messages, temperature, max_tokens: maxTokens, response_format: responseFormat } = body || {}
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw httpError(400, '"messages" must be a non-empty array')
+  }
+  messages.forEach((message, index) => {
+    if (!ROLES.includes(message?.role) || typeof message.content !== 'string') {
+      throw httpError(400, `"messages[${index}]" must have a role (${ROLES.join(', ')}) and string content`)
+    }
+  })
+
+  return {
+    messages: messages.map(({ role, content }) => ({ role, content })),
+    ...(typeof temperature === 'number' ? { temperature } : {}),
+    max_tokens: Math.min(Number(maxTokens) || MAX_COMPLETION_TOKENS, MAX_COMPLETION_TOKENS),
+    ...(responseFormat?.type === 'json_object' ? { response_format: { type: 'json_object' } } : {})
+  }
+}
+
+/**
+ * { promptTokens, completionTokens } → OpenAI-style usage block
+ */
+function toUsage(usage) {
+  return usage && {
+    prompt_tokens: usage.promptTokens,
+    completion_tokens: usage.completionTokens,
+    total_tokens: usage.promptTokens + usage.completionTokens
+  }
+}
+
+/**
+ * POST /api/chat/completions - OpenAI-compatible, streamed as server-sent events when stream is true
+ */
+async function handleChatCompletion(req, res, signal) {
+  const body = await readJsonBody(req)
+  const options = toChatOptions(body)
+  const model = getProviderSettings().model
+
+  if (!body.stream) {
+    const { content, usage } = await completeChat(options, signal)
+    sendJson(res, 200, {
+      object: 'chat.completion',
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      ...(usage ? { usage: toUsage(usage) } : {})
+    })
+    return
+  }
+
+  // Headers go out with the first chunk, so upstream errors before it still get a proper status
+  const writeEvent = (data) => {
+    if (!res.headersSent) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' })
+    }
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`)
+  }
+
+  const { usage } = await streamChat(options, signal, (delta) => {
+    writeEvent({ object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: { content: delta } }] })
+  })
+  if (usage) {
+    writeEvent({ object: 'chat.completion.chunk', model, choices: [], usage: toUsage(usage) })
+  }
+  writeEvent('[DONE]')
+  res.end()
+}
+
+const ROUTES = {
+  'GET /api/health': async (req, res) => {
+    const { name, model } = getProviderSettings()
+    sendJson(res, 200, { status: 'ok', provider: name, model })
+  },
+  'POST /api/chat/completions': handleChatCompletion,
+  ...TRIAGE_ROUTES
+}
+
+/**
+ * Create the HTTP server (not yet listening)
+ *
+ * @param {object} options
+ * @param {string} options.apiToken - Token the webhook routes require (see apiToken.js); without one they refuse every request
+ * @param {boolean} options.allowPrivateWebhooks - Allow webhooks on loopback, private and link-local addresses
+ * @param {string[]} options.allowedHosts - Host names the server answers to besides the loopback ones
+ * @param {string[]} options.appOrigins - Origins the app is served from (default: the Vite dev and preview servers)
+ * @returns {import('node:http').Server}
+ */
+export function createServer({ apiToken = null, allowPrivateWebhooks = false, allowedHosts = [], appOrigins = DEFAULT_APP_ORIGINS } = {}) {
+  const routes = { ...ROUTES, ...createWebhookRoutes({ apiToken, allowPrivateWebhooks }) }
+  // The server's own deliveries (results from the triage routes) get the same check as the relay
+  setDeliveryGuard(allowPrivateWebhooks ? null : assertPublicTarget)
+
+  return createHttpServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    const { pathname } = url
+    const route = routes[`${req.method} ${pathname}`]
+    if (!route) {
+      sendJson(res, 404, { error: { message: `No route for ${req.method} ${pathname}` } })
+      return
+    }
+
+    // Stop upstream calls if the client goes away (e.g. the user cancels the analysis)
+    const controller = new AbortController()
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort()
+    })
+
+    try {
+      assertSameOrigin(req, { allowedHosts, appOrigins })
+      await route(req, res, controller.signal, url)
+    } catch (error) {
+      if (controller.signal.aborted) return
+      if (res.headersSent) {
+        // Mid-stream failure: the status is already sent, so end the stream without [DONE]
+        res.end()
+        return
+      }
+
+      // Pass upstream rate limits through so the app's scheduler can honor them
+      const status = error.status || 502
+      const retryAfter = error.headers?.get?.('retry-after') ?? error.headers?.['retry-after']
+      if (status >= 500) console.error(`${req.method} ${pathname} failed:`, error.message)
+      sendJson(res, status, { error: { message: error.message } }, retryAfter ? { 'Retry-After': retryAfter } : {})
+    }
+  })
+}
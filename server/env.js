@@ -0,0 +1,28 @@
+import { readFileSync } from 'node:fs'
+import { resolve } from 'node:path'
+import { parseEnv } from 'node:util'
+
+/**
+ * Read the .env files Vite reads in development, without needing Vite at runtime
+ * Later files win: .env, .env.local, .env.development, .env.development.local.
+ *
+ * @param {string[]} prefixes - Only variables starting with one of these are returned
+ * @param {string} dir - Directory holding the files (default: the working directory)
+ * @returns {object} - Variable name → value
+ */
+export function loadEnvFiles(prefixes, dir = process.cwd()) {
+  const files = ['.env', '.env.local', '.env.development', '.env.development.local']
+  const values = {}
+  for (const file of files) {
+    let text
+    try {
+      text = readFileSync(resolve(dir, file), 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') continue
+      throw error
+    }
+    Object.assign(values, parseEnv(text))
+  }
+
+  return Object.fromEntries(Object.entries(values).filter(([name]) => prefixes.some(prefix => name.startsWith(prefix))))
+}
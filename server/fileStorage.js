@@ -0,0 +1,36 @@
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'node:fs'
+import { dirname } from 'node:path'
+
+/**
+ * localStorage-like backend kept in one JSON file, so the server's history, settings and
+ * corrections survive restarts. Writes go through a temp file so a crash can't truncate it.
+ *
+ * @param {string} file - Path of the JSON file; created on first write
+ * @returns {{getItem: function, setItem: function, removeItem: function}}
+ */
+export function createFileStorage(file) {
+  let items = {}
+  try {
+    items = JSON.parse(readFileSync(file, 'utf8'))
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Could not read ${file}, starting empty:`, error.message)
+  }
+
+  const flush = () => {
+    mkdirSync(dirname(file), { recursive: true })
+    writeFileSync(`${file}.tmp`, JSON.stringify(items))
+    renameSync(`${file}.tmp`, file)
+  }
+
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value)
+      flush()
+    },
+    removeItem: (key) => {
+      delete items[key]
+      flush()
+    }
+  }
+}
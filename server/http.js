@@ -0,0 +1,76 @@
+/**
+ * Small helpers shared by the server's route handlers
+ */
+
+const MAX_BODY_BYTES = 1024 * 1024
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]']
+
+// The app as served by the Vite dev and preview servers
+export const DEFAULT_APP_ORIGINS = LOOPBACK_HOSTS.flatMap(host => [5173, 4173].map(port => `http://${host}:${port}`))
+
+/**
+ * Error with an HTTP status for the client
+ */
+export function httpError(status, message) {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+export function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Reject requests from web pages on other sites
+ * The Host must name this server (a loopback name, or one of allowedHosts) on the port it
+ * listens on; a site that rebinds its own domain to 127.0.0.1 still sends that domain as Host.
+ * Browsers send Origin on cross-site requests, and only the app's origins are accepted.
+ * Integrations send no Origin and are let through.
+ *
+ * @param {object} options
+ * @param {string[]} options.allowedHosts - Host names besides the loopback ones
+ * @param {string[]} options.appOrigins - Origins the app is served from
+ */
+export function assertSameOrigin(req, { allowedHosts = [], appOrigins = DEFAULT_APP_ORIGINS } = {}) {
+  let host = null
+  try {
+    host = new URL(`http://${req.headers.host}`)
+  } catch {
+    // rejected below
+  }
+  const hostAllowed = host && [...LOOPBACK_HOSTS, ...allowedHosts].includes(host.hostname) &&
+    Number(host.port || 80) === req.socket.localPort
+  if (!hostAllowed) {
+    throw httpError(403, `Requests for host ${req.headers.host} are not allowed`)
+  }
+
+  const origin = req.headers.origin
+  if (origin && !appOrigins.includes(origin)) {
+    throw httpError(403, `Requests from ${origin} are not allowed`)
+  }
+}
+
+/**
+ * Parse a JSON request body
+ * Only application/json is accepted, so plain HTML forms on other sites can't post here.
+ */
+export async function readJsonBody(req) {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase()
+  if (contentType !== 'application/json') {
+    throw httpError(415, 'Content-Type must be application/json')
+  }
+
+  let body = ''
+  for await (const chunk of req) {
+    body += chunk
+    if (body.length > MAX_BODY_BYTES) throw httpError(413, 'Request body too large')
+  }
+  try {
+    return JSON.parse(body)
+  } catch {
+    throw httpError(400, 'Request body must be valid JSON')
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Starts the triage API server
+ *
+ *   npm run server
+ *
+ * Env vars (from the shell or .env files; none of them reach the browser bundle):
+ *   LLM_PROVIDER          groq (default), openai, ollama or mock
+ *   LLM_MODEL             Overrides the provider's default model
+ *   LLM_BASE_URL          Overrides the provider's default endpoint
+ *   GROQ_API_KEY          API key for groq
+ *   LLM_API_KEY           API key for openai
+ *   LLM_JSON_MODE         Set to false for endpoints without response_format support
+ *   TRIAGE_SERVER_PORT    Port to listen on (default 8787)
+ *   TRIAGE_SERVER_HOST    Interface to listen on (default 127.0.0.1, this machine only); 0.0.0.0 exposes
+ *                         the server, and the provider key it spends, to the network
+ *   TRIAGE_ALLOWED_HOSTS  Comma-separated host names the server answers to besides localhost and TRIAGE_SERVER_HOST
+ *   TRIAGE_APP_ORIGINS    Comma-separated origins the app is served from (default: Vite's localhost:5173 and :4173)
+ *   TRIAGE_DATA_FILE      Where the server keeps its history and settings (default .triage-data/storage.json)
+ *   TRIAGE_API_TOKEN      Token the webhook routes require; default: a random one kept in .triage-data/api-token,
+ *                         where the Vite proxy reads it
+ *   TRIAGE_ALLOW_PRIVATE_WEBHOOKS  Set to true to allow webhooks on loopback, private and link-local addresses
+ */
+
+import { loadEnvFiles } from './env.js'
+
+// Only server-side names: VITE_ vars are meant for the browser and would override the proxy settings
+Object.assign(process.env, { ...loadEnvFiles(['GROQ_', 'LLM_', 'TRIAGE_']), ...process.env })
+
+// Provider modules read configuration at call time, so import them after the env is loaded
+const { configureProvider } = await import('../src/utils/llmProviders.js')
+const { setStorageBackend } = await import('../src/utils/storage.js')
+const { createFileStorage } = await import('./fileStorage.js')
+const { createServer } = await import('./app.js')
+const { ensureApiToken } = await import('./apiToken.js')
+
+const env = process.env
+const { VITE_GROQ_API_KEY: legacyKey } = loadEnvFiles(['VITE_'])
+
+if (legacyKey) {
+  console.warn('Warning: VITE_GROQ_API_KEY is set and will be compiled into the browser bundle. Rename it to GROQ_API_KEY.')
+}
+
+// API keys are read from GROQ_API_KEY / LLM_API_KEY by the provider layer
+configureProvider({
+  provider: env.LLM_PROVIDER || 'groq',
+  model: env.LLM_MODEL,
+  baseUrl: env.LLM_BASE_URL,
+  ...(legacyKey && !env.GROQ_API_KEY ? { apiKey: legacyKey } : {}),
+  ...(env.LLM_JSON_MODE ? { jsonMode: env.LLM_JSON_MODE !== 'false' } : {})
+})
+
+setStorageBackend(createFileStorage(env.TRIAGE_DATA_FILE || '.triage-data/storage.json'))
+
+const port = Number(env.TRIAGE_SERVER_PORT) || 8787
+const host = env.TRIAGE_SERVER_HOST || '127.0.0.1'
+
+const apiToken = env.TRIAGE_API_TOKEN || ensureApiToken()
+const allowPrivateWebhooks = env.TRIAGE_ALLOW_PRIVATE_WEBHOOKS === 'true'
+
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean)
+// A specific interface to listen on is also a name clients address the server by
+const allowedHosts = [
+  ...list(env.TRIAGE_ALLOWED_HOSTS),
+  ...(['0.0.0.0', '::'].includes(host) ? [] : [host.includes(':') ? `[${host}]` : host])
+]
+const appOrigins = env.TRIAGE_APP_ORIGINS ? list(env.TRIAGE_APP_ORIGINS) : undefined
+
+createServer({ apiToken, allowPrivateWebhooks, allowedHosts, appOrigins }).listen(port, host, () => {
+  console.log(`Triage API listening on http://${host}:${port} (provider: ${env.LLM_PROVIDER || 'groq'})`)
+  if (!['127.0.0.1', 'localhost', '::1'].includes(host)) {
+    console.warn(`Warning: listening on ${host}. Anyone who can reach it can run analyses on your provider key.`)
+  }
+})
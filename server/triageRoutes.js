@@ -0,0 +1,238 @@
+import { analyzeMessage, analyzeBatch, summarizeAnalysisMetrics, ANALYSIS_MODES, DEFAULT_ANALYSIS_MODE } from '../src/utils/triagePipeline.js'
+import { appendHistory, loadHistory, entryHasLabel } from '../src/utils/historyStore.js'
+import { computeHistoryStats } from '../src/utils/historyStats.js'
+import { MAX_BATCH_SIZE } from '../src/utils/batchParser.js'
+import { URGENCY_LEVELS } from '../src/utils/schema.js'
+import { validateCustomerProfiles } from '../src/utils/customerProfiles.js'
+import { dispatchWebhooks } from '../src/utils/webhooks.js'
+import { httpError, sendJson, readJsonBody } from './http.js'
+
+/**
+ * Triage routes - the analysis pipeline over HTTP, for helpdesk integrations
+ * Results have the same shape AnalyzePage saves (category, urgency, urgencyScore, escalate,
+ * recommendedAction, reasoning...) and are appended to the server's own history. They fire the
+ * webhooks saved on the server (synced from the app's Settings) like results in the app do.
+ */
+
+const MAX_MESSAGE_LENGTH = 20000
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 500
+
+function validateMessage(message, path) {
+  if (typeof message !== 'string' || !message.trim()) {
+    throw httpError(400, `"${path}" must be a non-empty string`)
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    throw httpError(400, `"${path}" must be at most ${MAX_MESSAGE_LENGTH} characters`)
+  }
+  return message.trim()
+}
+
+function validateMode(mode = DEFAULT_ANALYSIS_MODE) {
+  if (!ANALYSIS_MODES[mode]) {
+    throw httpError(400, `"mode" must be one of ${Object.keys(ANALYSIS_MODES).join(', ')}`)
+  }
+  return mode
+}
+
+/**
+ * Optional customer and thread identifiers, which link the message to earlier ones
+ */
+function validateContact({ customerId, threadId }, path = '') {
+  for (const [name, value] of Object.entries({ customerId, threadId })) {
+    if (value !== undefined && value !== null && typeof value !== 'string' && typeof value !== 'number') {
+      throw httpError(400, `"${path}${name}" must be a string`)
+    }
+  }
+  return {
+    customerId: customerId !== undefined && customerId !== null ? String(customerId) : null,
+    threadId: threadId !== undefined && threadId !== null ? String(threadId) : null
+  }
+}
+
+/**
+ * Optional { tier, plan, accountValue, renewalDate } for this message; without it the
+ * customer's profile saved on the server is used
+ */
+function validateCustomerProfile(profile) {
+  if (profile === undefined || profile === null) return null
+  if (typeof profile !== 'object' || Array.isArray(profile)) {
+    throw httpError(400, '"customerProfile" must be an object')
+  }
+  const errors = validateCustomerProfiles([profile], { requireId: false })
+  if (errors.length > 0) {
+    throw httpError(400, `"customerProfile" is invalid: ${errors.map(error => error.replace(/^Customer 1: /, '')).join('; ')}`)
+  }
+  return profile
+}
+
+/**
+ * Batch items are message strings or { id, message, customerId?, threadId? } objects;
+ * ids default to the position
+ */
+function validateBatchItems(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw httpError(400, '"messages" must be a non-empty array')
+  }
+  if (messages.length > MAX_BATCH_SIZE) {
+    throw httpError(400, `Batch contains ${messages.length} messages; the limit is ${MAX_BATCH_SIZE}`)
+  }
+  return messages.map((item, index) => {
+    const message = typeof item === 'string' ? item : item?.message
+    return {
+      id: item?.id !== undefined ? String(item.id) : String(index + 1),
+      message: validateMessage(message, `messages[${index}]${typeof item === 'string' ? '' : '.message'}`),
+      ...(typeof item === 'string' ? {} : validateContact(item, `messages[${index}].`))
+    }
+  })
+}
+
+function parseDate(value, name) {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(400, `"${name}" must be a date, got ${JSON.stringify(value)}`)
+  }
+  return date
+}
+
+function parseCount(value, name, fallback, max = Infinity) {
+  if (value === null) return fallback
+  const count = Number(value)
+  if (!Number.isInteger(count) || count < 0 || count > max) {
+    throw httpError(400, `"${name}" must be a non-negative integer${max < Infinity ? ` up to ${max}` : ''}, got ${JSON.stringify(value)}`)
+  }
+  return count
+}
+
+/**
+ * History filters from the query string
+ * category (matches secondary labels too, like HistoryPage), subcategory, urgency,
+ * escalate=true|false, from/to (ISO dates), limit and offset
+ */
+function parseHistoryQuery(params) {
+  const urgency = params.get('urgency')
+  if (urgency !== null && !URGENCY_LEVELS.includes(urgency)) {
+    throw httpError(400, `"urgency" must be one of ${URGENCY_LEVELS.join(', ')}`)
+  }
+  const escalate = params.get('escalate')
+  if (escalate !== null && escalate !== 'true' && escalate !== 'false') {
+    throw httpError(400, '"escalate" must be true or false')
+  }
+  const subcategory = params.get('subcategory')
+  if (subcategory !== null && params.get('category') === null) {
+    throw httpError(400, '"subcategory" requires "category"')
+  }
+
+  return {
+    category: params.get('category'),
+    subcategory,
+    urgency,
+    escalate: escalate === null ? null : escalate === 'true',
+    from: params.get('from') !== null ? parseDate(params.get('from'), 'from') : null,
+    to: params.get('to') !== null ? parseDate(params.get('to'), 'to') : null,
+    limit: parseCount(params.get('limit'), 'limit', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    offset: parseCount(params.get('offset'), 'offset', 0)
+  }
+}
+
+/**
+ * Optional email fields; the subject is added to the prompts, both are saved with the result
+ */
+function validateEmail({ sender, subject }) {
+  for (const [name, value] of Object.entries({ sender, subject })) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      throw httpError(400, `"${name}" must be a string`)
+    }
+  }
+  return sender || subject ? { sender: sender || null, subject: subject || null } : null
+}
+
+/**
+ * POST /analyze - { message, mode?, sender?, subject?, customerId?, threadId?, customerProfile? } → the analysis result
+ * Earlier messages from the same customer (or sender) or thread are used as context.
+ */
+async function handleAnalyze(req, res, signal) {
+  const body = await readJsonBody(req)
+  const message = validateMessage(body?.message, 'message')
+  const mode = validateMode(body.mode)
+  const email = validateEmail(body)
+  const { customerId, threadId } = validateContact(body)
+  const customerProfile = validateCustomerProfile(body.customerProfile)
+
+  const result = await analyzeMessage(message, { signal, mode, email, customerId, threadId, customerProfile })
+  appendHistory(result)
+  // Deliveries run in the background and end up in the server's delivery log
+  dispatchWebhooks(result)
+  sendJson(res, 200, result)
+}
+
+/**
+ * POST /analyze/batch - { messages: [string | { id, message, customerId?, threadId? }], mode? } → { results, failures }
+ * Results are keyed by item id and kept in input order; failed items don't stop the batch.
+ */
+async function handleAnalyzeBatch(req, res, signal) {
+  const body = await readJsonBody(req)
+  const items = validateBatchItems(body?.messages)
+  const mode = validateMode(body.mode)
+
+  const ids = new Map()
+  const { results, failures } = await analyzeBatch(items, {
+    signal,
+    mode,
+    onProgress: (id, update) => {
+      if (update.result) ids.set(update.result, id)
+    }
+  })
+  if (signal.aborted) return
+
+  if (results.length > 0) {
+    appendHistory(results)
+    dispatchWebhooks(results)
+  }
+  sendJson(res, 200, {
+    results: results.map(result => ({ id: ids.get(result), result })),
+    failures: failures.map(({ item, error }) => ({ id: item.id, error }))
+  })
+}
+
+/**
+ * GET /history - newest first, filtered by the query string
+ */
+async function handleHistory(req, res, signal, url) {
+  const query = parseHistoryQuery(url.searchParams)
+
+  const entries = loadHistory()
+    .filter(entry =>
+      (!query.category || entryHasLabel(entry, query.category, query.subcategory)) &&
+      (!query.urgency || entry.urgency === query.urgency) &&
+      (query.escalate === null || Boolean(entry.escalate) === query.escalate) &&
+      (!query.from || new Date(entry.timestamp) >= query.from) &&
+      (!query.to || new Date(entry.timestamp) <= query.to)
+    )
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+
+  sendJson(res, 200, {
+    total: entries.length,
+    limit: query.limit,
+    offset: query.offset,
+    entries: entries.slice(query.offset, query.offset + query.limit)
+  })
+}
+
+/**
+ * GET /stats - the dashboard's volume, category and urgency numbers, plus per-mode metrics
+ */
+async function handleStats(req, res) {
+  const history = loadHistory()
+  sendJson(res, 200, {
+    ...computeHistoryStats(history),
+    analysisMetrics: summarizeAnalysisMetrics(history)
+  })
+}
+
+export const TRIAGE_ROUTES = {
+  'POST /analyze': handleAnalyze,
+  'POST /analyze/batch': handleAnalyzeBatch,
+  'GET /history': handleHistory,
+  'GET /stats': handleStats
+}
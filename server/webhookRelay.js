@@ -0,0 +1,136 @@
+import { lookup } from 'node:dns/promises'
+import { BlockList, isIP } from 'node:net'
+import { httpError, sendJson, readJsonBody } from './http.js'
+import { assertApiToken } from './apiToken.js'
+import { getWebhooks, saveWebhooks } from '../src/utils/webhooks.js'
+
+/**
+ * Webhook relay - lets the browser deliver webhooks to receivers that don't allow
+ * cross-origin requests (Slack, Teams). The body and signature are built by
+ * src/utils/webhooks.js; the relay only forwards them and passes the receiver's status back,
+ * never its response body.
+ * It only posts to webhooks saved on the server (the app syncs them on save with PUT /api/webhooks).
+ * Both routes require the API token (see apiToken.js), and webhooks on loopback, private or
+ * link-local addresses are refused unless the server allows them (TRIAGE_ALLOW_PRIVATE_WEBHOOKS).
+ */
+
+const RELAY_TIMEOUT_MS = 10000
+
+// Loopback, private, link-local (incl. cloud metadata), shared (CGNAT) and unspecified ranges
+const PRIVATE_RANGES = new BlockList()
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4')
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6')
+}
+
+// Headers deliverWebhook sets; anything else from the caller is dropped
+const FORWARDED_HEADERS = ['x-triage-event', 'x-triage-delivery', 'x-triage-timestamp', 'x-triage-signature']
+
+function validateRelayRequest(body) {
+  const { url, headers = {}, body: payload } = body || {}
+
+  if (typeof url !== 'string' || !url) {
+    throw httpError(400, '"url" must be a string')
+  }
+  if (!headers || typeof headers !== 'object' || Object.values(headers).some(value => typeof value !== 'string')) {
+    throw httpError(400, '"headers" must be an object of strings')
+  }
+  if (typeof payload !== 'string') {
+    throw httpError(400, '"body" must be a string')
+  }
+
+  const webhook = getWebhooks().find(saved => saved.url === url.trim())
+  if (!webhook) {
+    throw httpError(403, '"url" is not a saved webhook; save webhooks in Settings first')
+  }
+
+  const forwarded = Object.fromEntries(Object.entries(headers)
+    .filter(([name]) => FORWARDED_HEADERS.includes(name.toLowerCase())))
+  return { url: webhook.url, headers: { ...forwarded, 'Content-Type': 'application/json' }, payload }
+}
+
+/**
+ * Reject a webhook URL whose host is, or resolves to, a loopback, private or link-local address
+ * Also set as the webhook delivery guard, so the server's own deliveries are checked too.
+ *
+ * @throws {Error} with status 403, or 502 if the host can't be resolved
+ */
+export async function assertPublicTarget(url) {
+  const { hostname } = new URL(url)
+  const host = hostname.replace(/^\[|\]$/g, '')
+
+  let addresses
+  try {
+    addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await lookup(host, { all: true })
+  } catch (error) {
+    throw httpError(502, `Could not resolve ${hostname}: ${error.code || error.message}`)
+  }
+  if (addresses.some(({ address, family }) => PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw httpError(403, `${hostname} is a loopback, private or link-local address; set TRIAGE_ALLOW_PRIVATE_WEBHOOKS=true to allow it`)
+  }
+}
+
+/**
+ * Webhook routes for createServer
+ *
+ * @param {object} options
+ * @param {string} options.apiToken - Token both routes require
+ * @param {boolean} options.allowPrivateWebhooks - Allow webhooks on loopback, private and link-local addresses
+ */
+export function createWebhookRoutes({ apiToken, allowPrivateWebhooks }) {
+  const checkTarget = allowPrivateWebhooks ? async () => {} : assertPublicTarget
+
+  /**
+   * PUT /api/webhooks - replace the server's webhook list with the app's saved one
+   */
+  async function handleWebhookSync(req, res) {
+    assertApiToken(req, apiToken)
+    const { webhooks } = (await readJsonBody(req)) || {}
+    let saved
+    try {
+      for (const webhook of Array.isArray(webhooks) ? webhooks : []) {
+        if (typeof webhook?.url === 'string' && URL.canParse(webhook.url.trim())) await checkTarget(webhook.url.trim())
+      }
+      saved = saveWebhooks(webhooks)
+    } catch (error) {
+      throw httpError(400, error.message)
+    }
+    sendJson(res, 200, { count: saved.length })
+  }
+
+  /**
+   * POST /api/webhooks/deliver - { url, headers, body } → the receiver's status and Retry-After, with no body
+   */
+  async function handleWebhookRelay(req, res, signal) {
+    assertApiToken(req, apiToken)
+    const { url, headers, payload } = validateRelayRequest(await readJsonBody(req))
+    await checkTarget(url)
+
+    let response
+    try {
+      // Redirects aren't followed, so a public receiver can't bounce the post to an internal address
+      response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: payload,
+        redirect: 'manual',
+        signal: AbortSignal.any([signal, AbortSignal.timeout(RELAY_TIMEOUT_MS)])
+      })
+    } catch (error) {
+      if (signal.aborted) throw error
+      throw httpError(502, `Could not reach ${new URL(url).host}: ${error.cause?.message || error.message}`)
+    }
+    await response.body?.cancel()
+
+    const retryAfter = response.headers.get('retry-after')
+    res.writeHead(response.status, retryAfter ? { 'Retry-After': retryAfter } : {})
+    res.end()
+  }
+
+  return {
+    'PUT /api/webhooks': handleWebhookSync,
+    'POST /api/webhooks/deliver': handleWebhookRelay
+  }
+}
@@ -7,6 +7,7 @@ const HomePage = lazy(() => import('./pages/HomePage'))
 const AnalyzePage = lazy(() => import('./pages/AnalyzePage'))
 const HistoryPage = lazy(() => import('./pages/HistoryPage'))
 const DashboardPage = lazy(() => import('./pages/DashboardPage'))
+const SettingsPage = lazy(() => import('./pages/SettingsPage'))
 
 // Loading fallback component
 function PageLoader() {
@@ -31,6 +32,7 @@ function App() {
             <Route path="/analyze" element={<AnalyzePage />} />
             <Route path="/history" element={<HistoryPage />} />
             <Route path="/dashboard" element={<DashboardPage />} />
+            <Route path="/settings" element={<SettingsPage />} />
           </Routes>
         </Suspense>
       </div>
@@ -0,0 +1,269 @@
+import { useState, useEffect, useRef } from 'react'
+import { parseBatchFile } from '../utils/batchParser'
+import { analyzeBatch, DEFAULT_BATCH_CONCURRENCY, ANALYSIS_MODES, DEFAULT_ANALYSIS_MODE } from '../utils/triagePipeline'
+import { appendHistory } from '../utils/historyStore'
+import { dispatchWebhooks } from '../utils/webhooks'
+import { formatCategoryLabel } from '../utils/taxonomy'
+import QueueStatus from './QueueStatus'
+
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4, 5]
+
+const STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-600',
+  running: 'bg-blue-100 text-blue-800',
+  done: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-yellow-100 text-yellow-800'
+}
+
+/**
+ * Batch upload, analysis and progress for an inbox export
+ *
+ * @param {function} props.onSaved - Optional, called after results are saved to history
+ */
+function BatchTriage({ onSaved }) {
+  const [fileName, setFileName] = useState('')
+  const [rows, setRows] = useState([])
+  const [parseError, setParseError] = useState('')
+  const [concurrency, setConcurrency] = useState(DEFAULT_BATCH_CONCURRENCY)
+  const [analysisMode, setAnalysisMode] = useState(DEFAULT_ANALYSIS_MODE)
+  const [isRunning, setIsRunning] = useState(false)
+  const [summary, setSummary] = useState(null)
+  const abortControllerRef = useRef(null)
+
+  // Cleanup on unmount
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort()
+      }
+    }
+  }, [])
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+
+    setFileName(file.name)
+    setSummary(null)
+    setParseError('')
+
+    try {
+      const { items } = parseBatchFile(await file.text(), file.name)
+      setRows(items.map(item => ({
+        ...item,
+        invalid: Boolean(item.error),
+        status: item.error ? 'failed' : 'pending',
+        result: null
+      })))
+    } catch (error) {
+      setRows([])
+      setParseError(error.message)
+    }
+  }
+
+  const updateRow = (id, update) => {
+    setRows(prev => prev.map(row => (row.id === id ? { ...row, ...update } : row)))
+  }
+
+  const handleStart = async () => {
+    const items = rows.filter(row => !row.invalid)
+    if (items.length === 0) return
+
+    abortControllerRef.current = new AbortController()
+    const signal = abortControllerRef.current.signal
+
+    setIsRunning(true)
+    setSummary(null)
+    setRows(prev => prev.map(row => (row.invalid ? row : { ...row, status: 'pending', result: null, error: null })))
+
+    try {
+      const { results, failures, cancelled } = await analyzeBatch(items, {
+        concurrency,
+        signal,
+        onProgress: updateRow,
+        mode: analysisMode
+      })
+
+      // Save every completed result to history in a single write
+      if (results.length > 0) {
+        appendHistory(results)
+        dispatchWebhooks(results)
+        onSaved?.()
+      }
+
+      setSummary({ saved: results.length, failed: failures.length, cancelled })
+    } finally {
+      setIsRunning(false)
+      abortControllerRef.current = null
+    }
+  }
+
+  const handleCancel = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort()
+    }
+  }
+
+  const handleReset = () => {
+    setFileName('')
+    setRows([])
+    setParseError('')
+    setSummary(null)
+  }
+
+  const finishedCount = rows.filter(row => row.status !== 'pending' && row.status !== 'running').length
+  const progress = rows.length > 0 ? (finishedCount / rows.length) * 100 : 0
+
+  return (
+    <div>
+      {/* File Input */}
+      <div className="mb-4">
+        <label className="block text-sm font-semibold text-gray-700 mb-2">
+          Message File
+        </label>
+        <input
+          type="file"
+          accept=".csv,.json,.ndjson,.jsonl,.eml,.mbox"
+          onChange={handleFile}
+          disabled={isRunning}
+          className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+        />
+        <p className="text-sm text-gray-500 mt-1">
+          CSV with a "message" column, a JSON array (or the sample-messages.json format), NDJSON with one message per line, or emails (.eml or an mbox mailbox). Quoted replies and signatures are removed from emails. An optional "customer_id" or "thread_id" column links messages into conversations.
+        </p>
+        {parseError && (
+          <p className="text-sm text-red-600 mt-2">{parseError}</p>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <>
+          {/* Batch Controls */}
+          <div className="flex items-center gap-3 mb-4">
+            <label className="text-sm font-semibold text-gray-600">Concurrent requests:</label>
+            <select
+              value={concurrency}
+              onChange={(e) => setConcurrency(Number(e.target.value))}
+              disabled={isRunning}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {CONCURRENCY_OPTIONS.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+            <label className="text-sm font-semibold text-gray-600">Mode:</label>
+            <select
+              value={analysisMode}
+              onChange={(e) => setAnalysisMode(e.target.value)}
+              disabled={isRunning}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {Object.entries(ANALYSIS_MODES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <div className="flex-1" />
+            {isRunning ? (
+              <button
+                onClick={handleCancel}
+                className="px-6 py-2 bg-red-500 text-white rounded-lg font-semibold hover:bg-red-600"
+              >
+                Cancel Batch
+              </button>
+            ) : (
+              <>
+                <button
+                  onClick={handleStart}
+                  className="px-6 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700"
+                >
+                  Analyze {rows.filter(row => !row.invalid).length} Messages
+                </button>
+                <button
+                  onClick={handleReset}
+                  className="px-6 py-2 border border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50"
+                >
+                  Clear
+                </button>
+              </>
+            )}
+          </div>
+
+          {/* Progress */}
+          <div className="mb-2 flex justify-between text-sm text-gray-600">
+            <span>{fileName}</span>
+            <span>{finishedCount} / {rows.length} processed</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
+            <div
+              className="bg-blue-500 h-2 rounded-full transition-all"
+              style={{ width: `${progress}%` }}
+            />
+          </div>
+
+          {isRunning && <QueueStatus className="mb-4" />}
+
+          {summary && (
+            <div className={`mb-4 p-3 rounded-lg text-sm ${
+              summary.cancelled ? 'bg-yellow-50 border border-yellow-300 text-yellow-800' : 'bg-green-50 border border-green-300 text-green-800'
+            }`}>
+              {summary.cancelled ? 'Batch cancelled. ' : 'Batch complete. '}
+              Saved {summary.saved} result{summary.saved === 1 ? '' : 's'} to history
+              {summary.failed > 0 && `, ${summary.failed} failed`}.
+            </div>
+          )}
+
+          {/* Per-row Status */}
+          <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-96 overflow-y-auto">
+            {rows.map(row => (
+              <div key={row.id} className="p-3 flex items-start gap-3">
+                <span className="text-xs text-gray-400 w-8 pt-1">#{row.id}</span>
+                <div className="flex-1 min-w-0">
+                  {row.title && (
+                    <div className="text-xs font-semibold text-gray-500">{row.title}</div>
+                  )}
+                  {(row.email?.sender || row.customerId) && (
+                    <div className="text-xs text-gray-500">From {row.email?.sender || row.customerId}</div>
+                  )}
+                  <div className="text-sm text-gray-800 truncate">
+                    {row.message || <span className="italic text-gray-400">(empty)</span>}
+                  </div>
+                  {row.result && (
+                    <div className="flex items-center gap-2 mt-1">
+                      <span className="text-xs bg-blue-100 text-blue-800 px-2 py-0.5 rounded">
+                        {formatCategoryLabel(row.result.category, row.result.subcategory)}
+                      </span>
+                      <span className={`text-xs px-2 py-0.5 rounded ${
+                        row.result.urgency === 'High' ? 'bg-red-100 text-red-800' :
+                        row.result.urgency === 'Medium' ? 'bg-yellow-100 text-yellow-800' :
+                        'bg-green-100 text-green-800'
+                      }`}>
+                        {row.result.urgency}
+                      </span>
+                      {row.result.escalate && (
+                        <span className="text-xs px-2 py-0.5 rounded bg-red-600 text-white">⚠️ Escalate</span>
+                      )}
+                      {row.result.conversation && (
+                        <span className="text-xs px-2 py-0.5 rounded bg-indigo-100 text-indigo-800">
+                          💬 Contact #{row.result.conversation.contactCount}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  {row.error && (
+                    <div className="text-xs text-red-600 mt-1">{row.error}</div>
+                  )}
+                </div>
+                <span className={`text-xs px-2 py-1 rounded-full font-semibold capitalize ${STATUS_STYLES[row.status]}`}>
+                  {row.status}
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default BatchTriage
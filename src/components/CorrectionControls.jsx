@@ -0,0 +1,169 @@
+import { useState } from 'react'
+import { getTaxonomy, formatCategoryLabel } from '../utils/taxonomy'
+import { saveCorrection, confirmEntry, isCorrected } from '../utils/corrections'
+
+const URGENCY_LEVELS = ['High', 'Medium', 'Low']
+
+// Every category and category › subcategory pair, keyed by its display label
+function getCategoryOptions(entry) {
+  const options = []
+  getTaxonomy().forEach(category => {
+    options.push({ category: category.name, subcategory: null })
+    category.subcategories.forEach(sub => options.push({ category: category.name, subcategory: sub.name }))
+  })
+
+  // Keep the entry's current label selectable even if it left the taxonomy
+  const current = { category: entry.category, subcategory: entry.subcategory || null }
+  if (!options.some(o => o.category === current.category && o.subcategory === current.subcategory)) {
+    options.unshift(current)
+  }
+  return options.map(o => ({ ...o, label: formatCategoryLabel(o.category, o.subcategory) }))
+}
+
+function formatValue(field, value) {
+  if (field === 'escalate') return value ? 'Escalate' : 'No escalation'
+  return value ?? 'none'
+}
+
+/**
+ * Lets an agent override the category, urgency and escalation of a saved analysis
+ *
+ * @param {object} props.entry - The history entry
+ * @param {function} props.onSaved - Receives the updated entry
+ */
+function CorrectionControls({ entry, onSaved }) {
+  const [isEditing, setIsEditing] = useState(false)
+  const [categoryLabel, setCategoryLabel] = useState(formatCategoryLabel(entry.category, entry.subcategory))
+  const [urgency, setUrgency] = useState(entry.urgency)
+  const [escalate, setEscalate] = useState(Boolean(entry.escalate))
+
+  const categoryOptions = getCategoryOptions(entry)
+
+  const startEditing = () => {
+    setCategoryLabel(formatCategoryLabel(entry.category, entry.subcategory))
+    setUrgency(entry.urgency)
+    setEscalate(Boolean(entry.escalate))
+    setIsEditing(true)
+  }
+
+  const handleSave = () => {
+    const selected = categoryOptions.find(o => o.label === categoryLabel)
+    const updated = saveCorrection(entry.id, {
+      category: selected.category,
+      subcategory: selected.subcategory,
+      urgency,
+      escalate
+    }, entry)
+    setIsEditing(false)
+    if (updated) {
+      onSaved(updated)
+    }
+  }
+
+  const handleConfirm = () => {
+    const updated = confirmEntry(entry.id, entry)
+    if (updated) {
+      onSaved(updated)
+    }
+  }
+
+  return (
+    <div className="border border-amber-200 bg-amber-50 rounded-lg p-3">
+      <div className="flex items-center justify-between">
+        <div className="text-xs font-semibold text-amber-800">
+          {isCorrected(entry) ? '✏️ Corrected by agent'
+            : entry.confirmedAt ? '✅ Confirmed by agent'
+            : 'Is this triage right?'}
+        </div>
+        {!isEditing && (
+          <div className="flex space-x-3">
+            {!isCorrected(entry) && !entry.confirmedAt && (
+              <button
+                onClick={handleConfirm}
+                className="text-sm text-green-700 hover:text-green-800 font-semibold"
+              >
+                Looks right
+              </button>
+            )}
+            <button
+              onClick={startEditing}
+              className="text-sm text-amber-800 hover:text-amber-900 font-semibold"
+            >
+              {isCorrected(entry) ? 'Edit correction' : 'Correct it'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Original AI values next to corrected ones */}
+      {isCorrected(entry) && !isEditing && (
+        <div className="mt-2 space-y-1">
+          {Object.entries(entry.corrections).map(([field, { original, corrected }]) => (
+            <div key={field} className="text-xs text-amber-900">
+              <span className="font-semibold capitalize">{field}:</span>{' '}
+              <span className="line-through text-amber-600">AI: {formatValue(field, original)}</span>
+              {' → '}
+              <span className="font-semibold">{formatValue(field, corrected)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {isEditing && (
+        <div className="mt-3 space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-1">Category</label>
+              <select
+                value={categoryLabel}
+                onChange={(e) => setCategoryLabel(e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {categoryOptions.map(option => (
+                  <option key={option.label} value={option.label}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-1">Urgency</label>
+              <select
+                value={urgency}
+                onChange={(e) => setUrgency(e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {URGENCY_LEVELS.map(level => (
+                  <option key={level} value={level}>{level}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={escalate}
+              onChange={(e) => setEscalate(e.target.checked)}
+              className="mr-2"
+            />
+            Escalate
+          </label>
+          <div className="flex space-x-2">
+            <button
+              onClick={handleSave}
+              className="px-4 py-2 bg-amber-600 text-white rounded-lg text-sm font-semibold hover:bg-amber-700"
+            >
+              Save Correction
+            </button>
+            <button
+              onClick={() => setIsEditing(false)}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-semibold text-gray-700 hover:bg-white"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CorrectionControls
@@ -0,0 +1,159 @@
+import { useState } from 'react'
+import {
+  getCustomerProfiles,
+  saveCustomerProfiles,
+  validateCustomerProfiles,
+  parseCustomerCsv,
+  mergeCustomerProfiles,
+  CUSTOMER_TIERS
+} from '../utils/customerProfiles'
+
+// Account values are edited as text so "120k" can be typed
+function toDraft(profiles) {
+  return profiles.map(profile => ({
+    ...profile,
+    name: profile.name || '',
+    tier: profile.tier || '',
+    plan: profile.plan || '',
+    accountValue: profile.accountValue ?? '',
+    renewalDate: profile.renewalDate || ''
+  }))
+}
+
+const EMPTY_PROFILE = { customerId: '', name: '', tier: '', plan: '', accountValue: '', renewalDate: '' }
+
+const inputClass = 'w-full border border-gray-300 rounded px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+
+function CustomerProfileEditor() {
+  const [draft, setDraft] = useState(() => toDraft(getCustomerProfiles()))
+  const [errors, setErrors] = useState([])
+  const [status, setStatus] = useState('')
+
+  const updateProfile = (index, field, value) => {
+    setStatus('')
+    setDraft(prev => prev.map((profile, i) => (i === index ? { ...profile, [field]: value } : profile)))
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    const { profiles, errors: importErrors } = parseCustomerCsv(await file.text())
+    setErrors(importErrors)
+    setDraft(prev => toDraft(mergeCustomerProfiles(prev, profiles)))
+    setStatus(profiles.length > 0
+      ? `Imported ${profiles.length} ${profiles.length === 1 ? 'customer' : 'customers'} from ${file.name}. Save to keep them.`
+      : '')
+  }
+
+  const handleSave = () => {
+    const validationErrors = validateCustomerProfiles(draft)
+    setErrors(validationErrors)
+    if (validationErrors.length > 0) return
+
+    setDraft(toDraft(saveCustomerProfiles(draft)))
+    setStatus('Customer profiles saved.')
+  }
+
+  return (
+    <div>
+      <div className="mb-4">
+        <label className="block text-xs font-semibold text-gray-600 mb-1">Import CSV</label>
+        <input
+          type="file"
+          accept=".csv"
+          onChange={handleImport}
+          className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          Columns: customer_id (or email), and optionally name, tier ({Object.keys(CUSTOMER_TIERS).join(', ')}), plan, arr and renewal_date. Rows replace saved customers with the same ID.
+        </p>
+      </div>
+
+      {draft.length === 0 ? (
+        <p className="text-sm text-gray-500">No customer profiles yet.</p>
+      ) : (
+        <div className="border border-gray-200 rounded-lg max-h-96 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-xs text-gray-600 sticky top-0">
+              <tr>
+                <th className="text-left font-semibold p-2">Customer ID / Email</th>
+                <th className="text-left font-semibold p-2">Name</th>
+                <th className="text-left font-semibold p-2">Tier</th>
+                <th className="text-left font-semibold p-2">Plan</th>
+                <th className="text-left font-semibold p-2">ARR</th>
+                <th className="text-left font-semibold p-2">Renewal</th>
+                <th className="p-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {draft.map((profile, index) => (
+                <tr key={index}>
+                  <td className="p-2">
+                    <input value={profile.customerId} onChange={(e) => updateProfile(index, 'customerId', e.target.value)} className={inputClass} />
+                  </td>
+                  <td className="p-2">
+                    <input value={profile.name} onChange={(e) => updateProfile(index, 'name', e.target.value)} className={inputClass} />
+                  </td>
+                  <td className="p-2">
+                    <select value={profile.tier} onChange={(e) => updateProfile(index, 'tier', e.target.value)} className={inputClass}>
+                      <option value="">-</option>
+                      {Object.keys(CUSTOMER_TIERS).map(tier => <option key={tier} value={tier}>{tier}</option>)}
+                    </select>
+                  </td>
+                  <td className="p-2">
+                    <input value={profile.plan} onChange={(e) => updateProfile(index, 'plan', e.target.value)} className={inputClass} />
+                  </td>
+                  <td className="p-2 w-28">
+                    <input value={profile.accountValue} onChange={(e) => updateProfile(index, 'accountValue', e.target.value)} placeholder="120k" className={inputClass} />
+                  </td>
+                  <td className="p-2 w-40">
+                    <input type="date" value={profile.renewalDate} onChange={(e) => updateProfile(index, 'renewalDate', e.target.value)} className={inputClass} />
+                  </td>
+                  <td className="p-2 text-right">
+                    <button
+                      onClick={() => setDraft(prev => prev.filter((_, i) => i !== index))}
+                      className="px-2 py-1 text-red-600 hover:bg-red-50 rounded font-semibold"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <button
+        onClick={() => setDraft(prev => [...prev, { ...EMPTY_PROFILE }])}
+        className="mt-4 w-full py-2 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-blue-400 hover:text-blue-600 font-semibold"
+      >
+        + Add Customer
+      </button>
+
+      {errors.length > 0 && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-300 rounded-lg text-sm text-red-700 max-h-40 overflow-y-auto">
+          {errors.map(error => <div key={error}>{error}</div>)}
+        </div>
+      )}
+      {status && (
+        <div className="mt-4 p-3 bg-green-50 border border-green-300 rounded-lg text-sm text-green-800">
+          {status}
+        </div>
+      )}
+
+      <div className="flex space-x-3 mt-4">
+        <button
+          onClick={handleSave}
+          className="flex-1 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700"
+        >
+          Save Customer Profiles
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default CustomerProfileEditor
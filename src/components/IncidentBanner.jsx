@@ -0,0 +1,59 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+
+/**
+ * "Possible incident" banner listing the messages that make up a spike
+ *
+ * @param {object} props.incident - Output of detectIncident, or null
+ */
+function IncidentBanner({ incident }) {
+  const [showMessages, setShowMessages] = useState(false)
+
+  if (!incident) return null
+
+  return (
+    <div className="mb-6 p-4 bg-red-50 border border-red-300 rounded-lg">
+      <div className="flex items-start">
+        <span className="text-red-600 text-xl mr-3">🚨</span>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center justify-between">
+            <div className="font-semibold text-red-800">Possible Incident</div>
+            <button
+              onClick={() => setShowMessages(!showMessages)}
+              className="text-sm text-red-700 hover:text-red-800 font-semibold"
+            >
+              {showMessages ? 'Hide messages' : `Show ${incident.count} messages`}
+            </button>
+          </div>
+          <p className="text-sm text-red-700 mt-1">
+            {incident.count} high-urgency {incident.category} messages in the last {incident.windowMinutes} minutes,
+            against a usual rate of {incident.baselineRate}. Started {new Date(incident.startedAt).toLocaleTimeString()}.
+          </p>
+          {incident.sharedTerms.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-2">
+              {incident.sharedTerms.map(term => (
+                <span key={term} className="text-xs bg-red-100 text-red-800 px-2 py-0.5 rounded">{term}</span>
+              ))}
+            </div>
+          )}
+          {showMessages && (
+            <div className="mt-3 border border-red-200 bg-white rounded-lg divide-y divide-red-100">
+              {incident.messages.map(item => (
+                <Link
+                  key={item.id}
+                  to={`/history?entry=${item.id}`}
+                  className="flex items-center gap-3 p-2 text-sm hover:bg-red-50"
+                >
+                  <span className="text-xs text-gray-500 w-20">{new Date(item.timestamp).toLocaleTimeString()}</span>
+                  <span className="flex-1 text-gray-700 truncate">"{item.message}"</span>
+                </Link>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default IncidentBanner
@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react'
+import { subscribeToQueue } from '../utils/apiClient'
+
+const HOLD_REASONS = {
+  requests: 'request limit',
+  tokens: 'token limit',
+  'retry-after': 'provider asked to retry later'
+}
+
+/**
+ * Shows requests held back by the rate-limit scheduler
+ *
+ * @param {AbortSignal} props.signal - Optional; shows the queue position of this analysis's requests
+ * @param {string} props.className - Optional spacing classes
+ */
+function QueueStatus({ signal = null, className = 'mt-3' }) {
+  const [queue, setQueue] = useState(null)
+  const [now, setNow] = useState(Date.now)
+
+  useEffect(() => subscribeToQueue(setQueue), [])
+
+  // Tick the countdown while the queue is held back
+  const resumesAt = queue?.resumesAt
+  useEffect(() => {
+    if (!resumesAt) return undefined
+    const intervalId = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(intervalId)
+  }, [resumesAt])
+
+  if (!queue || queue.queued === 0) return null
+
+  const position = signal ? queue.positionOf(signal) : 0
+  if (signal && position === 0) return null
+
+  const seconds = resumesAt ? Math.max(0, Math.ceil((resumesAt - now) / 1000)) : null
+
+  return (
+    <div className={`${className} p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800`}>
+      ⏳ {signal
+        ? `Waiting for the rate limit: position ${position} of ${queue.queued} in the queue`
+        : `${queue.queued} request${queue.queued === 1 ? '' : 's'} waiting for the rate limit`}
+      {seconds !== null && ` · next request in ${seconds}s`}
+      {queue.reason && ` (${HOLD_REASONS[queue.reason]})`}
+    </div>
+  )
+}
+
+export default QueueStatus
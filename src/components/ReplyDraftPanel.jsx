@@ -0,0 +1,145 @@
+import { useState, useEffect, useRef } from 'react'
+import { draftReply, saveSentReply, REPLY_TONES, REPLY_LENGTHS, DEFAULT_TONE, DEFAULT_LENGTH } from '../utils/replyDrafter'
+
+/**
+ * Generates an editable customer-facing reply for an analysis and records the text that was sent
+ *
+ * @param {object} props.entry - The history entry
+ * @param {function} props.onSaved - Receives the updated entry
+ */
+function ReplyDraftPanel({ entry, onSaved }) {
+  const [tone, setTone] = useState(entry.sentReply?.tone || DEFAULT_TONE)
+  const [length, setLength] = useState(entry.sentReply?.length || DEFAULT_LENGTH)
+  const [draft, setDraft] = useState(entry.sentReply?.text || '')
+  const [isDrafting, setIsDrafting] = useState(false)
+  const abortControllerRef = useRef(null)
+
+  // Cleanup on unmount
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort()
+      }
+    }
+  }, [])
+
+  const handleGenerate = async () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort()
+    }
+    abortControllerRef.current = new AbortController()
+    const signal = abortControllerRef.current.signal
+
+    setIsDrafting(true)
+    try {
+      const { reply } = await draftReply(entry.message, entry, signal, { tone, length })
+      if (!signal.aborted) {
+        setDraft(reply)
+      }
+    } finally {
+      // A newer draft request owns the state once it has replaced this controller
+      if (abortControllerRef.current?.signal === signal) {
+        setIsDrafting(false)
+        abortControllerRef.current = null
+      }
+    }
+  }
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(draft)
+    alert('Reply copied to clipboard!')
+  }
+
+  const handleMarkSent = () => {
+    const updated = saveSentReply(entry.id, { text: draft, tone, length }, entry)
+    if (updated) {
+      onSaved(updated)
+    }
+  }
+
+  const isSaved = entry.sentReply && entry.sentReply.text === draft
+
+  return (
+    <div>
+      <div className="text-sm font-semibold text-gray-600 mb-1">Customer Reply</div>
+      <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          {Object.entries(REPLY_TONES).map(([value, { label }]) => (
+            <button
+              key={value}
+              onClick={() => setTone(value)}
+              disabled={isDrafting}
+              className={`px-3 py-1 rounded-lg text-sm font-semibold ${
+                tone === value
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+          <select
+            value={length}
+            onChange={(e) => setLength(e.target.value)}
+            disabled={isDrafting}
+            className="border border-gray-300 rounded-lg px-3 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {Object.entries(REPLY_LENGTHS).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleGenerate}
+            disabled={isDrafting}
+            className={`ml-auto px-4 py-1.5 rounded-lg text-sm font-semibold ${
+              isDrafting
+                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                : 'bg-blue-600 text-white hover:bg-blue-700'
+            }`}
+          >
+            {isDrafting ? 'Drafting...' : draft ? 'Regenerate Draft' : 'Draft Reply'}
+          </button>
+        </div>
+
+        {(draft || isDrafting) && (
+          <>
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              disabled={isDrafting}
+              className="w-full border border-gray-300 rounded-lg p-3 h-48 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={handleCopy}
+                disabled={!draft}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-semibold text-gray-700 hover:bg-gray-50"
+              >
+                Copy
+              </button>
+              <button
+                onClick={handleMarkSent}
+                disabled={!draft.trim() || isSaved}
+                className={`px-4 py-2 rounded-lg text-sm font-semibold ${
+                  !draft.trim() || isSaved
+                    ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                    : 'bg-green-600 text-white hover:bg-green-700'
+                }`}
+              >
+                {isSaved ? 'Saved as Sent' : 'Mark as Sent'}
+              </button>
+              {entry.sentReply && (
+                <span className="text-xs text-gray-500">
+                  Sent {new Date(entry.sentReply.sentAt).toLocaleString()}
+                  {!isSaved && ' (edited since)'}
+                </span>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ReplyDraftPanel
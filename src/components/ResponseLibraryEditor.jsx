@@ -0,0 +1,151 @@
+import { useState } from 'react'
+import { getResponseLibrary, saveResponseLibrary, resetResponseLibrary, validateLibrary, extractVariables, parseTagLabel } from '../utils/responseLibrary'
+import { formatCategoryLabel } from '../utils/taxonomy'
+
+// Tags are edited as comma-separated "Category › Subcategory" labels
+function toDraft(library) {
+  return library.map(template => ({
+    id: template.id,
+    title: template.title,
+    body: template.body,
+    tags: template.tags.map(tag => formatCategoryLabel(tag.category, tag.subcategory)).join(', ')
+  }))
+}
+
+function fromDraft(draft) {
+  return draft.map(template => ({
+    id: template.id,
+    title: template.title,
+    body: template.body,
+    tags: template.tags.split(',').map(label => label.trim()).filter(Boolean).map(parseTagLabel)
+  }))
+}
+
+const EMPTY_TEMPLATE = { id: null, title: '', body: '', tags: '' }
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+
+function ResponseLibraryEditor() {
+  const [draft, setDraft] = useState(() => toDraft(getResponseLibrary()))
+  const [errors, setErrors] = useState([])
+  const [status, setStatus] = useState('')
+
+  const updateTemplate = (index, field, value) => {
+    setStatus('')
+    setDraft(prev => prev.map((template, i) => (i === index ? { ...template, [field]: value } : template)))
+  }
+
+  const removeTemplate = (index) => {
+    if (window.confirm(`Remove "${draft[index].title || 'this template'}"?`)) {
+      setDraft(prev => prev.filter((_, i) => i !== index))
+    }
+  }
+
+  const handleSave = () => {
+    const library = fromDraft(draft)
+    const validationErrors = validateLibrary(library)
+    setErrors(validationErrors)
+    if (validationErrors.length > 0) return
+
+    setDraft(toDraft(saveResponseLibrary(library)))
+    setStatus('Response library saved.')
+  }
+
+  const handleReset = () => {
+    if (window.confirm('Restore the default templates? Your custom templates will be lost.')) {
+      setDraft(toDraft(resetResponseLibrary()))
+      setErrors([])
+      setStatus('Default templates restored.')
+    }
+  }
+
+  return (
+    <div>
+      <div className="space-y-4">
+        {draft.map((template, index) => (
+          <div key={template.id || index} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex items-start gap-3 mb-3">
+              <div className="flex-1">
+                <label className="block text-xs font-semibold text-gray-600 mb-1">Title</label>
+                <input
+                  value={template.title}
+                  onChange={(e) => updateTemplate(index, 'title', e.target.value)}
+                  placeholder="e.g. Refund approved"
+                  className={inputClass}
+                />
+              </div>
+              <button
+                onClick={() => removeTemplate(index)}
+                className="mt-5 px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg font-semibold"
+              >
+                Remove
+              </button>
+            </div>
+
+            <div className="mb-3">
+              <label className="block text-xs font-semibold text-gray-600 mb-1">
+                Body (use placeholders such as {'{{customer_name}}'})
+              </label>
+              <textarea
+                value={template.body}
+                onChange={(e) => updateTemplate(index, 'body', e.target.value)}
+                className={`${inputClass} h-32`}
+              />
+              {extractVariables(template.body).length > 0 && (
+                <div className="text-xs text-gray-500 mt-1">
+                  Variables: {extractVariables(template.body).join(', ')}
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-1">
+                Tags (comma-separated, e.g. Billing Issue › Refund; leave empty to suggest for any category)
+              </label>
+              <input
+                value={template.tags}
+                onChange={(e) => updateTemplate(index, 'tags', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={() => setDraft(prev => [...prev, { ...EMPTY_TEMPLATE }])}
+        className="mt-4 w-full py-2 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-blue-400 hover:text-blue-600 font-semibold"
+      >
+        + Add Template
+      </button>
+
+      {errors.length > 0 && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-300 rounded-lg text-sm text-red-700">
+          {errors.map(error => <div key={error}>{error}</div>)}
+        </div>
+      )}
+      {status && (
+        <div className="mt-4 p-3 bg-green-50 border border-green-300 rounded-lg text-sm text-green-800">
+          {status}
+        </div>
+      )}
+
+      <div className="flex space-x-3 mt-4">
+        <button
+          onClick={handleSave}
+          className="flex-1 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700"
+        >
+          Save Library
+        </button>
+        <button
+          onClick={handleReset}
+          className="px-6 py-2 border border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50"
+        >
+          Restore Defaults
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ResponseLibraryEditor
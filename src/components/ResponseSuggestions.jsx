@@ -0,0 +1,99 @@
+import { useState } from 'react'
+import { suggestTemplates, extractVariables, fillTemplate, recordTemplateUse } from '../utils/responseLibrary'
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+
+// Variable names shown as labels, e.g. invoice_id → Invoice id
+function formatVariableName(name) {
+  const spaced = name.replace(/_/g, ' ')
+  return spaced.charAt(0).toUpperCase() + spaced.slice(1)
+}
+
+/**
+ * Suggests canned responses for an analysis, fills their variables and records the one used
+ *
+ * @param {object} props.entry - The history entry
+ * @param {function} props.onSaved - Receives the updated entry
+ */
+function ResponseSuggestions({ entry, onSaved }) {
+  const [suggestions] = useState(() => suggestTemplates(entry))
+  const [selectedId, setSelectedId] = useState(entry.templateId || null)
+  const [values, setValues] = useState({})
+
+  if (suggestions.length === 0) return null
+
+  const selected = suggestions.find(template => template.id === selectedId)
+  const variables = selected ? extractVariables(selected.body) : []
+  const filled = selected ? fillTemplate(selected.body, values) : ''
+  const missing = variables.filter(name => !values[name]?.trim())
+
+  const handleUse = () => {
+    navigator.clipboard.writeText(filled)
+    const updated = recordTemplateUse(entry.id, selected, entry)
+    if (updated) {
+      onSaved(updated)
+    }
+    alert('Response copied to clipboard!')
+  }
+
+  return (
+    <div>
+      <div className="text-sm font-semibold text-gray-600 mb-1">Suggested Responses</div>
+      <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+        <div className="flex flex-wrap gap-2">
+          {suggestions.map(template => (
+            <button
+              key={template.id}
+              onClick={() => setSelectedId(selectedId === template.id ? null : template.id)}
+              className={`px-3 py-1 rounded-lg text-sm font-semibold ${
+                selectedId === template.id
+                  ? 'bg-teal-600 text-white'
+                  : 'bg-teal-50 text-teal-800 hover:bg-teal-100'
+              }`}
+            >
+              {template.title}
+              {entry.templateId === template.id && ' ✓'}
+            </button>
+          ))}
+        </div>
+
+        {selected && (
+          <>
+            {variables.length > 0 && (
+              <div className="grid grid-cols-2 gap-3">
+                {variables.map(name => (
+                  <div key={name}>
+                    <label className="block text-xs font-semibold text-gray-600 mb-1">{formatVariableName(name)}</label>
+                    <input
+                      value={values[name] || ''}
+                      onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+                      className={inputClass}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="text-sm text-gray-800 bg-gray-50 p-3 rounded border border-gray-200 whitespace-pre-line">
+              {filled}
+            </div>
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={handleUse}
+                className="px-4 py-2 bg-teal-600 text-white rounded-lg text-sm font-semibold hover:bg-teal-700"
+              >
+                Copy &amp; Use Template
+              </button>
+              {missing.length > 0 && (
+                <span className="text-xs text-amber-700">
+                  Not filled in: {missing.map(formatVariableName).join(', ')}
+                </span>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ResponseSuggestions
@@ -0,0 +1,230 @@
+import { useState } from 'react'
+import { getTaxonomy, saveTaxonomy, resetTaxonomy, validateTaxonomy } from '../utils/taxonomy'
+
+// Keywords are edited as comma-separated text, examples as one per line
+function toDraft(taxonomy) {
+  return taxonomy.map(category => ({
+    name: category.name,
+    description: category.description,
+    keywords: category.keywords.join(', '),
+    examples: category.examples.join('\n'),
+    subcategories: category.subcategories.map(sub => ({
+      name: sub.name,
+      description: sub.description,
+      keywords: sub.keywords.join(', ')
+    }))
+  }))
+}
+
+function fromDraft(draft) {
+  const splitKeywords = (text) => text.split(',').map(k => k.trim()).filter(Boolean)
+  return draft.map(category => ({
+    name: category.name,
+    description: category.description,
+    keywords: splitKeywords(category.keywords),
+    examples: category.examples.split('\n').map(e => e.trim()).filter(Boolean),
+    subcategories: category.subcategories.map(sub => ({
+      name: sub.name,
+      description: sub.description,
+      keywords: splitKeywords(sub.keywords)
+    }))
+  }))
+}
+
+const EMPTY_CATEGORY = { name: '', description: '', keywords: '', examples: '', subcategories: [] }
+const EMPTY_SUBCATEGORY = { name: '', description: '', keywords: '' }
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+
+function TaxonomyEditor() {
+  const [draft, setDraft] = useState(() => toDraft(getTaxonomy()))
+  const [errors, setErrors] = useState([])
+  const [status, setStatus] = useState('')
+
+  const updateCategory = (index, field, value) => {
+    setStatus('')
+    setDraft(prev => prev.map((category, i) => (i === index ? { ...category, [field]: value } : category)))
+  }
+
+  const updateSubcategory = (index, subIndex, field, value) => {
+    setStatus('')
+    setDraft(prev => prev.map((category, i) => (i !== index ? category : {
+      ...category,
+      subcategories: category.subcategories.map((sub, j) => (j === subIndex ? { ...sub, [field]: value } : sub))
+    })))
+  }
+
+  const addSubcategory = (index) => {
+    setDraft(prev => prev.map((category, i) => (i !== index ? category : {
+      ...category,
+      subcategories: [...category.subcategories, { ...EMPTY_SUBCATEGORY }]
+    })))
+  }
+
+  const removeSubcategory = (index, subIndex) => {
+    setDraft(prev => prev.map((category, i) => (i !== index ? category : {
+      ...category,
+      subcategories: category.subcategories.filter((_, j) => j !== subIndex)
+    })))
+  }
+
+  const removeCategory = (index) => {
+    if (window.confirm(`Remove "${draft[index].name || 'this category'}"?`)) {
+      setDraft(prev => prev.filter((_, i) => i !== index))
+    }
+  }
+
+  const handleSave = () => {
+    const taxonomy = fromDraft(draft)
+    const validationErrors = validateTaxonomy(taxonomy)
+    setErrors(validationErrors)
+    if (validationErrors.length > 0) return
+
+    setDraft(toDraft(saveTaxonomy(taxonomy)))
+    setStatus('Taxonomy saved. New analyses will use these categories.')
+  }
+
+  const handleReset = () => {
+    if (window.confirm('Restore the default categories? Your custom taxonomy will be lost.')) {
+      setDraft(toDraft(resetTaxonomy()))
+      setErrors([])
+      setStatus('Default taxonomy restored.')
+    }
+  }
+
+  return (
+    <div>
+      <div className="space-y-4">
+        {draft.map((category, index) => (
+          <div key={index} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex items-start gap-3 mb-3">
+              <div className="flex-1">
+                <label className="block text-xs font-semibold text-gray-600 mb-1">Category Name</label>
+                <input
+                  value={category.name}
+                  onChange={(e) => updateCategory(index, 'name', e.target.value)}
+                  placeholder="e.g. Account Access"
+                  className={inputClass}
+                />
+              </div>
+              <button
+                onClick={() => removeCategory(index)}
+                className="mt-5 px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg font-semibold"
+              >
+                Remove
+              </button>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3 mb-3">
+              <div>
+                <label className="block text-xs font-semibold text-gray-600 mb-1">Description</label>
+                <textarea
+                  value={category.description}
+                  onChange={(e) => updateCategory(index, 'description', e.target.value)}
+                  className={`${inputClass} h-20`}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-gray-600 mb-1">Example Messages (one per line)</label>
+                <textarea
+                  value={category.examples}
+                  onChange={(e) => updateCategory(index, 'examples', e.target.value)}
+                  className={`${inputClass} h-20`}
+                />
+              </div>
+            </div>
+
+            <div className="mb-3">
+              <label className="block text-xs font-semibold text-gray-600 mb-1">Fallback Keywords (comma-separated)</label>
+              <input
+                value={category.keywords}
+                onChange={(e) => updateCategory(index, 'keywords', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+
+            {/* Subcategories */}
+            <div className="bg-gray-50 rounded-lg p-3">
+              <div className="text-xs font-semibold text-gray-600 mb-2">Subcategories</div>
+              {category.subcategories.length === 0 && (
+                <div className="text-xs text-gray-400 mb-2">None</div>
+              )}
+              <div className="space-y-2">
+                {category.subcategories.map((sub, subIndex) => (
+                  <div key={subIndex} className="flex items-start gap-2">
+                    <input
+                      value={sub.name}
+                      onChange={(e) => updateSubcategory(index, subIndex, 'name', e.target.value)}
+                      placeholder="Name"
+                      className={`${inputClass} w-40`}
+                    />
+                    <input
+                      value={sub.description}
+                      onChange={(e) => updateSubcategory(index, subIndex, 'description', e.target.value)}
+                      placeholder="Description"
+                      className={inputClass}
+                    />
+                    <input
+                      value={sub.keywords}
+                      onChange={(e) => updateSubcategory(index, subIndex, 'keywords', e.target.value)}
+                      placeholder="Keywords"
+                      className={inputClass}
+                    />
+                    <button
+                      onClick={() => removeSubcategory(index, subIndex)}
+                      className="px-2 py-2 text-sm text-gray-400 hover:text-red-600"
+                      title="Remove subcategory"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <button
+                onClick={() => addSubcategory(index)}
+                className="mt-2 text-sm text-blue-600 hover:text-blue-800 font-semibold"
+              >
+                + Add subcategory
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={() => setDraft(prev => [...prev, { ...EMPTY_CATEGORY, subcategories: [] }])}
+        className="mt-4 w-full py-2 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-blue-400 hover:text-blue-600 font-semibold"
+      >
+        + Add Category
+      </button>
+
+      {errors.length > 0 && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-300 rounded-lg text-sm text-red-700">
+          {errors.map(error => <div key={error}>{error}</div>)}
+        </div>
+      )}
+      {status && (
+        <div className="mt-4 p-3 bg-green-50 border border-green-300 rounded-lg text-sm text-green-800">
+          {status}
+        </div>
+      )}
+
+      <div className="flex space-x-3 mt-4">
+        <button
+          onClick={handleSave}
+          className="flex-1 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700"
+        >
+          Save Taxonomy
+        </button>
+        <button
+          onClick={handleReset}
+          className="px-6 py-2 border border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50"
+        >
+          Restore Defaults
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default TaxonomyEditor
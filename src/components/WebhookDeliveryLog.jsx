@@ -0,0 +1,75 @@
+import { useState, useEffect } from 'react'
+import { getDeliveryLog, clearDeliveryLog, subscribeToDeliveries, WEBHOOK_EVENTS } from '../utils/webhooks'
+
+const STATUS_STYLES = {
+  delivered: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  pending: 'bg-amber-100 text-amber-800'
+}
+
+/**
+ * Recent webhook deliveries with each attempt's outcome; updates as deliveries retry
+ */
+function WebhookDeliveryLog() {
+  const [log, setLog] = useState(getDeliveryLog)
+  const [expandedId, setExpandedId] = useState(null)
+
+  useEffect(() => subscribeToDeliveries(setLog), [])
+
+  if (log.length === 0) {
+    return <p className="text-sm text-gray-500">No deliveries yet.</p>
+  }
+
+  return (
+    <div>
+      <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-96 overflow-y-auto">
+        {log.map(delivery => {
+          const lastAttempt = delivery.attempts.at(-1)
+          return (
+            <div key={delivery.id} className="p-3 text-sm">
+              <button
+                onClick={() => setExpandedId(expandedId === delivery.id ? null : delivery.id)}
+                className="w-full flex items-center gap-3 text-left"
+              >
+                <span className={`px-2 py-0.5 rounded text-xs font-semibold ${STATUS_STYLES[delivery.status]}`}>
+                  {delivery.status}
+                </span>
+                <span className="font-semibold text-gray-900">{delivery.webhookName}</span>
+                <span className="text-gray-500">
+                  {delivery.events.map(event => WEBHOOK_EVENTS[event]?.label || event).join(', ')}
+                </span>
+                <span className="flex-1" />
+                <span className="text-gray-500">
+                  {lastAttempt?.status ? `HTTP ${lastAttempt.status} · ` : ''}
+                  {delivery.attempts.length} {delivery.attempts.length === 1 ? 'attempt' : 'attempts'} · {new Date(delivery.createdAt).toLocaleString()}
+                </span>
+              </button>
+              {expandedId === delivery.id && (
+                <div className="mt-2 pl-3 text-xs text-gray-600 space-y-1">
+                  <div>URL: {delivery.url}</div>
+                  {delivery.entryId !== 'test' && <div>History entry: {delivery.entryId}</div>}
+                  {delivery.attempts.map((attempt, index) => (
+                    <div key={index}>
+                      Attempt {index + 1} at {new Date(attempt.at).toLocaleTimeString()}:{' '}
+                      {attempt.error ? `failed (${attempt.error})` : `HTTP ${attempt.status}`}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+      <div className="flex justify-end mt-3">
+        <button
+          onClick={clearDeliveryLog}
+          className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-semibold text-gray-700 hover:bg-gray-50"
+        >
+          Clear Log
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default WebhookDeliveryLog
@@ -0,0 +1,227 @@
+import { useState } from 'react'
+import { getWebhooks, saveWebhooks, syncWebhooks, validateWebhooks, sendTestWebhook, WEBHOOK_EVENTS, PAYLOAD_FORMATS } from '../utils/webhooks'
+
+// Categories are edited as comma-separated "Category" or "Category › Subcategory" labels
+function toDraft(webhooks) {
+  return webhooks.map(webhook => ({ ...webhook, categories: webhook.categories.join(', ') }))
+}
+
+function fromDraft(draft) {
+  return draft.map(webhook => ({
+    ...webhook,
+    categories: webhook.categories.split(',').map(label => label.trim()).filter(Boolean)
+  }))
+}
+
+const EMPTY_WEBHOOK = { id: null, name: '', url: '', enabled: true, events: ['escalation'], categories: '', format: 'generic', secret: '', redactPii: true }
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+
+function WebhookEditor() {
+  const [draft, setDraft] = useState(() => toDraft(getWebhooks()))
+  const [errors, setErrors] = useState([])
+  const [status, setStatus] = useState('')
+  const [testingIndex, setTestingIndex] = useState(null)
+
+  const updateWebhook = (index, field, value) => {
+    setStatus('')
+    setDraft(prev => prev.map((webhook, i) => (i === index ? { ...webhook, [field]: value } : webhook)))
+  }
+
+  const toggleEvent = (index, event) => {
+    const events = draft[index].events
+    updateWebhook(index, 'events', events.includes(event) ? events.filter(e => e !== event) : [...events, event])
+  }
+
+  const removeWebhook = (index) => {
+    if (window.confirm(`Remove "${draft[index].name || draft[index].url || 'this webhook'}"?`)) {
+      setDraft(prev => prev.filter((_, i) => i !== index))
+    }
+  }
+
+  const handleSave = async () => {
+    const webhooks = fromDraft(draft)
+    const validationErrors = validateWebhooks(webhooks)
+    setErrors(validationErrors)
+    if (validationErrors.length > 0) return
+
+    const saved = saveWebhooks(webhooks)
+    setDraft(toDraft(saved))
+    try {
+      await syncWebhooks(saved)
+      setStatus('Webhooks saved.')
+    } catch (error) {
+      setErrors([`Webhooks saved, but the API server couldn't be updated (${error.message}). Deliveries fail until it is; save again once it's running.`])
+    }
+  }
+
+  const handleTest = async (index) => {
+    const [webhook] = fromDraft([draft[index]])
+    const validationErrors = validateWebhooks([webhook])
+    // The relay only posts to webhooks saved on the server
+    if (!getWebhooks().some(saved => saved.url === webhook.url)) {
+      validationErrors.push(`Save ${webhook.name || 'this webhook'} before sending a test`)
+    }
+    setErrors(validationErrors)
+    if (validationErrors.length > 0) return
+
+    setTestingIndex(index)
+    setStatus('')
+    const delivery = await sendTestWebhook(webhook)
+    setTestingIndex(null)
+    setStatus(delivery.status === 'delivered'
+      ? `Test delivered to ${webhook.name || webhook.url}.`
+      : `Test to ${webhook.name || webhook.url} failed: ${delivery.attempts.at(-1)?.error}. See the delivery log below.`)
+  }
+
+  return (
+    <div>
+      {draft.length === 0 && (
+        <p className="text-sm text-gray-500">No webhooks yet.</p>
+      )}
+      <div className="space-y-4">
+        {draft.map((webhook, index) => (
+          <div key={webhook.id || index} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex items-start gap-3 mb-3">
+              <div className="w-48">
+                <label className="block text-xs font-semibold text-gray-600 mb-1">Name</label>
+                <input
+                  value={webhook.name}
+                  onChange={(e) => updateWebhook(index, 'name', e.target.value)}
+                  placeholder="e.g. #support-escalations"
+                  className={inputClass}
+                />
+              </div>
+              <div className="flex-1">
+                <label className="block text-xs font-semibold text-gray-600 mb-1">URL</label>
+                <input
+                  value={webhook.url}
+                  onChange={(e) => updateWebhook(index, 'url', e.target.value)}
+                  placeholder="https://hooks.slack.com/services/..."
+                  className={inputClass}
+                />
+              </div>
+              <label className="mt-6 flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={webhook.enabled}
+                  onChange={() => updateWebhook(index, 'enabled', !webhook.enabled)}
+                  className="mr-2"
+                />
+                Enabled
+              </label>
+              <label className="mt-6 flex items-center text-sm text-gray-700" title="Replace emails, phone numbers, card numbers and other personal data in the payload with placeholders">
+                <input
+                  type="checkbox"
+                  checked={webhook.redactPii}
+                  onChange={() => updateWebhook(index, 'redactPii', !webhook.redactPii)}
+                  className="mr-2"
+                />
+                Redact PII
+              </label>
+              <button
+                onClick={() => removeWebhook(index)}
+                className="mt-5 px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg font-semibold"
+              >
+                Remove
+              </button>
+            </div>
+
+            <div className="mb-3">
+              <label className="block text-xs font-semibold text-gray-600 mb-1">Fire on</label>
+              <div className="flex flex-wrap gap-4">
+                {Object.entries(WEBHOOK_EVENTS).map(([event, { label, description }]) => (
+                  <label key={event} className="flex items-center text-sm text-gray-700" title={description}>
+                    <input
+                      type="checkbox"
+                      checked={webhook.events.includes(event)}
+                      onChange={() => toggleEvent(index, event)}
+                      className="mr-2"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {webhook.events.includes('category') && (
+              <div className="mb-3">
+                <label className="block text-xs font-semibold text-gray-600 mb-1">
+                  Categories (comma-separated, e.g. Billing Issue, Technical Problem › Outage)
+                </label>
+                <input
+                  value={webhook.categories}
+                  onChange={(e) => updateWebhook(index, 'categories', e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+            )}
+
+            <div className="flex items-end gap-3">
+              <div className="w-48">
+                <label className="block text-xs font-semibold text-gray-600 mb-1">Payload</label>
+                <select
+                  value={webhook.format}
+                  onChange={(e) => updateWebhook(index, 'format', e.target.value)}
+                  className={inputClass}
+                >
+                  {Object.entries(PAYLOAD_FORMATS).map(([format, label]) => (
+                    <option key={format} value={format}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex-1">
+                <label className="block text-xs font-semibold text-gray-600 mb-1">
+                  Signing secret (optional; signs X-Triage-Signature with HMAC-SHA256)
+                </label>
+                <input
+                  type="password"
+                  value={webhook.secret}
+                  onChange={(e) => updateWebhook(index, 'secret', e.target.value)}
+                  autoComplete="off"
+                  className={inputClass}
+                />
+              </div>
+              <button
+                onClick={() => handleTest(index)}
+                disabled={testingIndex !== null}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-semibold text-gray-700 hover:bg-gray-50 disabled:text-gray-400"
+              >
+                {testingIndex === index ? 'Sending...' : 'Send Test'}
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={() => setDraft(prev => [...prev, { ...EMPTY_WEBHOOK }])}
+        className="mt-4 w-full py-2 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-blue-400 hover:text-blue-600 font-semibold"
+      >
+        + Add Webhook
+      </button>
+
+      {errors.length > 0 && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-300 rounded-lg text-sm text-red-700">
+          {errors.map(error => <div key={error}>{error}</div>)}
+        </div>
+      )}
+      {status && (
+        <div className="mt-4 p-3 bg-green-50 border border-green-300 rounded-lg text-sm text-green-800">
+          {status}
+        </div>
+      )}
+
+      <div className="flex space-x-3 mt-4">
+        <button
+          onClick={handleSave}
+          className="flex-1 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700"
+        >
+          Save Webhooks
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default WebhookEditor
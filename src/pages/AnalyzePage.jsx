@@ -1,14 +1,46 @@
 import { useState, useEffect, useRef } from 'react'
 import ReactMarkdown from 'react-markdown'
-import { categorizeMessage } from '../utils/llmHelper'
-import { calculateUrgency } from '../utils/urgencyScorer'
-import { getRecommendedAction } from '../utils/templates'
+import { Link } from 'react-router-dom'
+import BatchTriage from '../components/BatchTriage'
+import { analyzeMessage, ANALYSIS_MODES, DEFAULT_ANALYSIS_MODE } from '../utils/triagePipeline'
+import { appendHistory, loadHistory } from '../utils/historyStore'
+import { dispatchWebhooks } from '../utils/webhooks'
+import { detectIncident } from '../utils/incidentDetector'
+import { formatCategoryLabel } from '../utils/taxonomy'
+import { describeRedactions } from '../utils/redaction'
+import { CONTACT_WINDOW_DAYS } from '../utils/conversations'
+import { findCustomerProfile, validateCustomerProfiles, formatAccountValue, CUSTOMER_TIERS } from '../utils/customerProfiles'
+import CorrectionControls from '../components/CorrectionControls'
+import IncidentBanner from '../components/IncidentBanner'
+import QueueStatus from '../components/QueueStatus'
+import ReplyDraftPanel from '../components/ReplyDraftPanel'
+import ResponseSuggestions from '../components/ResponseSuggestions'
+
+// Placeholder for a result part that hasn't arrived yet
+function PendingPart() {
+  return <div className="h-10 bg-gray-100 rounded-lg animate-pulse" />
+}
+
+// Lazy initializer for the incident state
+function getCurrentIncident() {
+  return detectIncident(loadHistory())
+}
 
 function AnalyzePage() {
+  const [mode, setMode] = useState('single')
   const [message, setMessage] = useState('')
+  const [customerId, setCustomerId] = useState('')
+  // Customer details entered for this message; null uses the saved profile, if any
+  const [profileDraft, setProfileDraft] = useState(null)
+  const [analysisMode, setAnalysisMode] = useState(DEFAULT_ANALYSIS_MODE)
   const [results, setResults] = useState(null)
+  // Result fields streamed in so far, while an analysis is running
+  const [partial, setPartial] = useState(null)
+  // Signal of the running analysis, to find its requests in the rate-limit queue
+  const [activeSignal, setActiveSignal] = useState(null)
   const [isLoading, setIsLoading] = useState(false)
   const [loadingStage, setLoadingStage] = useState('')
+  const [incident, setIncident] = useState(getCurrentIncident)
   const abortControllerRef = useRef(null)
 
   useEffect(() => {
@@ -35,14 +67,20 @@ function AnalyzePage() {
       abortControllerRef.current = null
       setIsLoading(false)
       setLoadingStage('')
+      setPartial(null)
     }
   }
 
-  const handleAnalyze = async () => {
+  const handleAnalyze = async ({ forceRefresh = false } = {}) => {
     if (!message.trim()) {
       alert('Please enter a message to analyze')
       return
     }
+    const profileErrors = profileDraft ? validateCustomerProfiles([profileDraft], { requireId: false }) : []
+    if (profileErrors.length > 0) {
+      alert(profileErrors.map(error => error.replace(/^Customer 1: /, '')).join('\n'))
+      return
+    }
 
     // Cancel any existing request
     if (abortControllerRef.current) {
@@ -53,45 +91,30 @@ function AnalyzePage() {
     abortControllerRef.current = new AbortController()
     const signal = abortControllerRef.current.signal
 
+    setActiveSignal(signal)
     setIsLoading(true)
     setResults(null)
+    setPartial({})
 
     try {
-      // Stage 1: Run categorization and urgency in parallel
-      // (urgency works without category, just slightly less accurate)
-      setLoadingStage('Analyzing message...')
-
-      const [categoryResult, urgencyResult] = await Promise.all([
-        categorizeMessage(message, signal),
-        calculateUrgency(message, null, signal)
-      ])
-
-      const { category, reasoning } = categoryResult
-
-      // Stage 2: Get recommended action (needs both category and urgency)
-      setLoadingStage('Generating recommendations...')
-
-      const actionResult = await getRecommendedAction(message, category, urgencyResult.level, signal)
-
-      const analysisResult = {
-        message,
-        category,
-        urgency: urgencyResult.level,
-        urgencyScore: urgencyResult.score,
-        urgencyReasoning: urgencyResult.reasoning,
-        recommendedAction: actionResult.action,
-        escalate: actionResult.escalate,
-        escalateReason: actionResult.escalateReason,
-        reasoning,
-        timestamp: new Date().toISOString()
-      }
+      const analysisResult = await analyzeMessage(message, {
+        signal,
+        onStage: setLoadingStage,
+        mode: analysisMode,
+        forceRefresh,
+        customerId: customerId.trim() || null,
+        customerProfile: profileDraft,
+        onPartial: (fields) => {
+          if (!signal.aborted) setPartial(prev => ({ ...prev, ...fields }))
+        }
+      })
 
       setResults(analysisResult)
 
-      // Save to history
-      const history = JSON.parse(localStorage.getItem('triageHistory') || '[]')
-      history.push(analysisResult)
-      localStorage.setItem('triageHistory', JSON.stringify(history))
+      // Save to history only once every part has completed
+      appendHistory(analysisResult)
+      dispatchWebhooks(analysisResult)
+      setIncident(getCurrentIncident())
     } catch (error) {
       if (error.message === 'Request cancelled') {
         console.log('Analysis cancelled by user')
@@ -100,91 +123,305 @@ function AnalyzePage() {
         alert('Error analyzing message. Please try again.')
       }
     } finally {
-      setIsLoading(false)
-      setLoadingStage('')
-      abortControllerRef.current = null
+      // A newer run (or a cancel) owns the loading state once it has replaced this controller
+      if (abortControllerRef.current?.signal === signal) {
+        setIsLoading(false)
+        setLoadingStage('')
+        setPartial(null)
+        abortControllerRef.current = null
+      }
     }
   }
 
+  // Finished result, or the parts streamed in so far
+  const view = results || partial
+
+  const savedProfile = findCustomerProfile(customerId)
+
+  const editProfile = () => {
+    setProfileDraft({
+      tier: savedProfile?.tier || '',
+      plan: savedProfile?.plan || '',
+      accountValue: savedProfile?.accountValue ?? '',
+      renewalDate: savedProfile?.renewalDate || ''
+    })
+  }
+
+  const updateProfileDraft = (field, value) => {
+    setProfileDraft(prev => ({ ...prev, [field]: value }))
+  }
+
   const handleClear = () => {
     setMessage('')
+    setCustomerId('')
+    setProfileDraft(null)
     setResults(null)
   }
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-4xl mx-auto px-4">
+        <IncidentBanner incident={incident} />
+
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
           <h1 className="text-2xl font-bold text-gray-900 mb-2">Analyze Customer Message</h1>
-          <p className="text-gray-600 mb-6">
-            Paste a customer support message below to automatically categorize and prioritize.
+          <p className="text-gray-600 mb-4">
+            {mode === 'single'
+              ? 'Paste a customer support message below to automatically categorize and prioritize.'
+              : 'Upload an inbox export to categorize and prioritize every message in it.'}
           </p>
 
-          {/* Input Section */}
-          <div className="mb-4">
-            <label className="block text-sm font-semibold text-gray-700 mb-2">
-              Customer Message
-            </label>
-            <textarea
-              value={message}
-              onChange={(e) => setMessage(e.target.value)}
-              placeholder="Paste customer message here..."
-              className="w-full border border-gray-300 rounded-lg p-3 h-40 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-              disabled={isLoading}
-            />
-            <div className="text-sm text-gray-500 mt-1">
-              {message.length} characters
-            </div>
-          </div>
-
-          {/* Action Buttons */}
-          <div className="flex space-x-3">
-            <button
-              onClick={handleAnalyze}
-              disabled={isLoading}
-              className={`flex-1 py-3 rounded-lg font-semibold ${
-                isLoading
-                  ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-                  : 'bg-blue-600 text-white hover:bg-blue-700'
-              }`}
-            >
-              {isLoading ? (
-                <span className="flex items-center justify-center">
-                  <svg className="animate-spin h-5 w-5 mr-2" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-                  </svg>
-                  {loadingStage || 'Analyzing...'}
-                </span>
-              ) : (
-                'Analyze Message'
-              )}
-            </button>
-            {isLoading && (
+          {/* Mode Toggle */}
+          <div className="flex space-x-2 mb-6">
+            {[['single', 'Single Message'], ['batch', 'Batch Upload']].map(([value, label]) => (
               <button
-                onClick={handleCancel}
-                className="px-6 py-3 bg-red-500 text-white rounded-lg font-semibold hover:bg-red-600"
+                key={value}
+                onClick={() => setMode(value)}
+                disabled={isLoading}
+                className={`px-4 py-2 rounded-lg font-semibold text-sm ${
+                  mode === value
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
               >
-                Cancel
+                {label}
               </button>
-            )}
-            <button
-              onClick={handleClear}
-              disabled={isLoading}
-              className="px-6 py-3 border border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50"
-            >
-              Clear
-            </button>
+            ))}
           </div>
+
+          {mode === 'batch' && <BatchTriage onSaved={() => setIncident(getCurrentIncident())} />}
+
+          {mode === 'single' && (
+            <>
+              {/* Input Section */}
+              <div className="mb-4">
+                <label className="block text-sm font-semibold text-gray-700 mb-2">
+                  Customer Message
+                </label>
+                <textarea
+                  value={message}
+                  onChange={(e) => setMessage(e.target.value)}
+                  placeholder="Paste customer message here..."
+                  className="w-full border border-gray-300 rounded-lg p-3 h-40 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  disabled={isLoading}
+                />
+                <div className="text-sm text-gray-500 mt-1">
+                  {message.length} characters
+                </div>
+              </div>
+
+              {/* Customer */}
+              <div className="mb-4">
+                <label className="block text-sm font-semibold text-gray-700 mb-2">
+                  Customer ID or Email <span className="font-normal text-gray-500">(optional)</span>
+                </label>
+                <input
+                  value={customerId}
+                  onChange={(e) => setCustomerId(e.target.value)}
+                  placeholder="e.g. ACME-1042 or jane@example.com"
+                  className="w-full md:w-1/2 border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  disabled={isLoading}
+                />
+                <div className="text-xs text-gray-500 mt-1">
+                  Earlier messages from the same customer are used as context and counted as repeat contacts.
+                </div>
+                {!profileDraft && (
+                  <div className="flex items-center gap-3 mt-2 text-sm">
+                    {savedProfile && (
+                      <span className="text-gray-700">
+                        📇 {[
+                          savedProfile.tier,
+                          savedProfile.plan && `${savedProfile.plan} plan`,
+                          savedProfile.accountValue !== null && `${formatAccountValue(savedProfile.accountValue)} ARR`,
+                          savedProfile.renewalDate && `renews ${savedProfile.renewalDate}`
+                        ].filter(Boolean).join(' · ') || 'Saved profile'}
+                      </span>
+                    )}
+                    <button
+                      onClick={editProfile}
+                      disabled={isLoading}
+                      className="text-blue-600 hover:underline font-semibold"
+                    >
+                      {savedProfile ? 'Edit for this message' : 'Add customer details'}
+                    </button>
+                  </div>
+                )}
+                {profileDraft && (
+                  <div className="mt-3 p-3 border border-gray-200 rounded-lg">
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                      <div>
+                        <label className="block text-xs font-semibold text-gray-600 mb-1">Tier</label>
+                        <select
+                          value={profileDraft.tier}
+                          onChange={(e) => updateProfileDraft('tier', e.target.value)}
+                          className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                          disabled={isLoading}
+                        >
+                          <option value="">-</option>
+                          {Object.keys(CUSTOMER_TIERS).map(tier => <option key={tier} value={tier}>{tier}</option>)}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-xs font-semibold text-gray-600 mb-1">Plan</label>
+                        <input
+                          value={profileDraft.plan}
+                          onChange={(e) => updateProfileDraft('plan', e.target.value)}
+                          className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                          disabled={isLoading}
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs font-semibold text-gray-600 mb-1">Annual account value</label>
+                        <input
+                          value={profileDraft.accountValue}
+                          onChange={(e) => updateProfileDraft('accountValue', e.target.value)}
+                          placeholder="120k"
+                          className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                          disabled={isLoading}
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs font-semibold text-gray-600 mb-1">Renewal date</label>
+                        <input
+                          type="date"
+                          value={profileDraft.renewalDate}
+                          onChange={(e) => updateProfileDraft('renewalDate', e.target.value)}
+                          className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                          disabled={isLoading}
+                        />
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => setProfileDraft(null)}
+                      disabled={isLoading}
+                      className="mt-2 text-sm text-gray-600 hover:underline"
+                    >
+                      {savedProfile ? 'Use the saved profile' : 'Remove customer details'}
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {/* Analysis Mode */}
+              <div className="mb-4">
+                <div className="block text-sm font-semibold text-gray-700 mb-2">Analysis Mode</div>
+                <div className="flex flex-wrap gap-4">
+                  {Object.entries(ANALYSIS_MODES).map(([value, { label, description }]) => (
+                    <label key={value} className="flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="analysisMode"
+                        value={value}
+                        checked={analysisMode === value}
+                        onChange={() => setAnalysisMode(value)}
+                        disabled={isLoading}
+                        className="mt-0.5"
+                      />
+                      <span>
+                        <span className="font-semibold">{label}</span>
+                        <span className="block text-xs text-gray-500">{description}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Action Buttons */}
+              <div className="flex space-x-3">
+                <button
+                  onClick={() => handleAnalyze()}
+                  disabled={isLoading}
+                  className={`flex-1 py-3 rounded-lg font-semibold ${
+                    isLoading
+                      ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                      : 'bg-blue-600 text-white hover:bg-blue-700'
+                  }`}
+                >
+                  {isLoading ? (
+                    <span className="flex items-center justify-center">
+                      <svg className="animate-spin h-5 w-5 mr-2" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
+                      </svg>
+                      {loadingStage || 'Analyzing...'}
+                    </span>
+                  ) : (
+                    'Analyze Message'
+                  )}
+                </button>
+                {isLoading && (
+                  <button
+                    onClick={handleCancel}
+                    className="px-6 py-3 bg-red-500 text-white rounded-lg font-semibold hover:bg-red-600"
+                  >
+                    Cancel
+                  </button>
+                )}
+                <button
+                  onClick={handleClear}
+                  disabled={isLoading}
+                  className="px-6 py-3 border border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50"
+                >
+                  Clear
+                </button>
+              </div>
+
+              {isLoading && <QueueStatus signal={activeSignal} />}
+            </>
+          )}
         </div>
 
         {/* Results Section */}
-        {results && (
+        {mode === 'single' && view && (
           <div className="bg-white rounded-lg shadow-md p-6">
-            <h2 className="text-xl font-bold text-gray-900 mb-4">Analysis Results</h2>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-bold text-gray-900">Analysis Results</h2>
+              {!results && (
+                <span className="text-sm text-gray-500 animate-pulse">{loadingStage || 'Analyzing...'}</span>
+              )}
+              {results?.cachedAt && (
+                <div className="flex items-center gap-3">
+                  <span
+                    className="text-xs px-3 py-1 rounded-full font-semibold bg-gray-100 text-gray-700"
+                    title="Same message, model and prompt version as an earlier analysis; no API calls were made"
+                  >
+                    ⚡ Cached from {new Date(results.cachedAt).toLocaleString()}
+                  </span>
+                  <button
+                    onClick={() => handleAnalyze({ forceRefresh: true })}
+                    disabled={isLoading || message !== results.message}
+                    className="text-sm text-blue-600 hover:text-blue-800 font-semibold disabled:text-gray-400"
+                  >
+                    Force re-analyze
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {/* Untrusted Content Warning */}
+            {results?.untrustedContent && (
+              <div className="mb-4 p-4 bg-orange-50 border border-orange-300 rounded-lg">
+                <div className="flex items-start">
+                  <span className="text-orange-600 text-xl mr-3">🛡️</span>
+                  <div>
+                    <div className="font-semibold text-orange-800">Untrusted Content</div>
+                    <p className="text-sm text-orange-700 mt-1">
+                      This message contains instruction-like text that may try to steer the AI ({results.untrustedContent.reasons.join('; ').toLowerCase()}).
+                      Urgency and escalation come from the rule-based scorer instead of the AI. Review the category manually.
+                    </p>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {results?.redactions && Object.keys(results.redactions).length > 0 && (
+              <div className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700">
+                🔒 Masked before sending to the AI: {describeRedactions(results.redactions)}
+              </div>
+            )}
 
             {/* Escalation Alert */}
-            {results.escalate && (
+            {results?.escalate && (
               <div className="mb-4 p-4 bg-red-50 border border-red-300 rounded-lg">
                 <div className="flex items-start">
                   <span className="text-red-600 text-xl mr-3">⚠️</span>
@@ -196,68 +433,201 @@ function AnalyzePage() {
               </div>
             )}
 
+            {results?.relatedIncident && (
+              <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+                🚨 Counted as part of the possible incident
+                {results.relatedIncident.sharedTerms.length > 0 && ` (shared terms: ${results.relatedIncident.sharedTerms.join(', ')})`}.
+              </div>
+            )}
+
+            {results?.conversation && (
+              <div className="mb-4 p-3 bg-indigo-50 border border-indigo-200 rounded-lg text-sm text-indigo-800">
+                💬 Contact #{results.conversation.contactCount} from this customer
+                {results.conversation.kind === 'thread' ? ' in this thread' : ` in the last ${CONTACT_WINDOW_DAYS} days`}; earlier messages were used as context.{' '}
+                <Link to={`/history?entry=${results.conversation.previousIds.at(-1)}`} className="font-semibold hover:underline">
+                  View the previous message
+                </Link>
+              </div>
+            )}
+
+            {results?.customerProfile?.reason && (
+              <div className="mb-4 p-3 bg-purple-50 border border-purple-200 rounded-lg text-sm text-purple-800">
+                📇 {results.customerProfile.reason}; taken into account for urgency and escalation.
+              </div>
+            )}
+
+            {/* Possible Duplicate Alert */}
+            {results?.possibleDuplicates?.length > 0 && (
+              <div className="mb-4 p-4 bg-yellow-50 border border-yellow-300 rounded-lg">
+                <div className="flex items-start">
+                  <span className="text-yellow-600 text-xl mr-3">🔁</span>
+                  <div className="flex-1 min-w-0">
+                    <div className="font-semibold text-yellow-800">Possible Duplicate</div>
+                    <p className="text-sm text-yellow-700 mt-1">
+                      This message closely matches {results.possibleDuplicates.length === 1 ? 'an earlier ticket' : `${results.possibleDuplicates.length} earlier tickets`}.
+                    </p>
+                    <div className="mt-2 space-y-1">
+                      {results.possibleDuplicates.map(duplicate => (
+                        <Link
+                          key={duplicate.id}
+                          to={`/history?entry=${duplicate.id}`}
+                          className="flex items-center gap-3 text-sm text-yellow-900 hover:underline"
+                        >
+                          <span className="text-xs font-semibold w-10">{Math.round(duplicate.score * 100)}%</span>
+                          <span className="flex-1 truncate">"{duplicate.message}"</span>
+                          <span className="text-xs text-yellow-700">{new Date(duplicate.timestamp).toLocaleDateString()}</span>
+                        </Link>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )}
+
             <div className="space-y-4">
               <div>
                 <div className="text-sm font-semibold text-gray-600 mb-1">Category</div>
-                <div className="inline-block bg-blue-100 text-blue-800 px-4 py-2 rounded-lg font-semibold">
-                  {results.category}
-                </div>
+                {view.category ? (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <div className="inline-block bg-blue-100 text-blue-800 px-4 py-2 rounded-lg font-semibold">
+                      {formatCategoryLabel(view.category, view.subcategory)}
+                      {view.categoryConfidence !== undefined && (
+                        <span className="ml-2 text-xs font-normal text-blue-600">
+                          {Math.round(view.categoryConfidence * 100)}%
+                        </span>
+                      )}
+                    </div>
+                    {view.secondaryCategories?.map(label => (
+                      <div
+                        key={label.category}
+                        className="inline-block bg-blue-50 text-blue-700 border border-blue-200 px-3 py-1.5 rounded-lg text-sm"
+                      >
+                        {formatCategoryLabel(label.category, label.subcategory)}
+                        <span className="ml-2 text-xs text-blue-500">{Math.round(label.confidence * 100)}%</span>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <PendingPart />
+                )}
+                {view.secondaryCategories?.length > 0 && (
+                  <p className="mt-1 text-xs text-gray-500">Primary label first; secondary labels also route this message to their queues.</p>
+                )}
               </div>
 
               <div>
                 <div className="text-sm font-semibold text-gray-600 mb-1">Urgency Level</div>
-                <div className="flex items-center gap-3">
-                  <div className={`inline-block px-4 py-2 rounded-lg font-semibold ${
-                    results.urgency === 'High' ? 'bg-red-200 text-red-900' :
-                    results.urgency === 'Medium' ? 'bg-yellow-200 text-yellow-900' :
-                    'bg-green-200 text-green-900'
-                  }`}>
-                    {results.urgency}
+                {view.urgency ? (
+                  <div className="flex items-center gap-3">
+                    <div className={`inline-block px-4 py-2 rounded-lg font-semibold ${
+                      view.urgency === 'High' ? 'bg-red-200 text-red-900' :
+                      view.urgency === 'Medium' ? 'bg-yellow-200 text-yellow-900' :
+                      'bg-green-200 text-green-900'
+                    }`}>
+                      {view.urgency}
+                    </div>
+                    {view.urgencyScore !== undefined && (
+                      <span className="text-sm text-gray-500">
+                        Score: {view.urgencyScore}/100
+                      </span>
+                    )}
                   </div>
-                  {results.urgencyScore !== undefined && (
-                    <span className="text-sm text-gray-500">
-                      Score: {results.urgencyScore}/100
-                    </span>
-                  )}
-                </div>
-                {results.urgencyReasoning && (
+                ) : (
+                  <PendingPart />
+                )}
+                {view.urgencyReasoning && (
                   <p className="mt-2 text-sm text-gray-600 bg-gray-50 rounded p-2">
-                    {results.urgencyReasoning}
+                    {view.urgencyReasoning}
                   </p>
                 )}
               </div>
 
               <div>
                 <div className="text-sm font-semibold text-gray-600 mb-1">Recommended Action</div>
-                <div className="bg-purple-50 border border-purple-200 rounded-lg p-4">
-                  <p className="text-gray-800">{results.recommendedAction}</p>
-                </div>
+                {view.recommendedAction ? (
+                  <div className="bg-purple-50 border border-purple-200 rounded-lg p-4">
+                    <p className="text-gray-800">{view.recommendedAction}</p>
+                  </div>
+                ) : (
+                  <PendingPart />
+                )}
               </div>
 
+              {results && (
+                <>
+                  <CorrectionControls key={results.id} entry={results} onSaved={setResults} />
+
+                  <ResponseSuggestions key={`templates-${results.id}`} entry={results} onSaved={setResults} />
+
+                  <ReplyDraftPanel key={`reply-${results.id}`} entry={results} onSaved={setResults} />
+                </>
+              )}
+
               <div>
                 <div className="text-sm font-semibold text-gray-600 mb-1">AI Reasoning</div>
-                <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
-                  <div className="prose prose-sm max-w-none text-gray-700">
-                    <ReactMarkdown>
-                      {results.reasoning}
-                    </ReactMarkdown>
+                {view.reasoning ? (
+                  <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+                    <div className="prose prose-sm max-w-none text-gray-700">
+                      <ReactMarkdown>
+                        {view.reasoning}
+                      </ReactMarkdown>
+                    </div>
                   </div>
-                </div>
+                ) : (
+                  <PendingPart />
+                )}
               </div>
-            </div>
 
-            <div className="mt-6 pt-4 border-t border-gray-200">
-              <button
-                onClick={() => {
-                  const text = `Category: ${results.category}\nUrgency: ${results.urgency}${results.urgencyScore !== undefined ? ` (${results.urgencyScore}/100)` : ''}\n${results.urgencyReasoning ? `Urgency Analysis: ${results.urgencyReasoning}\n` : ''}${results.escalate ? `⚠️ ESCALATION REQUIRED: ${results.escalateReason}\n` : ''}Recommendation: ${results.recommendedAction}\n\nCategory Reasoning: ${results.reasoning}`
-                  navigator.clipboard.writeText(text)
-                  alert('Results copied to clipboard!')
-                }}
-                className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 font-semibold"
-              >
-                📋 Copy Results
-              </button>
+              {results?.influencedBy?.length > 0 && (
+                <div>
+                  <div className="text-sm font-semibold text-gray-600 mb-1">Similar Past Tickets Used as Examples</div>
+                  <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                    {results.influencedBy.map(ticket => (
+                      <Link
+                        key={ticket.id}
+                        to={`/history?entry=${ticket.id}`}
+                        className="flex items-center gap-3 p-3 hover:bg-gray-50"
+                      >
+                        <span className="text-xs font-semibold text-gray-500 w-12">{Math.round(ticket.score * 100)}%</span>
+                        <span className="flex-1 text-sm text-gray-700 truncate">"{ticket.message}"</span>
+                        <span className="text-xs bg-blue-100 text-blue-800 px-2 py-0.5 rounded">{ticket.category}</span>
+                        <span className="text-xs text-gray-500">{ticket.urgency}</span>
+                        {ticket.verified && (
+                          <span className="text-xs text-green-700" title="Reviewed by an agent">✅</span>
+                        )}
+                      </Link>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
+
+            {results?.metrics && (
+              <div className="mt-6 text-xs text-gray-500">
+                {results.analysisMode === 'combined-fallback'
+                  ? 'Single call returned incomplete output; reran with three calls'
+                  : ANALYSIS_MODES[results.analysisMode]?.label}
+                {' · '}{(results.metrics.latencyMs / 1000).toFixed(1)}s
+                {' · '}{results.metrics.calls} {results.metrics.calls === 1 ? 'call' : 'calls'}
+                {' · '}{results.metrics.estimated ? '~' : ''}{results.metrics.totalTokens} tokens
+                {' '}({results.metrics.promptTokens} prompt, {results.metrics.completionTokens} completion)
+              </div>
+            )}
+
+            {results && (
+              <div className="mt-4 pt-4 border-t border-gray-200">
+                <button
+                  onClick={() => {
+                    const text = `Category: ${formatCategoryLabel(results.category, results.subcategory)}${results.secondaryCategories?.length ? ` (also: ${results.secondaryCategories.map(label => formatCategoryLabel(label.category, label.subcategory)).join(', ')})` : ''}\nUrgency: ${results.urgency}${results.urgencyScore !== undefined ? ` (${results.urgencyScore}/100)` : ''}\n${results.urgencyReasoning ? `Urgency Analysis: ${results.urgencyReasoning}\n` : ''}${results.escalate ? `⚠️ ESCALATION REQUIRED: ${results.escalateReason}\n` : ''}Recommendation: ${results.recommendedAction}\n\nCategory Reasoning: ${results.reasoning}`
+                    navigator.clipboard.writeText(text)
+                    alert('Results copied to clipboard!')
+                  }}
+                  className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 font-semibold"
+                >
+                  📋 Copy Results
+                </button>
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -1,43 +1,30 @@
 import { useMemo } from 'react'
+import { detectIncident } from '../utils/incidentDetector'
+import { getTemplateUsage } from '../utils/responseLibrary'
+import { summarizeAnalysisMetrics } from '../utils/triagePipeline'
+import { computeHistoryStats } from '../utils/historyStats'
+import IncidentBanner from '../components/IncidentBanner'
 
 // Load data from localStorage once
 function loadDashboardData() {
   const history = JSON.parse(localStorage.getItem('triageHistory') || '[]')
-  const today = new Date().toDateString()
-  const todayMessages = history.filter(item =>
-    new Date(item.timestamp).toDateString() === today
-  )
-
-  // Calculate stats
-  const highUrgency = history.filter(h => h.urgency === 'High').length
-  const totalDays = history.length > 0 ? 7 : 1
+  const { categories: categoryData, urgency: urgencyData, ...stats } = computeHistoryStats(history)
 
-  const stats = {
-    total: history.length,
-    today: todayMessages.length,
-    highUrgencyPercent: history.length > 0 ? Math.round((highUrgency / history.length) * 100) : 0,
-    avgPerDay: Math.round(history.length / totalDays)
-  }
+  // Spike of high-urgency technical messages
+  const incident = detectIncident(history)
 
-  // Category distribution
-  const categories = {}
-  history.forEach(item => {
-    categories[item.category] = (categories[item.category] || 0) + 1
-  })
-  const categoryData = Object.entries(categories).map(([name, count]) => ({ name, count }))
+  // Canned response usage
+  const templateUsage = getTemplateUsage(history)
 
-  // Urgency breakdown
-  const urgencyData = { High: 0, Medium: 0, Low: 0 }
-  history.forEach(item => {
-    urgencyData[item.urgency] = (urgencyData[item.urgency] || 0) + 1
-  })
+  // Latency and tokens per analysis mode
+  const analysisMetrics = summarizeAnalysisMetrics(history)
 
-  return { stats, categoryData, urgencyData }
+  return { stats, categoryData, urgencyData, incident, templateUsage, analysisMetrics }
 }
 
 function DashboardPage() {
   // Load dashboard data once on mount using useMemo
-  const { stats, categoryData, urgencyData } = useMemo(() => loadDashboardData(), [])
+  const { stats, categoryData, urgencyData, incident, templateUsage, analysisMetrics } = useMemo(() => loadDashboardData(), [])
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
@@ -47,6 +34,8 @@ function DashboardPage() {
           <p className="text-gray-600">Overview of message triage analytics</p>
         </div>
 
+        <IncidentBanner incident={incident} />
+
         {/* Stats Cards */}
         <div className="grid grid-cols-4 gap-4 mb-8">
           <div className="bg-white rounded-lg shadow p-6">
@@ -129,6 +118,73 @@ function DashboardPage() {
           </div>
         </div>
 
+        {/* Template Usage */}
+        <div className="bg-white rounded-lg shadow p-6 mt-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">Template Usage</h2>
+          {templateUsage.length === 0 ? (
+            <div className="text-center text-gray-500 py-8">No templates used yet</div>
+          ) : (
+            <div className="space-y-3">
+              {templateUsage.map(item => {
+                const percentage = (item.count / templateUsage[0].count) * 100
+                return (
+                  <div key={item.templateId}>
+                    <div className="flex justify-between text-sm mb-1">
+                      <span className="text-gray-700">{item.title}</span>
+                      <span className="text-gray-600">{item.count}</span>
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div
+                        className="bg-teal-500 h-2 rounded-full"
+                        style={{ width: `${percentage}%` }}
+                      />
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+
+        {/* Analysis Performance */}
+        <div className="bg-white rounded-lg shadow p-6 mt-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">Analysis Performance</h2>
+          {analysisMetrics.every(item => item.runs === 0) ? (
+            <div className="text-center text-gray-500 py-8">No measured analyses yet</div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-2 font-semibold">Mode</th>
+                  <th className="py-2 font-semibold text-right">Runs</th>
+                  <th className="py-2 font-semibold text-right">Avg Latency</th>
+                  <th className="py-2 font-semibold text-right">Avg Calls</th>
+                  <th className="py-2 font-semibold text-right">Avg Tokens</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analysisMetrics.map(item => (
+                  <tr key={item.mode} className="border-b border-gray-100 text-gray-700">
+                    <td className="py-2">
+                      {item.label}
+                      {item.fallbacks > 0 && (
+                        <span className="ml-2 text-xs text-gray-500">({item.fallbacks} fell back to three calls)</span>
+                      )}
+                    </td>
+                    <td className="py-2 text-right">{item.runs}</td>
+                    <td className="py-2 text-right">{item.runs > 0 ? `${(item.avgLatencyMs / 1000).toFixed(1)}s` : '-'}</td>
+                    <td className="py-2 text-right">{item.runs > 0 ? item.avgCalls.toFixed(1) : '-'}</td>
+                    <td className="py-2 text-right">{item.runs > 0 ? `${item.estimated ? '~' : ''}${item.avgTokens}` : '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {analysisMetrics.some(item => item.estimated) && (
+            <p className="mt-2 text-xs text-gray-500">~ Token counts estimated where the provider doesn't report usage.</p>
+          )}
+        </div>
+
         {/* Insights Section */}
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-6 mt-6">
           <h2 className="text-lg font-bold text-blue-900 mb-2">💡 Insights</h2>
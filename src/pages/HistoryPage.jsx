@@ -1,9 +1,17 @@
 import { useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import ReactMarkdown from 'react-markdown'
+import { getAvailableCategories } from '../utils/templates'
+import { findCategory, formatCategoryLabel } from '../utils/taxonomy'
+import { loadHistory, entryHasLabel } from '../utils/historyStore'
+import { exportCorrectionsDataset, isCorrected } from '../utils/corrections'
+import { groupSimilar } from '../utils/duplicateDetector'
+import { groupConversations } from '../utils/conversations'
+import CorrectionControls from '../components/CorrectionControls'
 
 // Lazy initializer for history state
 function getInitialHistory() {
-  return JSON.parse(localStorage.getItem('triageHistory') || '[]')
+  return loadHistory()
 }
 
 // Sort options configuration
@@ -14,15 +22,27 @@ const SORT_OPTIONS = [
   { value: 'urgency-low', label: 'Low Urgency First' }
 ]
 
+// Grouping options: near-duplicates, or conversations by customer and thread
+const GROUP_OPTIONS = [
+  { value: 'none', label: 'No grouping' },
+  { value: 'similar', label: 'Similar messages' },
+  { value: 'conversation', label: 'Conversation (threaded)' }
+]
+
 // Urgency sort order
 const URGENCY_ORDER = { High: 0, Medium: 1, Low: 2 }
 
 function HistoryPage() {
   const [history, setHistory] = useState(getInitialHistory)
   const [categoryFilter, setCategoryFilter] = useState('all')
+  const [subcategoryFilter, setSubcategoryFilter] = useState('all')
   const [urgencyFilter, setUrgencyFilter] = useState('all')
   const [sortBy, setSortBy] = useState('newest')
-  const [expandedIndex, setExpandedIndex] = useState(null)
+  const [groupBy, setGroupBy] = useState('none')
+  const [openGroupId, setOpenGroupId] = useState(null)
+  // ?entry=<id> links (e.g. from AnalyzePage) open that entry
+  const [searchParams] = useSearchParams()
+  const [expandedId, setExpandedId] = useState(() => searchParams.get('entry'))
 
   const clearHistory = () => {
     if (window.confirm('Are you sure you want to clear all history?')) {
@@ -31,6 +51,24 @@ function HistoryPage() {
     }
   }
 
+  const handleCorrectionSaved = (updated) => {
+    setHistory(prev => prev.map(item => (item.id === updated.id ? updated : item)))
+  }
+
+  // Download agent corrections as a labeled dataset (same format as eval/labeled-messages.json)
+  const exportCorrections = () => {
+    const dataset = exportCorrectionsDataset(history)
+    const blob = new Blob([JSON.stringify(dataset, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `triage-corrections-${new Date().toISOString().slice(0, 10)}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const correctedCount = history.filter(isCorrected).length
+
   // Apply sorting
   const sortedHistory = [...history].sort((a, b) => {
     switch (sortBy) {
@@ -49,14 +87,211 @@ function HistoryPage() {
 
   // Apply filters
   const filteredHistory = sortedHistory.filter(item => {
-    const matchesCategory = categoryFilter === 'all' || item.category === categoryFilter
+    // A message matches if any of its labels (primary or secondary) does
+    const matchesCategory = categoryFilter === 'all' ||
+      entryHasLabel(item, categoryFilter, subcategoryFilter === 'all' ? null : subcategoryFilter)
     const matchesUrgency = urgencyFilter === 'all' || item.urgency === urgencyFilter
     return matchesCategory && matchesUrgency
   })
 
-  const categories = [...new Set(history.map(item => item.category))]
+  // Taxonomy categories first, then any legacy categories still present in history
+  const availableCategories = getAvailableCategories()
+  const historyCategories = new Set(history.map(item => item.category))
+  const categories = [
+    ...availableCategories.filter(category => category !== 'Unknown' || historyCategories.has(category)),
+    ...[...historyCategories].filter(category => !availableCategories.includes(category))
+  ]
+  const subcategories = findCategory(categoryFilter)?.subcategories.map(sub => sub.name) || []
+
+  const selectCategory = (category) => {
+    setCategoryFilter(category)
+    setSubcategoryFilter('all')
+  }
   const urgencyLevels = ['High', 'Medium', 'Low']
 
+  // Clusters of near-duplicate messages or conversations, or one group per message when grouping is off
+  const groups = groupBy === 'similar' ? groupSimilar(filteredHistory)
+    : groupBy === 'conversation' ? groupConversations(filteredHistory)
+    : filteredHistory.map(item => ({ id: item.id, representative: item, entries: [item], count: 1 }))
+
+  // One history card; in grouped view `group` is the cluster it represents
+  const renderEntry = (item, group = null) => (
+    <div
+      key={item.id}
+      className="bg-white rounded-lg shadow-md overflow-hidden"
+    >
+      <div
+        className="p-4 cursor-pointer hover:bg-gray-50"
+        onClick={() => setExpandedId(expandedId === item.id ? null : item.id)}
+      >
+        <div className="flex items-start justify-between">
+          <div className="flex-1">
+            <div className="text-sm text-gray-500 mb-1">
+              {new Date(item.timestamp).toLocaleString()}
+              {item.sender ? <span> · ✉️ {item.sender}</span> : item.customerId && <span> · 👤 {item.customerId}</span>}
+            </div>
+            {item.subject && (
+              <div className="text-sm font-semibold text-gray-900">{item.subject}</div>
+            )}
+            <div className="text-gray-800 font-medium mb-2">
+              "{item.message.substring(0, 100)}{item.message.length > 100 ? '...' : ''}"
+            </div>
+            <div className="flex items-center space-x-2">
+              <span className="text-xs bg-blue-100 text-blue-800 px-3 py-1 rounded-full font-semibold">
+                {formatCategoryLabel(item.category, item.subcategory)}
+              </span>
+              {(item.secondaryCategories || []).map(label => (
+                <span
+                  key={label.category}
+                  className="text-xs bg-blue-50 text-blue-700 border border-blue-200 px-3 py-1 rounded-full"
+                  title={`Secondary label, ${Math.round(label.confidence * 100)}% confidence`}
+                >
+                  + {formatCategoryLabel(label.category, label.subcategory)}
+                </span>
+              ))}
+              <span className={`text-xs px-3 py-1 rounded-full font-semibold ${
+                item.urgency === 'High' ? 'bg-red-200 text-red-900' :
+                item.urgency === 'Medium' ? 'bg-yellow-200 text-yellow-900' :
+                'bg-green-200 text-green-900'
+              }`}>
+                {item.urgency} Urgency{item.urgencyScore !== undefined && ` (${item.urgencyScore})`}
+              </span>
+              {item.escalate && (
+                <span className="text-xs px-3 py-1 rounded-full font-semibold bg-red-600 text-white">
+                  ⚠️ Escalate
+                </span>
+              )}
+              {item.untrustedContent && (
+                <span
+                  className="text-xs px-3 py-1 rounded-full font-semibold bg-orange-100 text-orange-800"
+                  title={item.untrustedContent.reasons.join('; ')}
+                >
+                  🛡️ Untrusted content
+                </span>
+              )}
+              {item.cachedAt && (
+                <span
+                  className="text-xs px-3 py-1 rounded-full font-semibold bg-gray-100 text-gray-700"
+                  title={`Reused the analysis from ${new Date(item.cachedAt).toLocaleString()}`}
+                >
+                  ⚡ Cached
+                </span>
+              )}
+              {isCorrected(item) && (
+                <span className="text-xs px-3 py-1 rounded-full font-semibold bg-amber-100 text-amber-800">
+                  ✏️ Corrected
+                </span>
+              )}
+              {group && group.count > 1 && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation()
+                    setOpenGroupId(openGroupId === group.id ? null : group.id)
+                  }}
+                  className={`text-xs px-3 py-1 rounded-full font-semibold ${
+                    groupBy === 'conversation'
+                      ? 'bg-indigo-100 text-indigo-800 hover:bg-indigo-200'
+                      : 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200'
+                  }`}
+                >
+                  {groupBy === 'conversation'
+                    ? `💬 ${group.count - 1} more in conversation`
+                    : `🔁 ${group.count - 1} similar`} {openGroupId === group.id ? '▲' : '▼'}
+                </button>
+              )}
+              {groupBy !== 'conversation' && item.conversation && (
+                <span
+                  className="text-xs px-3 py-1 rounded-full font-semibold bg-indigo-100 text-indigo-800"
+                  title={item.conversation.kind === 'thread' ? 'Earlier messages in the same thread' : 'Earlier messages from the same customer'}
+                >
+                  💬 Contact #{item.conversation.contactCount}
+                </span>
+              )}
+              {item.customerProfile?.reason && (
+                <span className="text-xs px-3 py-1 rounded-full font-semibold bg-purple-100 text-purple-800">
+                  📇 {item.customerProfile.reason}
+                </span>
+              )}
+              {groupBy !== 'similar' && item.possibleDuplicates?.length > 0 && (
+                <span className="text-xs px-3 py-1 rounded-full font-semibold bg-yellow-100 text-yellow-800">
+                  🔁 Possible duplicate
+                </span>
+              )}
+            </div>
+          </div>
+          <div className="text-gray-400 ml-4">
+            {expandedId === item.id ? '▲' : '▼'}
+          </div>
+        </div>
+      </div>
+
+      {expandedId === item.id && (
+        <div className="border-t border-gray-200 p-4 bg-gray-50">
+          <div className="space-y-3">
+            <CorrectionControls entry={item} onSaved={handleCorrectionSaved} />
+            <div>
+              <div className="text-xs font-semibold text-gray-600 mb-1">
+                Full Message
+                {item.email?.date && <span className="font-normal"> (sent {new Date(item.email.date).toLocaleString()})</span>}
+              </div>
+              <div className="text-sm text-gray-800 bg-white p-3 rounded border border-gray-200">
+                {item.message}
+              </div>
+            </div>
+            {item.urgencyReasoning && (
+              <div>
+                <div className="text-xs font-semibold text-gray-600 mb-1">Urgency Analysis</div>
+                <div className="text-sm text-gray-800 bg-orange-50 p-3 rounded border border-orange-200">
+                  {item.urgencyReasoning}
+                </div>
+              </div>
+            )}
+            {item.escalate && (
+              <div>
+                <div className="text-xs font-semibold text-red-600 mb-1">⚠️ Escalation Required</div>
+                <div className="text-sm text-red-800 bg-red-50 p-3 rounded border border-red-200">
+                  {item.escalateReason}
+                </div>
+              </div>
+            )}
+            <div>
+              <div className="text-xs font-semibold text-gray-600 mb-1">Recommended Action</div>
+              <div className="text-sm text-gray-800 bg-purple-50 p-3 rounded border border-purple-200">
+                {item.recommendedAction}
+              </div>
+            </div>
+            {item.templateId && (
+              <div className="text-xs text-gray-600">
+                <span className="font-semibold">Template used:</span> {item.templateTitle}
+              </div>
+            )}
+            {item.sentReply && (
+              <div>
+                <div className="text-xs font-semibold text-gray-600 mb-1">
+                  Reply Sent {new Date(item.sentReply.sentAt).toLocaleString()}
+                </div>
+                <div className="text-sm text-gray-800 bg-green-50 p-3 rounded border border-green-200 whitespace-pre-line">
+                  {item.sentReply.text}
+                </div>
+              </div>
+            )}
+            <div>
+              <div className="text-xs font-semibold text-gray-600 mb-1">Category Reasoning</div>
+              <div className="bg-white p-3 rounded border border-gray-200">
+                <div className="prose prose-sm max-w-none text-gray-700">
+                  <ReactMarkdown>
+                    {item.reasoning}
+                  </ReactMarkdown>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+
+
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-6xl mx-auto px-4">
@@ -67,12 +302,22 @@ function HistoryPage() {
               <p className="text-gray-600">View and manage past message analyses</p>
             </div>
             {history.length > 0 && (
-              <button
-                onClick={clearHistory}
-                className="bg-red-500 text-white px-4 py-2 rounded-lg hover:bg-red-600 font-semibold"
-              >
-                Clear All
-              </button>
+              <div className="flex space-x-2">
+                {correctedCount > 0 && (
+                  <button
+                    onClick={exportCorrections}
+                    className="bg-amber-500 text-white px-4 py-2 rounded-lg hover:bg-amber-600 font-semibold"
+                  >
+                    Export Corrections ({correctedCount})
+                  </button>
+                )}
+                <button
+                  onClick={clearHistory}
+                  className="bg-red-500 text-white px-4 py-2 rounded-lg hover:bg-red-600 font-semibold"
+                >
+                  Clear All
+                </button>
+              </div>
             )}
           </div>
 
@@ -93,6 +338,21 @@ function HistoryPage() {
                     </option>
                   ))}
                 </select>
+                <label className="text-sm font-semibold text-gray-600">Group by:</label>
+                <select
+                  value={groupBy}
+                  onChange={(e) => {
+                    setGroupBy(e.target.value)
+                    setOpenGroupId(null)
+                  }}
+                  className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {GROUP_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
               </div>
 
               {/* Category Filter */}
@@ -100,7 +360,7 @@ function HistoryPage() {
                 <div className="text-sm font-semibold text-gray-600 mb-2">Filter by Category:</div>
                 <div className="flex flex-wrap gap-2">
                   <button
-                    onClick={() => setCategoryFilter('all')}
+                    onClick={() => selectCategory('all')}
                     className={`px-4 py-2 rounded-lg font-semibold ${
                       categoryFilter === 'all'
                         ? 'bg-blue-600 text-white'
@@ -112,17 +372,34 @@ function HistoryPage() {
                   {categories.map(category => (
                     <button
                       key={category}
-                      onClick={() => setCategoryFilter(category)}
+                      onClick={() => selectCategory(category)}
                       className={`px-4 py-2 rounded-lg font-semibold ${
                         categoryFilter === category
                           ? 'bg-blue-600 text-white'
                           : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
                       }`}
                     >
-                      {category} ({history.filter(h => h.category === category).length})
+                      {category} ({history.filter(h => entryHasLabel(h, category)).length})
                     </button>
                   ))}
                 </div>
+                {subcategories.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-2 pl-4 border-l-2 border-blue-200">
+                    {['all', ...subcategories].map(sub => (
+                      <button
+                        key={sub}
+                        onClick={() => setSubcategoryFilter(sub)}
+                        className={`px-3 py-1 rounded-lg text-sm font-semibold ${
+                          subcategoryFilter === sub
+                            ? 'bg-blue-500 text-white'
+                            : 'bg-blue-50 text-blue-700 hover:bg-blue-100'
+                        }`}
+                      >
+                        {sub === 'all' ? `All ${categoryFilter}` : sub} ({history.filter(h => entryHasLabel(h, categoryFilter, sub === 'all' ? null : sub)).length})
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
 
               {/* Urgency Filter */}
@@ -162,6 +439,8 @@ function HistoryPage() {
               {/* Results count */}
               <div className="text-sm text-gray-500">
                 Showing {filteredHistory.length} of {history.length} messages
+                {groupBy === 'similar' && ` in ${groups.length} groups`}
+                {groupBy === 'conversation' && ` in ${groups.length} conversations`}
               </div>
             </div>
           )}
@@ -185,89 +464,12 @@ function HistoryPage() {
         )}
 
         <div className="space-y-4">
-          {filteredHistory.map((item, index) => (
-            <div
-              key={index}
-              className="bg-white rounded-lg shadow-md overflow-hidden"
-            >
-              <div
-                className="p-4 cursor-pointer hover:bg-gray-50"
-                onClick={() => setExpandedIndex(expandedIndex === index ? null : index)}
-              >
-                <div className="flex items-start justify-between">
-                  <div className="flex-1">
-                    <div className="text-sm text-gray-500 mb-1">
-                      {new Date(item.timestamp).toLocaleString()}
-                    </div>
-                    <div className="text-gray-800 font-medium mb-2">
-                      "{item.message.substring(0, 100)}{item.message.length > 100 ? '...' : ''}"
-                    </div>
-                    <div className="flex items-center space-x-2">
-                      <span className="text-xs bg-blue-100 text-blue-800 px-3 py-1 rounded-full font-semibold">
-                        {item.category}
-                      </span>
-                      <span className={`text-xs px-3 py-1 rounded-full font-semibold ${
-                        item.urgency === 'High' ? 'bg-red-200 text-red-900' :
-                        item.urgency === 'Medium' ? 'bg-yellow-200 text-yellow-900' :
-                        'bg-green-200 text-green-900'
-                      }`}>
-                        {item.urgency} Urgency{item.urgencyScore !== undefined && ` (${item.urgencyScore})`}
-                      </span>
-                      {item.escalate && (
-                        <span className="text-xs px-3 py-1 rounded-full font-semibold bg-red-600 text-white">
-                          ⚠️ Escalate
-                        </span>
-                      )}
-                    </div>
-                  </div>
-                  <div className="text-gray-400 ml-4">
-                    {expandedIndex === index ? '▲' : '▼'}
-                  </div>
-                </div>
-              </div>
-
-              {expandedIndex === index && (
-                <div className="border-t border-gray-200 p-4 bg-gray-50">
-                  <div className="space-y-3">
-                    <div>
-                      <div className="text-xs font-semibold text-gray-600 mb-1">Full Message</div>
-                      <div className="text-sm text-gray-800 bg-white p-3 rounded border border-gray-200">
-                        {item.message}
-                      </div>
-                    </div>
-                    {item.urgencyReasoning && (
-                      <div>
-                        <div className="text-xs font-semibold text-gray-600 mb-1">Urgency Analysis</div>
-                        <div className="text-sm text-gray-800 bg-orange-50 p-3 rounded border border-orange-200">
-                          {item.urgencyReasoning}
-                        </div>
-                      </div>
-                    )}
-                    {item.escalate && (
-                      <div>
-                        <div className="text-xs font-semibold text-red-600 mb-1">⚠️ Escalation Required</div>
-                        <div className="text-sm text-red-800 bg-red-50 p-3 rounded border border-red-200">
-                          {item.escalateReason}
-                        </div>
-                      </div>
-                    )}
-                    <div>
-                      <div className="text-xs font-semibold text-gray-600 mb-1">Recommended Action</div>
-                      <div className="text-sm text-gray-800 bg-purple-50 p-3 rounded border border-purple-200">
-                        {item.recommendedAction}
-                      </div>
-                    </div>
-                    <div>
-                      <div className="text-xs font-semibold text-gray-600 mb-1">Category Reasoning</div>
-                      <div className="bg-white p-3 rounded border border-gray-200">
-                        <div className="prose prose-sm max-w-none text-gray-700">
-                          <ReactMarkdown>
-                            {item.reasoning}
-                          </ReactMarkdown>
-                        </div>
-                      </div>
-                    </div>
-                  </div>
+          {groups.map(group => (
+            <div key={group.id} className="space-y-2">
+              {renderEntry(group.representative, groupBy !== 'none' ? group : null)}
+              {openGroupId === group.id && group.count > 1 && (
+                <div className={`ml-6 pl-4 border-l-2 space-y-2 ${groupBy === 'conversation' ? 'border-indigo-300' : 'border-yellow-300'}`}>
+                  {group.entries.slice(1).map(item => renderEntry(item))}
                 </div>
               )}
             </div>
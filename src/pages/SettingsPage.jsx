@@ -0,0 +1,230 @@
+import { useState, useEffect } from 'react'
+import TaxonomyEditor from '../components/TaxonomyEditor'
+import ResponseLibraryEditor from '../components/ResponseLibraryEditor'
+import CustomerProfileEditor from '../components/CustomerProfileEditor'
+import WebhookEditor from '../components/WebhookEditor'
+import WebhookDeliveryLog from '../components/WebhookDeliveryLog'
+import { getSettings, updateSettings } from '../utils/settings'
+import { getCacheSize, clearAnalysisCache } from '../utils/analysisCache'
+import { getIncidentCategory, INCIDENT_URGENCY, INCIDENT_WINDOW_MINUTES } from '../utils/incidentDetector'
+import { getCategoryNames } from '../utils/taxonomy'
+
+function SettingsPage() {
+  const [settings, setSettings] = useState(getSettings)
+
+  const [cacheSize, setCacheSize] = useState(null)
+
+  useEffect(() => {
+    getCacheSize().then(setCacheSize)
+  }, [])
+
+  const toggleSetting = (name) => {
+    setSettings(updateSettings({ [name]: !settings[name] }))
+  }
+
+  // Whole numbers of at least `min` only; anything else keeps the current value
+  const changeLimit = (name, value, min = 1) => {
+    const number = Math.floor(Number(value))
+    if (number >= min) {
+      setSettings(updateSettings({ [name]: number }))
+    }
+  }
+
+  const incidentCategory = getIncidentCategory()
+
+  const handleClearCache = async () => {
+    await clearAnalysisCache()
+    setCacheSize(0)
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-5xl mx-auto px-4">
+        <div className="mb-6">
+          <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+          <p className="text-gray-600">Configure how messages are triaged</p>
+        </div>
+
+        {/* Privacy */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-1">Privacy</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Emails, phone numbers, card numbers, IBANs, street addresses and API keys are always replaced with placeholders such as [EMAIL_1] before a message is sent to the AI.
+          </p>
+          <label className="flex items-start text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={settings.redactHistory}
+              onChange={() => toggleSetting('redactHistory')}
+              className="mr-2 mt-1"
+            />
+            <span>
+              <span className="font-semibold">Save redacted text in history</span>
+              <span className="block text-gray-500">
+                History entries are saved with placeholders instead of the original personal data. Entries saved before this was turned on are redacted the next time history changes.
+              </span>
+            </span>
+          </label>
+        </div>
+
+        {/* Analysis Cache */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-1">Analysis Cache</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Analyzing a message identical to an earlier one (same text, model and prompt version) reuses the stored result instead of calling the AI again. Results are stored in this browser only.
+          </p>
+          <label className="flex items-start text-sm text-gray-700 mb-4">
+            <input
+              type="checkbox"
+              checked={settings.analysisCache}
+              onChange={() => toggleSetting('analysisCache')}
+              className="mr-2 mt-1"
+            />
+            <span className="font-semibold">Reuse cached results</span>
+          </label>
+          <div className="flex flex-wrap items-end gap-4">
+            <label className="text-sm text-gray-700">
+              <span className="block font-semibold mb-1">Keep results for (hours)</span>
+              <input
+                type="number"
+                min="1"
+                value={settings.cacheTtlHours}
+                onChange={(e) => changeLimit('cacheTtlHours', e.target.value)}
+                className="w-32 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              <span className="block font-semibold mb-1">Maximum entries</span>
+              <input
+                type="number"
+                min="1"
+                value={settings.cacheMaxEntries}
+                onChange={(e) => changeLimit('cacheMaxEntries', e.target.value)}
+                className="w-32 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <div className="flex-1" />
+            <span className="text-sm text-gray-500">
+              {cacheSize === null ? '' : `${cacheSize} cached ${cacheSize === 1 ? 'result' : 'results'}`}
+            </span>
+            <button
+              onClick={handleClearCache}
+              disabled={!cacheSize}
+              className="px-4 py-2 border border-gray-300 rounded-lg font-semibold text-gray-700 hover:bg-gray-50 disabled:text-gray-400"
+            >
+              Clear Cache
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            The oldest unused results are removed when the limit is reached. Use Force re-analyze on the Analyze page to bypass the cache for one message.
+          </p>
+        </div>
+
+        {/* Rate Limits */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-1">Rate Limits</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Every AI request in the app waits in one queue so that no more than these amounts are used per minute. The defaults match Groq's free tier. Set a limit to 0 to turn it off.
+          </p>
+          <div className="flex flex-wrap gap-4">
+            <label className="text-sm text-gray-700">
+              <span className="block font-semibold mb-1">Requests per minute</span>
+              <input
+                type="number"
+                min="0"
+                value={settings.requestsPerMinute}
+                onChange={(e) => changeLimit('requestsPerMinute', e.target.value, 0)}
+                className="w-32 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              <span className="block font-semibold mb-1">Tokens per minute</span>
+              <input
+                type="number"
+                min="0"
+                step="1000"
+                value={settings.tokensPerMinute}
+                onChange={(e) => changeLimit('tokensPerMinute', e.target.value, 0)}
+                className="w-32 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            Tokens are estimated from the prompt and the response limit until the provider reports actual usage. If the provider answers 429, the queue pauses for as long as its Retry-After header asks.
+          </p>
+        </div>
+
+        {/* Category Taxonomy */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-1">Category Taxonomy</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Categories and subcategories used by the classifier prompt, the keyword fallback and the History filters.
+          </p>
+          <TaxonomyEditor />
+        </div>
+
+        {/* Incident Detection */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-1">Incident Detection</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            A spike of {INCIDENT_URGENCY}-urgency messages in this category over {INCIDENT_WINDOW_MINUTES} minutes is flagged as a possible incident.
+          </p>
+          <label className="text-sm text-gray-700">
+            <span className="block font-semibold mb-1">Incident category</span>
+            <select
+              value={settings.incidentCategory}
+              onChange={(e) => setSettings(updateSettings({ incidentCategory: e.target.value }))}
+              className="w-64 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {incidentCategory.missing && <option value={incidentCategory.missing}>{incidentCategory.missing} (missing)</option>}
+              {getCategoryNames().map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </label>
+          {incidentCategory.missing && (
+            <div className="mt-3 p-3 bg-yellow-50 border border-yellow-300 rounded-lg text-sm text-yellow-800">
+              "{incidentCategory.missing}" is no longer in the taxonomy, so incident detection is off. Choose another category.
+            </div>
+          )}
+        </div>
+
+        {/* Response Library */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-1">Response Library</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Approved canned responses. Templates tagged with a category or subcategory are suggested on the Analyze page for matching messages.
+          </p>
+          <ResponseLibraryEditor />
+        </div>
+
+        {/* Customer Profiles */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-1">Customer Profiles</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Tier, plan, annual account value and renewal date per customer. Messages whose customer ID or sender email matches a profile are scored and escalated with it in mind: Enterprise and high-value accounts, and renewals in the next 30 days, raise priority.
+          </p>
+          <CustomerProfileEditor />
+        </div>
+
+        {/* Webhooks */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-1">Webhooks</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Notify other tools when an analyzed message is escalated, scored High urgency or matches a category. Failed deliveries are retried up to 3 times with backoff. Deliveries go through the local API server, so keep it running.
+          </p>
+          <WebhookEditor />
+        </div>
+
+        {/* Webhook Deliveries */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-1">Webhook Deliveries</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            The last 200 deliveries, newest first. Click a delivery to see each attempt.
+          </p>
+          <WebhookDeliveryLog />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SettingsPage
@@ -0,0 +1,183 @@
+import { getSettings } from './settings.js';
+import { getActiveModel } from './llmProviders.js';
+import { getTaxonomy } from './taxonomy.js';
+
+/**
+ * Analysis Cache - earlier results for identical messages, stored in IndexedDB
+ * Entries are keyed by a SHA-256 of the normalized message, provider and model, and prompt version, so
+ * analyzing the same text again (an example clicked twice, a resent ticket) costs no API calls.
+ * Lifetime and size come from the cacheTtlHours and cacheMaxEntries settings.
+ * Falls back to an in-memory store when IndexedDB is unavailable (e.g. Node scripts).
+ */
+
+// Bump whenever analyzer prompts or the cached fields change, so older entries stop matching
+export const PROMPT_VERSION = 1;
+
+const DB_NAME = 'triageCache';
+const STORE_NAME = 'analyses';
+
+const memoryStore = new Map();
+
+const memoryBackend = {
+  get: async (key) => memoryStore.get(key) ?? null,
+  put: async (entry) => { memoryStore.set(entry.key, entry); },
+  delete: async (key) => { memoryStore.delete(key); },
+  getAll: async () => [...memoryStore.values()],
+  clear: async () => { memoryStore.clear(); }
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (!databasePromise) {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    };
+    databasePromise = promisify(request);
+  }
+  return databasePromise;
+}
+
+async function withStore(mode, operation) {
+  const database = await openDatabase();
+  return promisify(operation(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+}
+
+const indexedDbBackend = {
+  get: async (key) => (await withStore('readonly', store => store.get(key))) ?? null,
+  put: (entry) => withStore('readwrite', store => store.put(entry)),
+  delete: (key) => withStore('readwrite', store => store.delete(key)),
+  getAll: () => withStore('readonly', store => store.getAll()),
+  clear: () => withStore('readwrite', store => store.clear())
+};
+
+function getBackend() {
+  return typeof indexedDB !== 'undefined' ? indexedDbBackend : memoryBackend;
+}
+
+/**
+ * Normalize a message so whitespace-only differences hit the same entry
+ * Case is kept: all-caps text is an urgency signal.
+ */
+export function normalizeMessage(message) {
+  return String(message).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+async function sha256(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Cache key for a message
+ * The prompt version covers the analysis mode and the whole normalized taxonomy the prompts are
+ * built from (descriptions, examples, keywords and subcategories included).
+ *
+ * @param {string} message - The customer support message
+ * @param {string} mode - Analysis mode (see triagePipeline.js)
+ * @param {string} subject - Email subject, which is part of the prompt when present
+ * @param {string[]} context - Other prompt context: ids of earlier conversation turns, the customer profile
+ * @returns {Promise<string|null>} - null when caching is off, hashing is unavailable (insecure context)
+ *   or the API server can't say which model it uses
+ */
+export async function getCacheKey(message, mode, subject = null, context = []) {
+  if (!getSettings().analysisCache || typeof crypto === 'undefined' || !crypto.subtle) {
+    return null;
+  }
+  const model = await getActiveModel();
+  if (!model) return null;
+
+  const promptVersion = [PROMPT_VERSION, mode, JSON.stringify(getTaxonomy())].join('|');
+  // Keys for messages without a subject or other context stay as they were before those existed
+  return sha256(JSON.stringify([
+    normalizeMessage(message),
+    model,
+    promptVersion,
+    ...(subject ? [normalizeMessage(subject)] : []),
+    ...(context.length > 0 ? [context] : [])
+  ]));
+}
+
+const isExpired = (entry, ttlHours, now = Date.now()) =>
+  now - new Date(entry.createdAt).getTime() > ttlHours * 60 * 60 * 1000;
+
+/**
+ * Look up a cached analysis
+ *
+ * @returns {Promise<{value: object, createdAt: string}|null>} - null on a miss or expired entry
+ */
+export async function getCachedAnalysis(key) {
+  if (!key) return null;
+  const backend = getBackend();
+  try {
+    const entry = await backend.get(key);
+    if (!entry) return null;
+    if (isExpired(entry, getSettings().cacheTtlHours)) {
+      await backend.delete(key);
+      return null;
+    }
+    await backend.put({ ...entry, lastUsedAt: new Date().toISOString() });
+    return entry;
+  } catch (error) {
+    console.warn('Analysis cache read failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store an analysis, then drop expired entries and the least recently used beyond the size limit
+ */
+export async function setCachedAnalysis(key, value) {
+  if (!key) return;
+  const backend = getBackend();
+  const now = new Date().toISOString();
+  try {
+    await backend.put({ key, value, createdAt: now, lastUsedAt: now });
+    await pruneCache(backend);
+  } catch (error) {
+    console.warn('Analysis cache write failed:', error.message);
+  }
+}
+
+async function pruneCache(backend) {
+  const { cacheTtlHours, cacheMaxEntries } = getSettings();
+  const entries = await backend.getAll();
+  const live = entries.filter(entry => !isExpired(entry, cacheTtlHours));
+  const evicted = entries.filter(entry => !live.includes(entry));
+
+  live.sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+  evicted.push(...live.slice(Math.max(0, cacheMaxEntries)));
+
+  for (const entry of evicted) {
+    await backend.delete(entry.key);
+  }
+}
+
+/**
+ * Number of entries currently cached
+ */
+export async function getCacheSize() {
+  try {
+    return (await getBackend().getAll()).length;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Remove every cached analysis
+ */
+export async function clearAnalysisCache() {
+  await getBackend().clear();
+}
@@ -1,34 +1,41 @@
+import { completeChat, streamChat, getProviderSettings } from './llmProviders.js';
+import { getFixtureMode, replayFixture, recordFixture } from './llmFixtures.js';
+import { createRedactor } from './redaction.js';
+import { validateSchema } from './schema.js';
+import { createScheduler } from './requestScheduler.js';
+import { estimateTokens } from './usageMeter.js';
+
 /**
  * Centralized API client with timeout, retry, and error handling
+ * Requests are routed to the configured LLM provider (see llmProviders.js) through a shared
+ * scheduler that keeps the whole app within its per-minute request and token budgets.
  */
 
-// Lazy-loaded Groq client - only initializes when first API call is made
-let groq = null;
-
-async function getGroqInstance() {
-  if (!groq) {
-    // Dynamic import - Groq SDK is only loaded when first API call is made
-    const { default: Groq } = await import('groq-sdk');
-    groq = new Groq({
-      apiKey: import.meta.env.VITE_GROQ_API_KEY,
-      dangerouslyAllowBrowser: true
-    });
-  }
-  return groq;
-}
-
 // Configuration
 const CONFIG = {
-  timeout: 15000,        // 15 second timeout per request
-  maxRetries: 2,         // Retry twice on failure
-  retryDelay: 1000,      // 1 second initial delay
-  retryBackoff: 2        // Exponential backoff multiplier
+  timeout: 15000,            // 15 second timeout per request
+  maxRetries: 2,             // Retry twice on failure
+  maxRateLimitRetries: 4,    // 429s get more attempts, each after the provider's Retry-After
+  retryDelay: 1000,          // 1 second initial delay
+  retryBackoff: 2            // Exponential backoff multiplier
 };
 
+// One queue for every request in the app
+const scheduler = createScheduler();
+
+/**
+ * Receive request queue state on every change (see requestScheduler.js)
+ *
+ * @returns {function} - Unsubscribe
+ */
+export function subscribeToQueue(listener) {
+  return scheduler.subscribe(listener);
+}
+
 /**
  * Sleep for specified milliseconds
  */
-function sleep(ms) {
+export function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
@@ -42,59 +49,244 @@ function createTimeoutController(timeoutMs) {
 }
 
 /**
- * Make a Groq API call with timeout and retry logic
+ * Client errors mean the request itself is wrong, so retrying won't help -
+ * except 429 (rate limited) and 408 (request timeout)
+ */
+export function isRetryable(error) {
+  const status = error.status;
+  if (!status || status >= 500) return true;
+  return status === 429 || status === 408;
+}
+
+/**
+ * Delay requested by the provider's Retry-After header, in milliseconds
+ * Handles fetch Headers and the SDK's plain header object, in seconds or HTTP-date form.
+ *
+ * @returns {number|null} - null if the header is missing or unreadable
+ */
+export function getRetryAfterMs(error, now = Date.now()) {
+  const headers = error?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (value === null || value === undefined || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Make an LLM API call with timeout and retry logic
+ * PII in the prompt is replaced with placeholders before sending and restored in the response.
  *
- * @param {object} options - Groq chat completion options
+ * @param {object} options - Chat completion options (model defaults to the provider's model), plus:
+ *   - `meter` (optional, see usageMeter.js) records the call's token usage
+ *   - `onToken` (optional) streams the response; called with the text received so far
  * @param {AbortSignal} externalSignal - Optional external abort signal for cancellation
  * @returns {Promise<string>} - The response content
  */
 export async function groqRequest(options, externalSignal = null) {
-  // Get lazy-loaded Groq instance
-  const client = await getGroqInstance();
-  let lastError;
+  const { meter, onToken, ...requestOptions } = options;
+  const redactor = createRedactor();
+  const messages = requestOptions.messages.map(message => ({ ...message, content: redactor.redact(message.content) }));
+  const onText = onToken ? (text) => onToken(redactor.restore(text)) : null;
 
-  for (let attempt = 0; attempt <= CONFIG.maxRetries; attempt++) {
-    const { controller, timeoutId } = createTimeoutController(CONFIG.timeout);
+  const { content, usage } = await sendRequest({ ...requestOptions, messages }, externalSignal, onText);
+  meter?.record({ messages, content, usage });
+  return redactor.restore(content);
+}
 
-    // Link external signal if provided
-    if (externalSignal) {
-      externalSignal.addEventListener('abort', () => controller.abort());
+/**
+ * Send an already-redacted request, through fixtures or the provider
+ *
+ * @param {function} onText - If set, the response is streamed and this receives the text so far
+ * @returns {Promise<{content: string, usage: object|null}>}
+ */
+async function sendRequest(options, externalSignal, onText = null) {
+  const fixtureMode = getFixtureMode();
+
+  // Replay mode never touches the network
+  if (fixtureMode === 'replay') {
+    if (externalSignal?.aborted) {
+      throw new Error('Request cancelled');
     }
+    const content = await replayFixture(options);
+    onText?.(content);
+    return { content, usage: null };
+  }
 
+  // Mock responses are local, so only real providers count against the budgets
+  const rateLimited = getProviderSettings().name !== 'mock';
+  // Budget cost before the response is known: the prompt plus the completion limit
+  const tokens = estimateTokens(options.messages.map(message => message.content).join('\n')) + (options.max_tokens || 0);
+
+  for (let attempt = 0; ; attempt++) {
     try {
-      const response = await client.chat.completions.create({
-        ...options,
-        signal: controller.signal
-      });
+      const send = () => attemptRequest(options, externalSignal, onText);
+      const result = rateLimited
+        ? await scheduler.schedule(send, {
+          tokens,
+          signal: externalSignal,
+          measure: ({ usage }) => usage && usage.promptTokens + usage.completionTokens
+        })
+        : await send();
 
-      clearTimeout(timeoutId);
-      return response.choices[0].message.content;
+      if (fixtureMode === 'record') {
+        await recordFixture(options, result.content).catch(error => {
+          console.warn('Failed to record LLM fixture:', error.message);
+        });
+      }
 
-    } catch (error) {
-      clearTimeout(timeoutId);
-      lastError = error;
+      return result;
 
-      // Don't retry if manually aborted
-      if (error.name === 'AbortError' && externalSignal?.aborted) {
+    } catch (error) {
+      // Don't retry if manually aborted (in flight or still queued)
+      if (externalSignal?.aborted) {
         throw new Error('Request cancelled');
       }
 
-      // Don't retry on authentication errors
-      if (error.status === 401 || error.status === 403) {
+      // Don't retry on client errors such as bad requests or authentication failures
+      if (!isRetryable(error)) {
         throw error;
       }
 
-      // Log retry attempt
-      if (attempt < CONFIG.maxRetries) {
-        const delay = CONFIG.retryDelay * Math.pow(CONFIG.retryBackoff, attempt);
-        console.warn(`API request failed (attempt ${attempt + 1}), retrying in ${delay}ms:`, error.message);
+      const rateLimitedResponse = error.status === 429;
+      if (attempt >= (rateLimitedResponse ? CONFIG.maxRateLimitRetries : CONFIG.maxRetries)) {
+        // All retries exhausted
+        throw error;
+      }
+
+      const delay = getRetryAfterMs(error) ?? CONFIG.retryDelay * Math.pow(CONFIG.retryBackoff, attempt);
+      console.warn(`API request failed (attempt ${attempt + 1}), retrying in ${delay}ms:`, error.message);
+
+      // A 429 holds back every queued request, not just this one
+      if (rateLimitedResponse && rateLimited) {
+        scheduler.pause(delay);
+      } else {
         await sleep(delay);
       }
     }
   }
+}
 
-  // All retries exhausted
-  throw lastError;
+/**
+ * One attempt at a request, with its own timeout
+ * The timeout starts when the request leaves the queue, not when it joins it.
+ */
+async function attemptRequest(options, externalSignal, onText) {
+  const { controller, timeoutId } = createTimeoutController(CONFIG.timeout);
+
+  // Link external signal if provided
+  const abort = () => controller.abort();
+  externalSignal?.addEventListener('abort', abort);
+
+  try {
+    // A retried stream starts over from empty text
+    let streamed = '';
+    return onText
+      ? await streamChat(options, controller.signal, (delta) => onText(streamed += delta))
+      : await completeChat(options, controller.signal);
+  } finally {
+    clearTimeout(timeoutId);
+    externalSignal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Request JSON output and validate it against a schema
+ * Uses the provider's JSON response mode where available. An invalid response gets one
+ * corrective retry that tells the model what was wrong; if that also fails, the error
+ * (code 'SCHEMA_INVALID') lets the analyzer fall back to its rule-based path.
+ *
+ * @param {object} options - Chat completion options
+ * @param {object} schema - Field rules (see schema.js)
+ * @param {AbortSignal} externalSignal - Optional external abort signal for cancellation
+ * @param {object} settings
+ * @param {boolean} settings.repair - Set false to skip the corrective retry
+ * @returns {Promise<object>} - The validated response object
+ */
+export async function structuredRequest(options, schema, externalSignal = null, { repair = true } = {}) {
+  const jsonOptions = { ...options, response_format: { type: 'json_object' } };
+
+  const content = await groqRequest(jsonOptions, externalSignal);
+  const parsed = parseJsonResponse(content);
+  const { valid, errors } = validateSchema(parsed, schema);
+  if (valid) return parsed;
+
+  if (!repair) {
+    throw schemaError(errors);
+  }
+
+  console.warn('LLM response failed validation, retrying with corrections:', errors.join('; '));
+
+  const retryContent = await groqRequest({
+    ...jsonOptions,
+    messages: [
+      ...options.messages,
+      { role: 'assistant', content },
+      {
+        role: 'user',
+        content: `Your response did not match the required format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON object only.`
+      }
+    ]
+  }, externalSignal);
+
+  const retryParsed = parseJsonResponse(retryContent);
+  const retry = validateSchema(retryParsed, schema);
+  if (retry.valid) return retryParsed;
+
+  throw schemaError(retry.errors);
+}
+
+function schemaError(errors) {
+  const error = new Error(`LLM response failed validation: ${errors.join('; ')}`);
+  error.code = 'SCHEMA_INVALID';
+  error.validationErrors = errors;
+  return error;
+}
+
+/**
+ * Read string fields from a JSON object that is still streaming in
+ * A field is included once its value has started; an unfinished value is returned as far as it goes.
+ *
+ * @param {string} text - Response text received so far
+ * @param {string[]} fields - Names of string fields to read
+ * @returns {object} - Field name → (possibly partial) string value
+ */
+export function readPartialFields(text, fields) {
+  const values = {};
+  fields.forEach(field => {
+    const start = new RegExp(`"${field}"\\s*:\\s*"`).exec(text);
+    if (!start) return;
+
+    let value = '';
+    for (let i = start.index + start[0].length; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"') break;
+      if (char !== '\\') {
+        value += char;
+        continue;
+      }
+      // Escape sequence; stop at one cut off by the end of the chunk
+      const next = text[i + 1];
+      if (next === undefined) break;
+      if (next === 'u') {
+        const hex = text.slice(i + 2, i + 6);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+        value += String.fromCharCode(parseInt(hex, 16));
+        i += 5;
+      } else {
+        value += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }[next] ?? next;
+        i += 1;
+      }
+    }
+    values[field] = value;
+  });
+  return values;
 }
 
 /**
@@ -113,11 +305,4 @@ export function parseJsonResponse(content) {
   return null;
 }
 
-/**
- * Get the Groq client instance (for advanced use cases)
- */
-export async function getGroqClient() {
-  return getGroqInstance();
-}
-
 export { CONFIG as API_CONFIG };
@@ -0,0 +1,230 @@
+import { parseEmails, detectEmailFormat, formatSender } from './emailParser.js';
+
+/**
+ * Batch Parser - turns an uploaded inbox export into a list of messages to triage
+ * Supports CSV, JSON (array or sample-messages.json shape), NDJSON, and emails
+ * (.eml or mbox, see emailParser.js)
+ */
+
+// Field names accepted as the message text, in priority order
+const MESSAGE_FIELDS = ['message', 'text', 'body', 'content'];
+
+// Field names accepted as the customer and thread identifiers (CSV headers are lowercased)
+const CUSTOMER_FIELDS = ['customerId', 'customer_id', 'customerid', 'customer'];
+const THREAD_FIELDS = ['threadId', 'thread_id', 'threadid', 'thread'];
+
+// Upper bound on a single batch to keep API usage predictable
+export const MAX_BATCH_SIZE = 500;
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting, CRLF or LF line endings)
+ *
+ * @param {string} text - Raw CSV content
+ * @returns {string[][]} - Rows of cell values
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Pick the message text out of a parsed record
+ */
+function extractMessage(record) {
+  if (typeof record === 'string') {
+    return record;
+  }
+  if (record && typeof record === 'object') {
+    for (const field of MESSAGE_FIELDS) {
+      if (typeof record[field] === 'string') {
+        return record[field];
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * First non-empty string or number among the fields
+ */
+function extractField(record, fields) {
+  if (!record || typeof record !== 'object') return null;
+  const value = fields.map(field => record[field]).find(v => (typeof v === 'string' && v.trim()) || typeof v === 'number');
+  return value === undefined ? null : String(value).trim();
+}
+
+/**
+ * Normalize parsed records into batch items
+ */
+function toItems(records) {
+  return records.map((record, index) => {
+    const message = extractMessage(record);
+    return {
+      id: String(index + 1),
+      sourceId: record?.id ?? null,
+      title: record?.title || null,
+      message: message ? message.trim() : '',
+      email: record?.email || null,
+      customerId: extractField(record, CUSTOMER_FIELDS),
+      threadId: extractField(record, THREAD_FIELDS),
+      error: message && message.trim() ? null : 'No message text found'
+    };
+  });
+}
+
+function parseCsvRecords(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const messageColumn = MESSAGE_FIELDS.map(field => header.indexOf(field)).find(index => index !== -1);
+
+  // Without a recognizable header, treat every row's first column as the message
+  if (messageColumn === undefined) {
+    return rows.map(r => r[0]);
+  }
+
+  return rows.slice(1).map(r => {
+    const record = {};
+    header.forEach((name, index) => {
+      record[name] = r[index] ?? '';
+    });
+    record.message = r[messageColumn] ?? '';
+    return record;
+  });
+}
+
+function parseJsonRecords(text) {
+  const data = JSON.parse(text);
+
+  if (Array.isArray(data)) return data;
+  // sample-messages.json shape
+  if (Array.isArray(data?.testMessages)) return data.testMessages;
+  if (Array.isArray(data?.messages)) return data.messages;
+
+  throw new Error('JSON must be an array of messages or an object with a "messages" or "testMessages" array');
+}
+
+/**
+ * Emails → records; sender, subject and thread headers travel with the item as `email`
+ */
+function parseEmailRecords(text, format) {
+  return parseEmails(text, format).map(email => ({
+    id: email.messageId,
+    title: email.subject,
+    message: email.body,
+    email: {
+      sender: formatSender(email.from),
+      subject: email.subject,
+      date: email.date,
+      messageId: email.messageId,
+      inReplyTo: email.inReplyTo,
+      references: email.references
+    }
+  }));
+}
+
+function parseNdjsonRecords(text) {
+  return text
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`Invalid JSON on line ${index + 1}`);
+      }
+    });
+}
+
+/**
+ * Detect the file format from its name, falling back to content sniffing
+ */
+function detectFormat(text, fileName = '') {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'csv') return 'csv';
+  if (extension === 'ndjson' || extension === 'jsonl') return 'ndjson';
+  if (extension === 'json') return 'json';
+  if (extension === 'eml' || extension === 'mbox') return extension;
+
+  const emailFormat = detectEmailFormat(text);
+  if (emailFormat) return emailFormat;
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) return 'json';
+  if (trimmed.startsWith('{')) {
+    // One object per line means NDJSON, otherwise a single JSON document
+    const lines = trimmed.split(/\r?\n/).filter(line => line.trim());
+    return lines.length > 1 && lines.every(line => line.trim().startsWith('{')) ? 'ndjson' : 'json';
+  }
+  return 'csv';
+}
+
+/**
+ * Parse an uploaded batch file into triage items
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - Original file name, used to detect the format
+ * @returns {{format: string, items: Array<{id: string, sourceId: *, title: string|null, message: string,
+ *   email: object|null, customerId: string|null, threadId: string|null, error: string|null}>}}
+ */
+export function parseBatchFile(text, fileName = '') {
+  const format = detectFormat(text, fileName);
+
+  let records;
+  try {
+    records = format === 'csv' ? parseCsvRecords(text)
+      : format === 'ndjson' ? parseNdjsonRecords(text)
+      : format === 'eml' || format === 'mbox' ? parseEmailRecords(text, format)
+      : parseJsonRecords(text);
+  } catch (error) {
+    throw new Error(`Could not parse ${format.toUpperCase()} file: ${error.message}`);
+  }
+
+  if (records.length === 0) {
+    throw new Error('No messages found in file');
+  }
+  if (records.length > MAX_BATCH_SIZE) {
+    throw new Error(`Batch contains ${records.length} messages; the limit is ${MAX_BATCH_SIZE}`);
+  }
+
+  return { format, items: toItems(records) };
+}
@@ -0,0 +1,153 @@
+import { structuredRequest, readPartialFields } from './apiClient.js';
+import { getTaxonomy } from './taxonomy.js';
+import { buildCombinedSchema } from './schema.js';
+import { buildCategoryPrompt, buildClassificationRules, toCategorization } from './llmHelper.js';
+import { URGENCY_FACTORS, URGENCY_LEVEL_GUIDE } from './urgencyScorer.js';
+import { RECOMMENDATION_GUIDELINES, ESCALATION_CRITERIA } from './templates.js';
+import { formatCategoryExamples, formatUrgencyExamples } from './corrections.js';
+import { formatIncidentContext } from './incidentDetector.js';
+import { UNTRUSTED_CONTENT_RULE, wrapCustomerMessage } from './promptSafety.js';
+import { formatConversationContext } from './conversations.js';
+import { formatCustomerProfileContext } from './customerProfiles.js';
+
+/**
+ * Combined Analyzer - category, urgency and recommendation from a single LLM call
+ * Trades the split pipeline's focused prompts for one round trip. There is no rule-based
+ * fallback here: any failure, including output missing a field, is thrown so the pipeline
+ * can rerun the message through the split analyzers.
+ */
+
+/**
+ * Analyze a message in one call
+ *
+ * @param {string} message - The customer support message
+ * @param {AbortSignal} signal - Optional abort signal for cancellation
+ * @param {object} options
+ * @param {Array} options.categoryExamples - Agent-corrected category examples
+ * @param {Array} options.urgencyExamples - Agent-corrected urgency examples
+ * @param {Array} options.similarExamples - Similar past tickets retrieved from history
+ * @param {object} options.incident - Active incident from incidentDetector, if any
+ * @param {object} options.meter - Usage meter from usageMeter, if the caller tracks tokens
+ * @param {function} options.onPartial - Streams the response; receives the partial
+ *   { reasoning, urgencyReasoning, action } as they arrive
+ * @param {string} options.subject - Email subject, as extra context
+ * @param {object} options.conversation - Earlier turns from conversations.findConversation, if any
+ * @param {object} options.customerProfile - Tier, plan, account value and renewal date from customerProfiles, if known
+ * @returns {Promise<{categorization: object, urgency: object, recommendation: object}>}
+ */
+export async function analyzeCombined(message, signal = null, {
+  categoryExamples = [],
+  urgencyExamples = [],
+  similarExamples = [],
+  incident = null,
+  meter = null,
+  onPartial = null,
+  subject = null,
+  conversation = null,
+  customerProfile = null
+} = {}) {
+  const taxonomy = getTaxonomy();
+
+  const parsed = await structuredRequest({
+    messages: [
+      {
+        role: "system",
+        content: `You are an expert customer support triage specialist. For each message, categorize it, score its urgency and recommend an action for the agent, all in one JSON response.
+
+${UNTRUSTED_CONTENT_RULE}
+
+## Available Categories
+
+${buildCategoryPrompt(taxonomy)}
+
+## Classification Rules
+
+${buildClassificationRules(taxonomy)}
+
+## Urgency
+
+${URGENCY_FACTORS}
+
+${URGENCY_LEVEL_GUIDE}
+
+## Recommendation
+
+${RECOMMENDATION_GUIDELINES}
+
+${ESCALATION_CRITERIA}
+${categoryExamples.length > 0 ? `
+## Agent-Corrected Categories
+
+Support agents corrected the classification of these past messages. Follow their labels for similar messages:
+${formatCategoryExamples(categoryExamples)}
+` : ''}${urgencyExamples.length > 0 ? `
+## Agent-Corrected Urgency
+
+Support agents corrected the urgency of these past messages. Calibrate similar messages to match:
+${formatUrgencyExamples(urgencyExamples)}
+` : ''}${similarExamples.length > 0 ? `
+## Similar Past Tickets
+
+These previously triaged messages are similar to the new one. Use them for consistency, but analyze the new message on its own content:
+${formatCategoryExamples(similarExamples)}
+` : ''}${incident ? `
+## Active Incident
+
+${formatIncidentContext(incident)} If so, point the agent to the incident instead of individual troubleshooting.
+` : ''}${conversation ? `
+## Conversation So Far
+
+${formatConversationContext(conversation)} An issue still unresolved after earlier contacts is more urgent, and the recommendation should build on what was already tried.
+` : ''}${customerProfile ? `
+## Customer
+
+${formatCustomerProfileContext(customerProfile)}
+` : ''}
+## Response Format
+
+Return JSON only, with every field present:
+{
+  "category": "Category Name",
+  "subcategory": "Subcategory Name or null",
+  "confidence": 0.0-1.0,
+  "secondaryCategories": [
+    { "category": "Other Category Name", "subcategory": "Subcategory Name or null", "confidence": 0.0-1.0 }
+  ],
+  "reasoning": "Brief explanation of the category",
+  "level": "High", "Medium" or "Low",
+  "score": 0-100,
+  "urgencyReasoning": "Brief explanation of the urgency (2-3 sentences max)",
+  "action": "2-3 sentence recommendation with specific steps",
+  "escalate": true/false,
+  "escalateReason": "reason if escalating, null otherwise"
+}`
+      },
+      {
+        role: "user",
+        content: `Triage this customer support ${subject ? 'email' : 'message'}:
+
+${wrapCustomerMessage(message, subject)}
+
+Return JSON only.`
+      }
+    ],
+    temperature: 0.3,
+    max_tokens: 600,
+    meter,
+    onToken: onPartial && ((text) => onPartial(readPartialFields(text, ['reasoning', 'urgencyReasoning', 'action'])))
+  }, buildCombinedSchema(taxonomy.map(category => category.name)), signal, { repair: false });
+
+  return {
+    categorization: toCategorization(parsed, taxonomy),
+    urgency: {
+      level: parsed.level,
+      score: Math.round(parsed.score),
+      reasoning: parsed.urgencyReasoning
+    },
+    recommendation: {
+      action: parsed.action,
+      escalate: parsed.escalate,
+      escalateReason: parsed.escalate ? (parsed.escalateReason || null) : null
+    }
+  };
+}
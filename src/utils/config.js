@@ -0,0 +1,15 @@
+/**
+ * Environment configuration access
+ * Reads Vite env vars in the browser and process.env when running under Node
+ */
+
+/**
+ * Read a configuration value
+ *
+ * @param {string} name - Variable name (e.g. 'VITE_LLM_PROVIDER')
+ * @param {*} fallback - Returned when the variable is unset or empty
+ */
+export function getEnv(name, fallback = undefined) {
+  const value = import.meta.env?.[name] ?? globalThis.process?.env?.[name];
+  return value === undefined || value === '' ? fallback : value;
+}
@@ -0,0 +1,166 @@
+import { wrapPastMessage } from './promptSafety.js';
+import { createUnionFind, collectGroups } from './grouping.js';
+import { truncate, hashString } from './text.js';
+
+/**
+ * Conversations - links history entries from the same customer or email thread
+ * Earlier turns are passed to the analyzers as context, and the number of contacts is a
+ * signal for urgency and escalation: an issue still open after several contacts is worse
+ * than the same message sent for the first time.
+ */
+
+// Earlier messages from the same customer count as contacts for this many days
+export const CONTACT_WINDOW_DAYS = 30;
+
+// Contact number at which an unresolved conversation is escalated
+export const REPEAT_CONTACT_THRESHOLD = 3;
+
+// Earlier turns included in prompts, most recent kept
+const MAX_CONTEXT_TURNS = 5;
+
+// Long messages are truncated in prompts to keep token usage bounded
+const TURN_MESSAGE_LENGTH = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The key customer IDs are stored and compared by
+ * Case-insensitive; email addresses become "email:<hash>" so history doesn't keep them in plain text.
+ */
+export function toCustomerKey(customerId) {
+  const id = String(customerId || '').trim().toLowerCase();
+  if (!id) return null;
+  return id.includes('@') ? `email:${hashString(id)}` : id;
+}
+
+/**
+ * The customer an entry came from: its customer ID, else the sender's email address
+ * Both are returned as customer keys (see toCustomerKey).
+ */
+export function getCustomerId(entry) {
+  if (typeof entry?.customerId === 'string' && entry.customerId.trim()) {
+    return toCustomerKey(entry.customerId);
+  }
+
+  const sender = entry?.sender || '';
+  const address = sender.match(/<([^>]+@[^>]+)>/)?.[1] || (sender.includes('@') ? sender : '');
+  return toCustomerKey(address);
+}
+
+/**
+ * Identifiers shared by entries of one thread: an explicit thread ID and the email's
+ * Message-ID, In-Reply-To and References headers
+ */
+function getThreadIds(entry) {
+  return [
+    entry?.threadId ? `thread:${String(entry.threadId).trim()}` : null,
+    entry?.email?.messageId,
+    entry?.email?.inReplyTo,
+    ...(entry?.email?.references || [])
+  ].filter(Boolean);
+}
+
+/**
+ * Find the earlier turns of the conversation a new message belongs to
+ * Entries in the same thread always count; other entries from the same customer count when
+ * they fall within the contact window. Entries flagged as untrusted content are left out, since
+ * their text would be quoted back to the model.
+ *
+ * @param {object[]} history - History entries to search
+ * @param {object} message - The new message's identifiers: { customerId, threadId, sender, email }
+ * @param {object} options
+ * @param {number} options.windowDays - How far back other messages from the customer count
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @returns {{kind: string, customerId: string|null, contactCount: number, windowDays: number,
+ *   firstContactAt: string, turns: object[]}|null} - null when this is the first contact.
+ *   kind is 'thread' when any earlier turn is in the same thread, else 'customer'.
+ */
+export function findConversation(history, message, { windowDays = CONTACT_WINDOW_DAYS, now = new Date() } = {}) {
+  const customerId = getCustomerId(message);
+  const threadIds = new Set(getThreadIds(message));
+  if (!customerId && threadIds.size === 0) return null;
+
+  const cutoff = now.getTime() - windowDays * DAY_MS;
+  const inThread = (entry) => getThreadIds(entry).some(id => threadIds.has(id));
+
+  const earlier = history
+    .filter(entry => !entry.untrustedContent && (
+      inThread(entry) ||
+      (customerId && getCustomerId(entry) === customerId && new Date(entry.timestamp).getTime() >= cutoff)
+    ))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  if (earlier.length === 0) return null;
+
+  return {
+    kind: earlier.some(inThread) ? 'thread' : 'customer',
+    customerId,
+    contactCount: earlier.length + 1,
+    windowDays,
+    firstContactAt: earlier[0].timestamp,
+    turns: earlier.slice(-MAX_CONTEXT_TURNS).map(entry => ({
+      id: entry.id,
+      message: entry.message,
+      subject: entry.subject || null,
+      category: entry.category,
+      urgency: entry.urgency,
+      escalate: Boolean(entry.escalate),
+      timestamp: entry.timestamp
+    }))
+  };
+}
+
+/**
+ * Escalation reason for a repeat contact, or null below the threshold
+ */
+export function getRepeatContactReason(conversation) {
+  if (!conversation || conversation.contactCount < REPEAT_CONTACT_THRESHOLD) return null;
+  return conversation.kind === 'thread'
+    ? `Repeat contact - message ${conversation.contactCount} in this thread without resolution`
+    : `Repeat contact - ${conversation.contactCount} contacts from this customer in the last ${conversation.windowDays} days`;
+}
+
+/**
+ * Describe the earlier turns for the analyzer prompts
+ */
+export function formatConversationContext(conversation) {
+  const turns = conversation.turns
+    .map(turn => `- ${turn.timestamp.slice(0, 10)}: ${wrapPastMessage(truncate(turn.message, TURN_MESSAGE_LENGTH))} → ${turn.category}, ${turn.urgency} urgency${turn.escalate ? ', escalated' : ''}`)
+    .join('\n');
+  const omitted = conversation.contactCount - 1 - conversation.turns.length;
+
+  return `This is contact #${conversation.contactCount} from this customer`
+    + (conversation.kind === 'thread' ? ' in this thread' : ` in the last ${conversation.windowDays} days`)
+    + `. Earlier messages, oldest first${omitted > 0 ? ` (${omitted} older not shown)` : ''}:\n${turns}\n`
+    + 'They are context only: analyze the new message.';
+}
+
+/**
+ * Group entries into conversations by shared customer or thread identifiers
+ * Unlike findConversation there is no time window: every entry from a customer is one group.
+ *
+ * @param {object[]} entries - History entries, in the order groups should follow
+ * @returns {Array<{id: string, representative: object, entries: object[], count: number, customerId: string|null}>}
+ *   Same shape as duplicateDetector's groupSimilar; groups keep the input order
+ */
+export function groupConversations(entries) {
+  const sets = createUnionFind(entries.length);
+
+  // First entry seen for each identifier; later entries with it are joined to that one
+  const firstIndex = new Map();
+  entries.forEach((entry, index) => {
+    const customerId = getCustomerId(entry);
+    const keys = [...getThreadIds(entry), ...(customerId ? [`customer:${customerId}`] : [])];
+    for (const key of keys) {
+      if (firstIndex.has(key)) {
+        sets.union(firstIndex.get(key), index);
+      } else {
+        firstIndex.set(key, index);
+      }
+    }
+  });
+
+  return collectGroups(entries, sets).map(group => ({
+    ...group,
+    customerId: group.entries.map(getCustomerId).find(Boolean) || null
+  }));
+}
@@ -0,0 +1,161 @@
+import { loadHistory, updateHistoryEntry } from './historyStore.js';
+import { formatCategoryLabel } from './taxonomy.js';
+import { wrapPastMessage } from './promptSafety.js';
+import { truncate } from './text.js';
+
+/**
+ * Agent Corrections - in-place overrides and confirmations of AI triage results
+ * Each override keeps the original AI value next to the corrected one. Corrected entries are
+ * fed back into the prompts as few-shot examples and can be exported as a labeled dataset.
+ */
+
+// Fields an agent can override; subcategory travels with category
+export const CORRECTABLE_FIELDS = ['category', 'subcategory', 'urgency', 'escalate'];
+
+// Maximum corrected examples injected into a prompt
+const DEFAULT_EXAMPLE_LIMIT = 5;
+
+// Long messages are truncated in prompts to keep token usage bounded
+const EXAMPLE_MESSAGE_LENGTH = 200;
+
+/**
+ * Apply overrides to an entry, keeping the original AI value for each changed field
+ * Setting a field back to its AI value removes that correction.
+ *
+ * @param {object} entry - History entry
+ * @param {object} changes - Subset of { category, subcategory, urgency, escalate }
+ * @returns {object} - The updated entry
+ */
+export function applyCorrection(entry, changes) {
+  const corrections = { ...(entry.corrections || {}) };
+  const updated = { ...entry };
+
+  for (const field of CORRECTABLE_FIELDS) {
+    if (!(field in changes)) continue;
+
+    const value = changes[field] ?? null;
+    const original = field in corrections ? corrections[field].original : (entry[field] ?? null);
+
+    if (value === original) {
+      delete corrections[field];
+    } else {
+      corrections[field] = { original, corrected: value };
+    }
+    updated[field] = value;
+  }
+
+  // Keep the escalation reason in step with an overridden flag
+  if (changes.escalate === false) {
+    updated.escalateReason = null;
+  } else if (changes.escalate === true && !updated.escalateReason) {
+    updated.escalateReason = 'Escalated by agent';
+  }
+
+  updated.corrections = corrections;
+  updated.correctedAt = Object.keys(corrections).length > 0 ? new Date().toISOString() : null;
+  return updated;
+}
+
+/**
+ * Save overrides for a history entry
+ *
+ * @param {string} entryId - Entry id
+ * @param {object} changes - Subset of { category, subcategory, urgency, escalate }
+ * @param {object} current - Optional in-memory copy to update (see updateHistoryEntry)
+ * @returns {object|null} - The updated entry, or null if it no longer exists
+ */
+export function saveCorrection(entryId, changes, current = null) {
+  return updateHistoryEntry(entryId, entry => applyCorrection(entry, changes), current);
+}
+
+/**
+ * Mark an entry's AI triage as confirmed correct by an agent
+ *
+ * @param {string} entryId - Entry id
+ * @param {object} current - Optional in-memory copy to update (see updateHistoryEntry)
+ * @returns {object|null} - The updated entry, or null if it no longer exists
+ */
+export function confirmEntry(entryId, current = null) {
+  return updateHistoryEntry(entryId, entry => ({ ...entry, confirmedAt: new Date().toISOString() }), current);
+}
+
+/**
+ * Whether an entry has any agent correction
+ */
+export function isCorrected(entry) {
+  return Boolean(entry?.corrections && Object.keys(entry.corrections).length > 0);
+}
+
+/**
+ * Whether an agent has reviewed an entry, either confirming or correcting it
+ */
+export function isVerified(entry) {
+  return isCorrected(entry) || Boolean(entry?.confirmedAt);
+}
+
+/**
+ * Most recent agent-corrected entries, as labeled examples
+ *
+ * @param {object} options
+ * @param {string[]} options.fields - Only entries where one of these fields was corrected
+ * @param {number} options.limit - Maximum examples
+ * @param {object[]} options.history - History to read from (defaults to saved history)
+ * @returns {Array<{id: string, message: string, category: string, subcategory: string|null, urgency: string, escalate: boolean}>}
+ */
+export function getCorrectionExamples({ fields = CORRECTABLE_FIELDS, limit = DEFAULT_EXAMPLE_LIMIT, history = loadHistory() } = {}) {
+  return history
+    // Flagged messages may try to steer the model, so they aren't quoted back to it
+    .filter(entry => isCorrected(entry) && !entry.untrustedContent && fields.some(field => field in entry.corrections))
+    .sort((a, b) => new Date(b.correctedAt) - new Date(a.correctedAt))
+    .slice(0, limit)
+    .map(entry => ({
+      id: entry.id,
+      message: entry.message,
+      category: entry.category,
+      subcategory: entry.subcategory || null,
+      urgency: entry.urgency,
+      escalate: Boolean(entry.escalate)
+    }));
+}
+
+/**
+ * Format corrected examples for a category prompt
+ */
+export function formatCategoryExamples(examples) {
+  return examples
+    .map(e => `- ${wrapPastMessage(truncate(e.message, EXAMPLE_MESSAGE_LENGTH))} → ${formatCategoryLabel(e.category, e.subcategory)}`)
+    .join('\n');
+}
+
+/**
+ * Format corrected examples for an urgency prompt
+ */
+export function formatUrgencyExamples(examples) {
+  return examples
+    .map(e => `- ${wrapPastMessage(truncate(e.message, EXAMPLE_MESSAGE_LENGTH))} → ${e.urgency}${e.escalate ? ' (escalated)' : ''}`)
+    .join('\n');
+}
+
+/**
+ * Export corrected entries as a labeled dataset in the evaluation harness format
+ *
+ * @returns {Array<{id: string, message: string, expected: object, original: object, correctedAt: string}>}
+ */
+export function exportCorrectionsDataset(history = loadHistory()) {
+  return history
+    .filter(isCorrected)
+    .map(entry => ({
+      id: entry.id,
+      message: entry.message,
+      expected: {
+        category: entry.category,
+        subcategory: entry.subcategory || null,
+        urgency: entry.urgency,
+        escalate: Boolean(entry.escalate)
+      },
+      original: Object.fromEntries(
+        Object.entries(entry.corrections).map(([field, { original }]) => [field, original])
+      ),
+      correctedAt: entry.correctedAt
+    }));
+}
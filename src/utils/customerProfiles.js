@@ -0,0 +1,282 @@
+import { readJson, writeJson } from './storage.js';
+import { parseCsv } from './batchParser.js';
+import { toCustomerKey } from './conversations.js';
+
+/**
+ * Customer Profiles - tier, plan, account value and renewal date for known customers
+ * Profiles are imported from a customer CSV or entered by hand, and looked up by the same
+ * customer ID conversations use (see conversations.js). Urgency scoring and recommendations
+ * weigh high-tier and high-value accounts and renewals coming up soon.
+ */
+
+const PROFILES_KEY = 'customerProfiles';
+
+// Tiers from highest to lowest, with the rule-based urgency bonus for each
+export const CUSTOMER_TIERS = {
+  Enterprise: { urgencyBonus: 15 },
+  Business: { urgencyBonus: 5 },
+  Standard: { urgencyBonus: 0 },
+  Free: { urgencyBonus: 0 }
+};
+
+// Annual account value from which an account counts as high-value
+export const HIGH_VALUE_ACCOUNT = 100000;
+
+// A renewal within this many days is at risk from a bad support experience
+export const RENEWAL_WINDOW_DAYS = 30;
+
+// Upper bound on the rule-based urgency bonus from the profile
+const MAX_URGENCY_BONUS = 25;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// CSV column names accepted for each field (headers are lowercased)
+const CSV_COLUMNS = {
+  customerId: ['customer_id', 'customerid', 'customer', 'id', 'email'],
+  name: ['name', 'company', 'account'],
+  tier: ['tier'],
+  plan: ['plan'],
+  accountValue: ['arr', 'account_value', 'accountvalue', 'value'],
+  renewalDate: ['renewal_date', 'renewaldate', 'renewal', 'renews']
+};
+
+/**
+ * "$120,000", "120k" or "1.2M" → 120000; null when empty or not a number
+ */
+function parseAccountValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  const match = String(value).replace(/[$,\s]/g, '').match(/^(\d+(?:\.\d+)?)([km])?$/i);
+  if (!match) return NaN;
+  const multiplier = { k: 1000, m: 1000000 }[match[2]?.toLowerCase()] || 1;
+  return Math.round(Number(match[1]) * multiplier);
+}
+
+/**
+ * A date → "YYYY-MM-DD"; null when empty, '' when it can't be read
+ */
+function parseRenewalDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Tier names match case-insensitively; unknown tiers are kept as given so validation can report them
+ */
+function normalizeTier(value) {
+  const tier = String(value || '').trim();
+  return Object.keys(CUSTOMER_TIERS).find(name => name.toLowerCase() === tier.toLowerCase()) || tier || null;
+}
+
+/**
+ * Normalize a profile: trimmed strings, a lowercase customer ID, a numeric account value
+ * and an ISO renewal date
+ */
+export function normalizeProfile(profile) {
+  return {
+    customerId: String(profile?.customerId || '').trim().toLowerCase(),
+    name: String(profile?.name || '').trim() || null,
+    tier: normalizeTier(profile?.tier),
+    plan: String(profile?.plan || '').trim() || null,
+    accountValue: parseAccountValue(profile?.accountValue),
+    renewalDate: parseRenewalDate(profile?.renewalDate)
+  };
+}
+
+/**
+ * Check profiles for problems
+ *
+ * @param {object[]} profiles - Profiles, normalized or as entered
+ * @param {object} options
+ * @param {boolean} options.requireId - Whether each profile needs a customer ID (not for one entered on an analysis)
+ * @returns {string[]} - Human-readable errors; empty if valid
+ */
+export function validateCustomerProfiles(profiles, { requireId = true } = {}) {
+  if (!Array.isArray(profiles)) {
+    return ['Customer profiles must be a list'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  profiles.map(normalizeProfile).forEach((profile, index) => {
+    const label = profile.customerId || `Customer ${index + 1}`;
+    if (requireId && !profile.customerId) {
+      errors.push(`Customer ${index + 1} needs a customer ID or email`);
+    } else if (profile.customerId && seen.has(profile.customerId)) {
+      errors.push(`${label} is listed more than once`);
+    }
+    seen.add(profile.customerId);
+
+    if (profile.tier && !CUSTOMER_TIERS[profile.tier]) {
+      errors.push(`${label}: tier must be one of ${Object.keys(CUSTOMER_TIERS).join(', ')}`);
+    }
+    if (Number.isNaN(profile.accountValue) || profile.accountValue < 0) {
+      errors.push(`${label}: account value must be a non-negative amount`);
+    }
+    if (profile.renewalDate === '') {
+      errors.push(`${label}: renewal date must be a date`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Get the saved customer profiles
+ */
+export function getCustomerProfiles() {
+  const saved = readJson(PROFILES_KEY, []);
+  return Array.isArray(saved) ? saved.map(normalizeProfile) : [];
+}
+
+/**
+ * Save customer profiles, replacing the saved list
+ *
+ * @throws {Error} if any profile is invalid
+ */
+export function saveCustomerProfiles(profiles) {
+  const errors = validateCustomerProfiles(profiles);
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+  const normalized = profiles.map(normalizeProfile);
+  writeJson(PROFILES_KEY, normalized);
+  return normalized;
+}
+
+/**
+ * Parse a customer CSV into profiles
+ * Needs a header row with a customer_id (or email) column; tier, plan, arr and renewal_date are optional.
+ *
+ * @param {string} text - CSV content
+ * @returns {{profiles: object[], errors: string[]}} - Valid rows, and one error per invalid row
+ */
+export function parseCustomerCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    return { profiles: [], errors: ['The file is empty'] };
+  }
+
+  const header = rows[0].map(name => name.trim().toLowerCase());
+  const columns = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([field, names]) =>
+    [field, names.map(name => header.indexOf(name)).find(index => index !== -1)]
+  ));
+  if (columns.customerId === undefined) {
+    return { profiles: [], errors: [`No customer ID column found; expected one of: ${CSV_COLUMNS.customerId.join(', ')}`] };
+  }
+
+  const profiles = [];
+  const errors = [];
+  rows.slice(1).forEach((row, index) => {
+    const record = Object.fromEntries(Object.entries(columns)
+      .filter(([, column]) => column !== undefined)
+      .map(([field, column]) => [field, row[column] ?? '']));
+    const rowErrors = validateCustomerProfiles([record]);
+    if (rowErrors.length > 0) {
+      // Row numbers count the header, as in a spreadsheet
+      const row = `Row ${index + 2}`;
+      errors.push(...rowErrors.map(error => (error.startsWith('Customer 1 ') ? error.replace('Customer 1', row) : `${row}: ${error}`)));
+    } else {
+      profiles.push(normalizeProfile(record));
+    }
+  });
+  return { profiles, errors };
+}
+
+/**
+ * Merge imported profiles into a list; imported rows replace existing ones with the same customer ID
+ */
+export function mergeCustomerProfiles(existing, imported) {
+  const key = (profile) => String(profile.customerId || '').trim().toLowerCase();
+  const byId = new Map(existing.map(profile => [key(profile), profile]));
+  imported.forEach(profile => byId.set(key(profile), profile));
+  return [...byId.values()];
+}
+
+/**
+ * Look up the profile for a customer ID or key (see conversations.getCustomerId)
+ * Profiles keep email IDs readable; both sides are compared as customer keys.
+ */
+export function findCustomerProfile(customerId, profiles = getCustomerProfiles()) {
+  const key = toCustomerKey(customerId);
+  if (!key) return null;
+  return profiles.find(profile => toCustomerKey(profile.customerId) === key) || null;
+}
+
+/**
+ * 120000 → "$120k", 1500000 → "$1.5M"
+ */
+export function formatAccountValue(value) {
+  if (value >= 1000000) return `$${Math.round(value / 100000) / 10}M`;
+  if (value >= 1000) return `$${Math.round(value / 1000)}k`;
+  return `$${value}`;
+}
+
+/**
+ * Days from today until the renewal; negative once it has passed, null without a date
+ */
+function daysUntilRenewal(profile, now) {
+  if (!profile.renewalDate) return null;
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return Math.round((new Date(profile.renewalDate).getTime() - today) / DAY_MS);
+}
+
+/**
+ * What in a profile raises priority
+ *
+ * @param {object} profile - A customer profile
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {{reason: string|null, urgencyBonus: number, escalateReason: string|null}}
+ *   reason reads like "Enterprise customer, renewal in 12 days"; null when nothing stands out.
+ *   escalateReason is set for key accounts (Enterprise or high-value) with a renewal in the window.
+ */
+export function assessCustomerProfile(profile, now = new Date()) {
+  const factors = [];
+  let urgencyBonus = 0;
+
+  const tierBonus = CUSTOMER_TIERS[profile.tier]?.urgencyBonus || 0;
+  if (tierBonus > 0) {
+    factors.push(`${profile.tier} customer`);
+    urgencyBonus += tierBonus;
+  }
+
+  const highValue = profile.accountValue >= HIGH_VALUE_ACCOUNT;
+  if (highValue) {
+    factors.push(`${formatAccountValue(profile.accountValue)} ARR`);
+    urgencyBonus += 10;
+  }
+
+  const renewalDays = daysUntilRenewal(profile, now);
+  const renewalSoon = renewalDays !== null && renewalDays >= 0 && renewalDays <= RENEWAL_WINDOW_DAYS;
+  if (renewalSoon) {
+    factors.push(renewalDays === 0 ? 'renewal today' : `renewal in ${renewalDays} ${renewalDays === 1 ? 'day' : 'days'}`);
+    urgencyBonus += 10;
+  }
+
+  const reason = factors.length > 0 ? factors.join(', ').replace(/^./, char => char.toUpperCase()) : null;
+  const keyAccount = profile.tier === 'Enterprise' || highValue;
+  return {
+    reason,
+    urgencyBonus: Math.min(MAX_URGENCY_BONUS, urgencyBonus),
+    escalateReason: keyAccount && renewalSoon ? `Key account with renewal at risk - ${reason}` : null
+  };
+}
+
+/**
+ * Describe the customer for the urgency and recommendation prompts
+ */
+export function formatCustomerProfileContext(profile, now = new Date()) {
+  const renewalDays = daysUntilRenewal(profile, now);
+  const details = [
+    profile.tier ? `${profile.tier} tier` : null,
+    profile.plan ? `${profile.plan} plan` : null,
+    profile.accountValue !== null ? `${formatAccountValue(profile.accountValue)} annual account value` : null,
+    renewalDays !== null
+      ? `renews ${profile.renewalDate} (${renewalDays >= 0 ? `in ${renewalDays} days` : `${-renewalDays} days ago`})`
+      : null
+  ].filter(Boolean);
+
+  return `Customer profile: ${details.join(', ') || 'no details'}.`
+    + ' Higher tiers, high-value accounts and renewals in the next'
+    + ` ${RENEWAL_WINDOW_DAYS} days raise urgency and the case for escalation. A low tier doesn't make a serious problem less urgent.`;
+}
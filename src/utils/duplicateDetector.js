@@ -0,0 +1,88 @@
+import { characterShingles, diceCoefficient, tokenize } from './similarity.js';
+import { createUnionFind, collectGroups } from './grouping.js';
+import { truncate } from './text.js';
+
+/**
+ * Duplicate Detector - flags near-duplicate messages and clusters related ones
+ * Catches the same complaint sent through several channels and the same bug reported in different words.
+ */
+
+// Minimum fuzzy similarity for two messages to count as likely duplicates
+export const DUPLICATE_THRESHOLD = 0.6;
+
+// Only compare against history from this many recent days
+export const DUPLICATE_WINDOW_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Long messages are truncated in summaries
+const SUMMARY_MESSAGE_LENGTH = 120;
+
+/**
+ * Precompute the features used for comparison
+ */
+function features(text) {
+  return { chars: characterShingles(text), words: new Set(tokenize(text)) };
+}
+
+function compareFeatures(a, b) {
+  return Math.max(diceCoefficient(a.chars, b.chars), diceCoefficient(a.words, b.words));
+}
+
+/**
+ * Find earlier analyses that are likely duplicates of a message
+ *
+ * @param {string} message - The new message
+ * @param {object[]} history - History entries to compare against
+ * @param {object} options
+ * @param {number} options.threshold - Minimum similarity (0-1)
+ * @param {number} options.windowDays - Only consider entries newer than this
+ * @param {number} options.limit - Maximum matches
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @returns {Array<{id: string, score: number, message: string, category: string, timestamp: string}>}
+ */
+export function findDuplicates(message, history, {
+  threshold = DUPLICATE_THRESHOLD,
+  windowDays = DUPLICATE_WINDOW_DAYS,
+  limit = 3,
+  now = new Date()
+} = {}) {
+  const cutoff = now.getTime() - windowDays * DAY_MS;
+  const target = features(message);
+
+  return history
+    .filter(entry => entry.id && entry.message && new Date(entry.timestamp).getTime() >= cutoff)
+    .map(entry => ({ entry, score: compareFeatures(target, features(entry.message)) }))
+    .filter(({ score }) => score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ entry, score }) => ({
+      id: entry.id,
+      score: Math.round(score * 100) / 100,
+      message: truncate(entry.message, SUMMARY_MESSAGE_LENGTH),
+      category: entry.category,
+      timestamp: entry.timestamp
+    }));
+}
+
+/**
+ * Cluster entries whose messages are similar (single-linkage)
+ *
+ * @param {object[]} entries - History entries, in the order groups should follow
+ * @param {object} options
+ * @param {number} options.threshold - Minimum similarity to link two entries
+ * @returns {Array<{id: string, representative: object, entries: object[], count: number}>}
+ *   Groups keep the input order; the representative is the first entry of each group
+ */
+export function groupSimilar(entries, { threshold = DUPLICATE_THRESHOLD } = {}) {
+  const sets = createUnionFind(entries.length);
+  const featureList = entries.map(entry => features(entry.message || ''));
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (sets.find(i) !== sets.find(j) && compareFeatures(featureList[i], featureList[j]) >= threshold) {
+        sets.union(i, j);
+      }
+    }
+  }
+  return collectGroups(entries, sets);
+}
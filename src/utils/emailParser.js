@@ -0,0 +1,271 @@
+/**
+ * Email Parser - reads support emails from .eml files and mbox mailboxes
+ * Extracts the sender, subject, date and thread headers, and the plain-text body with
+ * quoted replies and signatures removed, so only the customer's new text is triaged.
+ * Handles multipart MIME, base64 and quoted-printable bodies and RFC 2047 encoded headers.
+ */
+
+// Headers that open a typical .eml file; used to tell a single email from other text
+const EMAIL_HEADER_PATTERN = /^(?:return-path|received|delivered-to|from|to|subject|date|message-id|mime-version|x-[\w-]+):/i;
+
+// "From " separator lines between messages in an mbox
+const MBOX_SEPARATOR = /^From \S+.*$/m;
+
+// Lines that introduce the quoted earlier message in a reply
+const REPLY_HEADER_PATTERNS = [
+  /^On .{1,200}(?:wrote|schrieb|a écrit|escribió):\s*$/i,
+  /^-{2,}\s*(?:Original|Forwarded) Message\s*-{2,}$/i,
+  /^_{10,}$/,
+  /^From:\s.+$/i
+];
+
+// Lines that start a signature
+const SIGNATURE_PATTERNS = [
+  /^--\s?$/,
+  /^Sent from my \w+/i,
+  /^Get Outlook for /i
+];
+
+// Sign-offs; everything after one near the end of the message is treated as the signature
+const SIGN_OFF_PATTERN = /^(?:best|kind|warm)?\s*(?:regards|wishes|thanks|thank you|cheers|sincerely)[,!.]?\s*$/i;
+const MAX_SIGN_OFF_TAIL = 6;
+
+/**
+ * Whether text looks like an mbox mailbox or a single email
+ */
+export function detectEmailFormat(text) {
+  const start = text.replace(/^\uFEFF/, '').trimStart();
+  if (/^From \S+/.test(start)) return 'mbox';
+  if (EMAIL_HEADER_PATTERN.test(start)) return 'eml';
+  return null;
+}
+
+/**
+ * Decode bytes in a charset, falling back to UTF-8 for charsets the runtime doesn't know
+ */
+function decodeBytes(bytes, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * Text as it was read from the file → bytes (one byte per character for 8-bit content)
+ */
+function toBytes(text) {
+  return Uint8Array.from(text, char => char.charCodeAt(0) & 0xff);
+}
+
+function decodeBase64(text, charset) {
+  try {
+    return decodeBytes(toBytes(atob(text.replace(/[^A-Za-z0-9+/=]/g, ''))), charset);
+  } catch {
+    return text;
+  }
+}
+
+function decodeQuotedPrintable(text, charset) {
+  const binary = text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return decodeBytes(toBytes(binary), charset);
+}
+
+/**
+ * Decode RFC 2047 encoded words, e.g. =?UTF-8?B?...?= or =?ISO-8859-1?Q?...?=
+ */
+export function decodeHeaderValue(value) {
+  return String(value || '')
+    // Whitespace between adjacent encoded words is not part of the text
+    .replace(/(\?=)\s+(=\?)/g, '$1$2')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, encoded) =>
+      encoding.toUpperCase() === 'B'
+        ? decodeBase64(encoded, charset)
+        : decodeQuotedPrintable(encoded.replace(/_/g, ' '), charset)
+    )
+    .trim();
+}
+
+/**
+ * Split a message into lowercase-named headers and the raw body
+ * Folded header lines (starting with whitespace) are joined onto the previous header.
+ */
+function splitHeaders(raw) {
+  const normalized = raw.replace(/\r\n/g, '\n');
+  const separator = normalized.search(/\n\s*\n/);
+  const headerText = separator === -1 ? normalized : normalized.slice(0, separator);
+  const body = separator === -1 ? '' : normalized.slice(separator).replace(/^\n\s*\n/, '');
+
+  const headers = {};
+  headerText.replace(/\n[ \t]+/g, ' ').split('\n').forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon <= 0) return;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    // First occurrence wins (later Received-style duplicates don't matter here)
+    if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+  });
+  return { headers, body };
+}
+
+/**
+ * Content-Type header → { type, params }
+ */
+function parseContentType(value = 'text/plain') {
+  const [type, ...rest] = value.split(';');
+  const params = {};
+  rest.forEach(part => {
+    const match = part.match(/^\s*([\w-]+)\s*=\s*"?([^"]*)"?\s*$/);
+    if (match) params[match[1].toLowerCase()] = match[2];
+  });
+  return { type: type.trim().toLowerCase() || 'text/plain', params };
+}
+
+function decodeBody(body, headers) {
+  const { params } = parseContentType(headers['content-type']);
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+  if (encoding === 'base64') return decodeBase64(body, params.charset);
+  if (encoding === 'quoted-printable') return decodeQuotedPrintable(body, params.charset);
+  return body;
+}
+
+/**
+ * Rough HTML → text, for emails without a plain-text part
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(?:style|script|head)[\s\S]*?<\/(?:style|script|head)>/gi, '')
+    .replace(/<blockquote[\s\S]*?<\/blockquote>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(?:p|div|li|tr|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * The message's text content: the first text/plain part, else the first text/html part as text
+ */
+function extractText(body, headers) {
+  const { type, params } = parseContentType(headers['content-type']);
+  if ((headers['content-disposition'] || '').toLowerCase().startsWith('attachment')) return null;
+
+  if (type.startsWith('multipart/') && params.boundary) {
+    const delimiter = `--${params.boundary}`;
+    const parts = body.split(delimiter).slice(1)
+      .filter(part => !part.startsWith('--'))
+      .map(part => splitHeaders(part.replace(/^[ \t]*\n/, '')));
+
+    const texts = parts.map(part => ({ type: parseContentType(part.headers['content-type']).type, text: extractText(part.body, part.headers) }));
+    const plain = texts.find(part => part.text !== null && part.type !== 'text/html');
+    const html = texts.find(part => part.text !== null);
+    return (plain || html)?.text ?? null;
+  }
+
+  if (type === 'text/plain') return decodeBody(body, headers);
+  if (type === 'text/html') return htmlToText(decodeBody(body, headers));
+  return null;
+}
+
+/**
+ * Remove the quoted earlier message and the signature from a reply
+ *
+ * @param {string} text - Plain-text body
+ * @returns {string} - Only the sender's new text
+ */
+export function stripQuotedText(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+
+  // Everything from the first reply header or signature delimiter on is quoted or signature
+  let end = lines.findIndex(line =>
+    [...REPLY_HEADER_PATTERNS, ...SIGNATURE_PATTERNS].some(pattern => pattern.test(line.trim()))
+  );
+  if (end === -1) end = lines.length;
+
+  const kept = lines.slice(0, end).filter(line => !line.trimStart().startsWith('>'));
+
+  // A sign-off near the end starts the signature
+  for (let i = kept.length - 1; i >= Math.max(0, kept.length - MAX_SIGN_OFF_TAIL); i--) {
+    if (SIGN_OFF_PATTERN.test(kept[i].trim())) {
+      kept.length = i;
+      break;
+    }
+  }
+
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * "Jane Doe" <jane@example.com> → { name, address }
+ */
+function parseAddress(value) {
+  const decoded = decodeHeaderValue(value);
+  const match = decoded.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>/);
+  if (match) return { name: match[1].trim() || null, address: match[2].trim().toLowerCase() };
+  const address = decoded.match(/[^\s<>"]+@[^\s<>"]+/)?.[0];
+  return { name: null, address: address ? address.toLowerCase() : decoded || null };
+}
+
+function parseMessageIds(value) {
+  return (String(value || '').match(/<[^>]+>/g) || []);
+}
+
+/**
+ * Parse one email
+ *
+ * @param {string} raw - The message source (headers, blank line, body)
+ * @returns {{from: {name: string|null, address: string|null}, subject: string|null, date: string|null,
+ *   messageId: string|null, inReplyTo: string|null, references: string[], body: string}}
+ */
+export function parseEmail(raw) {
+  const { headers, body } = splitHeaders(raw.replace(/^\uFEFF/, ''));
+  const date = headers.date ? new Date(headers.date) : null;
+  const text = extractText(body, headers) || '';
+
+  return {
+    from: parseAddress(headers.from || ''),
+    subject: decodeHeaderValue(headers.subject) || null,
+    date: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+    messageId: parseMessageIds(headers['message-id'])[0] || null,
+    inReplyTo: parseMessageIds(headers['in-reply-to'])[0] || null,
+    references: parseMessageIds(headers.references),
+    // A message that is nothing but quoted text keeps it, rather than being dropped
+    body: stripQuotedText(text) || text.trim()
+  };
+}
+
+/**
+ * Split an mbox mailbox into raw messages
+ * ">From " lines escaped by the mbox writer are restored.
+ */
+export function splitMbox(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .split(new RegExp(`\\n(?=${MBOX_SEPARATOR.source.slice(1)})`, 'm'))
+    .map(chunk => chunk.replace(MBOX_SEPARATOR, '').replace(/^\n/, '').replace(/^>(>*From )/gm, '$1'))
+    .filter(chunk => chunk.trim());
+}
+
+/**
+ * Parse an .eml file or mbox mailbox
+ *
+ * @param {string} text - File contents
+ * @param {string} format - 'eml' or 'mbox'; detected from the content if omitted
+ * @returns {object[]} - Parsed emails, in file order
+ */
+export function parseEmails(text, format = detectEmailFormat(text)) {
+  return format === 'mbox' ? splitMbox(text).map(parseEmail) : [parseEmail(text)];
+}
+
+/**
+ * Sender for display and storage: "Name <address>" or just the address
+ */
+export function formatSender(from) {
+  if (!from?.address) return from?.name || null;
+  return from.name ? `${from.name} <${from.address}>` : from.address;
+}
@@ -0,0 +1,220 @@
+import { analyzeMessage } from './triagePipeline.js';
+import { getFallbackCategorization, getCategoryDefinitions } from './llmHelper.js';
+import { getFallbackUrgency } from './urgencyScorer.js';
+import { getFallbackRecommendation } from './templates.js';
+
+/**
+ * Evaluation Harness - scores the triage pipeline against a labeled dataset
+ *
+ * Dataset format (JSON array):
+ * [{ "id": 1, "message": "...", "expected": { "category": "...", "urgency": "High", "escalate": true } }]
+ */
+
+// Ordinal position of each urgency level, used for off-by-N distances
+const URGENCY_RANK = { Low: 0, Medium: 1, High: 2 };
+
+/**
+ * Validate a labeled dataset and return its records
+ *
+ * @throws {Error} if the dataset is malformed
+ */
+export function validateDataset(dataset) {
+  const records = Array.isArray(dataset) ? dataset : dataset?.messages;
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new Error('Dataset must be a non-empty array of labeled messages');
+  }
+
+  records.forEach((record, index) => {
+    const label = `Record ${record?.id ?? index + 1}`;
+    if (typeof record?.message !== 'string' || !record.message.trim()) {
+      throw new Error(`${label}: missing "message"`);
+    }
+    const expected = record.expected || {};
+    if (typeof expected.category !== 'string') {
+      throw new Error(`${label}: missing "expected.category"`);
+    }
+    if (!(expected.urgency in URGENCY_RANK)) {
+      throw new Error(`${label}: "expected.urgency" must be High, Medium or Low`);
+    }
+    if (typeof expected.escalate !== 'boolean') {
+      throw new Error(`${label}: "expected.escalate" must be true or false`);
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Run one message through the rule-based fallback analyzers only
+ */
+function predictWithFallback(message) {
+  const { category } = getFallbackCategorization(message);
+  const urgency = getFallbackUrgency(message, category);
+  const recommendation = getFallbackRecommendation(message, category, urgency.level);
+
+  return {
+    category,
+    urgency: urgency.level,
+    escalate: recommendation.escalate
+  };
+}
+
+/**
+ * Run one message through the full LLM pipeline
+ */
+async function predictWithLlm(message, signal) {
+  const result = await analyzeMessage(message, { signal });
+  return {
+    category: result.category,
+    urgency: result.urgency,
+    escalate: result.escalate
+  };
+}
+
+/**
+ * Generate predictions for every record in the dataset
+ *
+ * @param {Array} records - Validated dataset records
+ * @param {object} options
+ * @param {string} options.path - 'llm' or 'fallback'
+ * @param {AbortSignal} options.signal - Optional cancellation signal
+ * @param {function} options.onProgress - Called with (completed, total)
+ * @returns {Promise<Array<{id: *, message: string, expected: object, predicted: object}>>}
+ */
+export async function runPredictions(records, { path = 'fallback', signal = null, onProgress = null } = {}) {
+  const predictions = [];
+
+  // Sequential on purpose: keeps LLM runs within free-tier rate limits
+  for (const record of records) {
+    const predicted = path === 'llm'
+      ? await predictWithLlm(record.message, signal)
+      : predictWithFallback(record.message);
+
+    predictions.push({
+      id: record.id,
+      message: record.message,
+      expected: record.expected,
+      predicted
+    });
+    onProgress?.(predictions.length, records.length);
+  }
+
+  return predictions;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * Compute classification metrics from predictions
+ *
+ * @returns {{
+ *   total: number,
+ *   categoryAccuracy: number,
+ *   perCategory: Object<string, {precision: number|null, recall: number|null, support: number}>,
+ *   confusionMatrix: {labels: string[], matrix: number[][]},
+ *   urgency: {exact: number, offByOne: number, offByTwo: number},
+ *   escalation: {falsePositives: number, falsePositiveRate: number|null, falseNegatives: number, falseNegativeRate: number|null}
+ * }}
+ */
+export function computeMetrics(predictions) {
+  const total = predictions.length;
+
+  // Confusion matrix labels: known categories plus anything seen in the data
+  const labelSet = new Set(Object.keys(getCategoryDefinitions()));
+  predictions.forEach(p => {
+    labelSet.add(p.expected.category);
+    labelSet.add(p.predicted.category);
+  });
+  const labels = [...labelSet];
+  const matrix = labels.map(() => labels.map(() => 0));
+
+  predictions.forEach(p => {
+    matrix[labels.indexOf(p.expected.category)][labels.indexOf(p.predicted.category)] += 1;
+  });
+
+  const perCategory = {};
+  labels.forEach((label, i) => {
+    const truePositives = matrix[i][i];
+    const predictedCount = matrix.reduce((sum, row) => sum + row[i], 0);
+    const actualCount = matrix[i].reduce((sum, value) => sum + value, 0);
+    perCategory[label] = {
+      precision: ratio(truePositives, predictedCount),
+      recall: ratio(truePositives, actualCount),
+      support: actualCount
+    };
+  });
+
+  const correctCategories = predictions.filter(p => p.expected.category === p.predicted.category).length;
+
+  // Urgency distance on the Low < Medium < High scale (unknown levels count as Medium)
+  const distances = predictions.map(p =>
+    Math.abs((URGENCY_RANK[p.expected.urgency] ?? 1) - (URGENCY_RANK[p.predicted.urgency] ?? 1))
+  );
+
+  const expectedNegatives = predictions.filter(p => !p.expected.escalate).length;
+  const expectedPositives = total - expectedNegatives;
+  const falsePositives = predictions.filter(p => p.predicted.escalate && !p.expected.escalate).length;
+  const falseNegatives = predictions.filter(p => !p.predicted.escalate && p.expected.escalate).length;
+
+  return {
+    total,
+    categoryAccuracy: ratio(correctCategories, total),
+    perCategory,
+    confusionMatrix: { labels, matrix },
+    urgency: {
+      exact: ratio(distances.filter(d => d === 0).length, total),
+      offByOne: ratio(distances.filter(d => d === 1).length, total),
+      offByTwo: ratio(distances.filter(d => d === 2).length, total)
+    },
+    escalation: {
+      falsePositives,
+      falsePositiveRate: ratio(falsePositives, expectedNegatives),
+      falseNegatives,
+      falseNegativeRate: ratio(falseNegatives, expectedPositives)
+    }
+  };
+}
+
+function percent(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Format metrics as a plain-text report
+ *
+ * @param {object} metrics - Output of computeMetrics
+ * @param {string} title - Report heading (e.g. 'LLM pipeline')
+ */
+export function formatReport(metrics, title) {
+  const lines = [];
+  lines.push(`=== ${title} (${metrics.total} messages) ===`, '');
+  lines.push(`Category accuracy: ${percent(metrics.categoryAccuracy)}`, '');
+
+  lines.push('Per-category precision / recall:');
+  for (const [label, stats] of Object.entries(metrics.perCategory)) {
+    lines.push(`  ${label.padEnd(20)} precision ${percent(stats.precision).padStart(6)}   recall ${percent(stats.recall).padStart(6)}   (n=${stats.support})`);
+  }
+  lines.push('');
+
+  const { labels, matrix } = metrics.confusionMatrix;
+  const width = Math.max(...labels.map(l => l.length), 8);
+  lines.push('Confusion matrix (rows = expected, columns = predicted):');
+  lines.push(`  ${''.padEnd(width)} ${labels.map((_, i) => `[${i + 1}]`.padStart(5)).join('')}`);
+  labels.forEach((label, i) => {
+    lines.push(`  ${label.padEnd(width)} ${matrix[i].map(v => String(v).padStart(5)).join('')}   [${i + 1}]`);
+  });
+  lines.push('');
+
+  lines.push('Urgency:');
+  lines.push(`  Exact match: ${percent(metrics.urgency.exact)}`);
+  lines.push(`  Off by one:  ${percent(metrics.urgency.offByOne)}`);
+  lines.push(`  Off by two:  ${percent(metrics.urgency.offByTwo)}`, '');
+
+  lines.push('Escalation:');
+  lines.push(`  False positives: ${metrics.escalation.falsePositives} (${percent(metrics.escalation.falsePositiveRate)} of non-escalations)`);
+  lines.push(`  False negatives: ${metrics.escalation.falseNegatives} (${percent(metrics.escalation.falseNegativeRate)} of escalations)`);
+
+  return lines.join('\n');
+}
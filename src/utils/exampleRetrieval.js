@@ -0,0 +1,110 @@
+import { loadHistory } from './historyStore.js';
+import { buildIndex, querySimilar } from './similarity.js';
+import { isVerified } from './corrections.js';
+import { wrapPastMessage } from './promptSafety.js';
+import { truncate } from './text.js';
+
+/**
+ * Example Retrieval - picks the most similar previously triaged messages
+ * to use as few-shot examples in the categorization, urgency and recommendation prompts.
+ */
+
+// Agent-verified entries rank above unverified ones of similar score
+const VERIFIED_BOOST = 1.25;
+
+const DEFAULT_LIMIT = 3;
+const DEFAULT_MIN_SCORE = 0.25;
+
+// Long messages are truncated in prompts to keep token usage bounded
+const EXAMPLE_MESSAGE_LENGTH = 200;
+
+// Rebuilding the index is cheap but not free; reuse it while history is unchanged
+let cachedIndex = null;
+let cachedSignature = null;
+
+function historySignature(history) {
+  const last = history[history.length - 1];
+  return `${history.length}:${last?.id}:${history.filter(isVerified).length}`;
+}
+
+function getIndex(history) {
+  const signature = historySignature(history);
+  if (signature !== cachedSignature) {
+    cachedIndex = buildIndex(history.map(entry => ({ id: entry.id, text: entry.message })));
+    cachedSignature = signature;
+  }
+  return cachedIndex;
+}
+
+/**
+ * Retrieve the past tickets most similar to a message
+ *
+ * @param {string} message - The new customer message
+ * @param {object} options
+ * @param {object[]} options.history - Entries to search (defaults to saved history)
+ * @param {string[]} options.excludeIds - Entries to skip (e.g. already used as correction examples)
+ * @param {number} options.limit - Maximum examples
+ * @param {number} options.minScore - Minimum similarity (0-1)
+ * @returns {Array<{id: string, message: string, category: string, subcategory: string|null, urgency: string,
+ *   escalate: boolean, recommendedAction: string, score: number, verified: boolean}>}
+ */
+export function retrieveSimilarExamples(message, {
+  history = loadHistory(),
+  excludeIds = [],
+  limit = DEFAULT_LIMIT,
+  minScore = DEFAULT_MIN_SCORE
+} = {}) {
+  // Flagged messages may try to steer the model, so they aren't quoted back to it
+  const candidates = history.filter(entry => entry.id && entry.message && !entry.untrustedContent);
+  if (candidates.length === 0) return [];
+
+  const byId = new Map(candidates.map(entry => [entry.id, entry]));
+  const normalizedMessage = message.trim().toLowerCase();
+  const excluded = new Set(excludeIds);
+
+  return querySimilar(getIndex(candidates), message, { limit: limit * 4, minScore })
+    .map(({ id, score }) => ({ entry: byId.get(id), score }))
+    // Identical text teaches the model nothing new
+    .filter(({ entry }) => entry && !excluded.has(entry.id) && entry.message.trim().toLowerCase() !== normalizedMessage)
+    .map(({ entry, score }) => ({
+      entry,
+      score,
+      rank: isVerified(entry) ? score * VERIFIED_BOOST : score
+    }))
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, limit)
+    .map(({ entry, score }) => ({
+      id: entry.id,
+      message: entry.message,
+      category: entry.category,
+      subcategory: entry.subcategory || null,
+      urgency: entry.urgency,
+      escalate: Boolean(entry.escalate),
+      recommendedAction: entry.recommendedAction,
+      score: Math.round(score * 100) / 100,
+      verified: isVerified(entry)
+    }));
+}
+
+/**
+ * Format similar tickets for the recommendation prompt
+ */
+export function formatRecommendationExamples(examples) {
+  return examples
+    .map(e => `- ${wrapPastMessage(truncate(e.message, EXAMPLE_MESSAGE_LENGTH))} (${e.category}, ${e.urgency}${e.escalate ? ', escalated' : ''}) → ${e.recommendedAction}`)
+    .join('\n');
+}
+
+/**
+ * Summary of the tickets that influenced an analysis, stored with the result
+ */
+export function summarizeInfluences(examples) {
+  return examples.map(e => ({
+    id: e.id,
+    message: truncate(e.message, EXAMPLE_MESSAGE_LENGTH),
+    category: e.category,
+    urgency: e.urgency,
+    score: e.score,
+    verified: e.verified
+  }));
+}
@@ -0,0 +1,50 @@
+/**
+ * Grouping - union-find over list positions, shared by duplicate clustering and conversations
+ * Groups keep the input order, and the first entry of each group is its representative.
+ */
+
+/**
+ * Disjoint sets over the positions 0..size-1
+ *
+ * @returns {{find: function(number): number, union: function(number, number): void}}
+ */
+export function createUnionFind(size) {
+  const parent = Array.from({ length: size }, (_, index) => index);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  return {
+    find,
+    union(i, j) {
+      // Attach to the earlier root so the first entry stays representative
+      const [a, b] = [find(i), find(j)].sort((x, y) => x - y);
+      parent[b] = a;
+    }
+  };
+}
+
+/**
+ * Collect entries into the groups of a union-find built over their positions
+ *
+ * @returns {Array<{id: string, representative: object, entries: object[], count: number}>}
+ */
+export function collectGroups(entries, sets) {
+  const groups = new Map();
+  entries.forEach((entry, index) => {
+    const root = sets.find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry);
+  });
+
+  return [...groups.values()].map(members => ({
+    id: members[0].id,
+    representative: members[0],
+    entries: members,
+    count: members.length
+  }));
+}
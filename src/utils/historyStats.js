@@ -0,0 +1,35 @@
+/**
+ * History Stats - message volume, category and urgency breakdowns
+ * Shared by the dashboard and the triage API's /stats endpoint
+ */
+
+/**
+ * Summarize triage history
+ *
+ * @param {object[]} history - History entries
+ * @param {Date} now - Reference time for "today"
+ * @returns {{total: number, today: number, highUrgencyPercent: number, avgPerDay: number,
+ *   escalated: number, categories: Array<{name: string, count: number}>, urgency: object}}
+ */
+export function computeHistoryStats(history, now = new Date()) {
+  const today = now.toDateString();
+  const highUrgency = history.filter(entry => entry.urgency === 'High').length;
+  const totalDays = history.length > 0 ? 7 : 1;
+
+  const categories = {};
+  const urgency = { High: 0, Medium: 0, Low: 0 };
+  history.forEach(entry => {
+    categories[entry.category] = (categories[entry.category] || 0) + 1;
+    urgency[entry.urgency] = (urgency[entry.urgency] || 0) + 1;
+  });
+
+  return {
+    total: history.length,
+    today: history.filter(entry => new Date(entry.timestamp).toDateString() === today).length,
+    highUrgencyPercent: history.length > 0 ? Math.round((highUrgency / history.length) * 100) : 0,
+    avgPerDay: Math.round(history.length / totalDays),
+    escalated: history.filter(entry => entry.escalate).length,
+    categories: Object.entries(categories).map(([name, count]) => ({ name, count })),
+    urgency
+  };
+}
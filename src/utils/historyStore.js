@@ -0,0 +1,109 @@
+import { readJson, writeJson } from './storage.js';
+import { getSetting } from './settings.js';
+import { redactDeep } from './redaction.js';
+
+/**
+ * Triage history persistence
+ * History is stored as a flat array of analysis results under 'triageHistory'
+ */
+
+const HISTORY_KEY = 'triageHistory';
+
+/**
+ * Generate a unique id for a history entry
+ */
+export function createEntryId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Load all history entries
+ * Entries saved before ids were introduced get one assigned (and persisted) here
+ */
+export function loadHistory() {
+  const history = readJson(HISTORY_KEY, []);
+  if (!Array.isArray(history)) return [];
+
+  if (history.some(entry => !entry.id)) {
+    history.forEach(entry => {
+      entry.id = entry.id || createEntryId();
+    });
+    saveHistory(history);
+  }
+  return history;
+}
+
+/**
+ * Replace the stored history
+ * With the redactHistory setting on, PII is replaced by placeholders before writing.
+ */
+export function saveHistory(history) {
+  writeJson(HISTORY_KEY, getSetting('redactHistory') ? history.map(entry => redactDeep(entry)) : history);
+}
+
+/**
+ * Append one or more entries in a single write
+ *
+ * @param {object|object[]} entries - Analysis result(s) to add
+ * @returns {object[]} - The updated history
+ */
+export function appendHistory(entries) {
+  const list = Array.isArray(entries) ? entries : [entries];
+  const history = loadHistory();
+  history.push(...list);
+  saveHistory(history);
+  return history;
+}
+
+/**
+ * Update a single entry in place
+ * With redactHistory on, the stored entry has placeholders instead of PII. Pass the caller's
+ * own copy as `current` to get that copy back with only the fields the updater changed.
+ *
+ * @param {string} id - Entry id
+ * @param {function} updater - Receives the stored entry, returns the updated entry
+ * @param {object} current - Optional in-memory copy of the entry (e.g. the result on screen)
+ * @returns {object|null} - The updated entry, or null if no entry has that id
+ */
+export function updateHistoryEntry(id, updater, current = null) {
+  const history = loadHistory();
+  const index = history.findIndex(entry => entry.id === id);
+  if (index === -1) return null;
+
+  const stored = history[index];
+  const updated = updater(stored);
+  history[index] = updated;
+  saveHistory(history);
+  if (!current) return updated;
+
+  // Updaters spread the entry, so untouched fields keep their identity
+  const changed = Object.keys(updated).filter(key => updated[key] !== stored[key]);
+  return { ...current, ...Object.fromEntries(changed.map(key => [key, updated[key]])) };
+}
+
+/**
+ * All category labels on an entry: primary first, then secondary labels
+ *
+ * @returns {Array<{category: string, subcategory: string|null}>}
+ */
+export function getEntryLabels(entry) {
+  return [
+    { category: entry.category, subcategory: entry.subcategory || null },
+    ...(entry.secondaryCategories || []).map(label => ({
+      category: label.category,
+      subcategory: label.subcategory || null
+    }))
+  ];
+}
+
+/**
+ * Whether an entry carries a category (and optionally subcategory) as any of its labels
+ */
+export function entryHasLabel(entry, category, subcategory = null) {
+  return getEntryLabels(entry).some(label =>
+    label.category === category && (!subcategory || label.subcategory === subcategory)
+  );
+}
@@ -0,0 +1,145 @@
+import { loadHistory, entryHasLabel } from './historyStore.js';
+import { tokenize } from './similarity.js';
+import { getSetting } from './settings.js';
+import { findCategory } from './taxonomy.js';
+
+/**
+ * Incident Detector - watches the rate of high-urgency messages in one category
+ * (Technical Problem unless the incidentCategory setting names another)
+ * A burst well above the usual rate, sharing common terms, suggests a system-wide incident
+ * rather than unrelated individual problems.
+ */
+
+// Messages counted towards an incident, together with the incident category
+export const INCIDENT_URGENCY = 'High';
+
+// Sliding window the current rate is measured over
+export const INCIDENT_WINDOW_MINUTES = 60;
+
+// How far back the baseline rate is measured
+const BASELINE_DAYS = 7;
+
+// Minimum messages in the window before anything is flagged
+const MIN_INCIDENT_MESSAGES = 3;
+
+// Window count must be at least this multiple of the baseline per-window rate
+const SPIKE_RATIO = 3;
+
+// A term is shared if it appears in at least this fraction of the window's messages
+const SHARED_TERM_FRACTION = 0.5;
+const MAX_SHARED_TERMS = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * The category incidents are detected for
+ * A configured category that is no longer in the taxonomy turns detection off rather than
+ * guessing another one; the Settings page shows it as missing.
+ *
+ * @returns {{category: string|null, missing: string|null}} - missing is the configured name when it isn't in the taxonomy
+ */
+export function getIncidentCategory() {
+  const configured = getSetting('incidentCategory');
+  const category = findCategory(configured);
+  return category ? { category: category.name, missing: null } : { category: null, missing: configured || null };
+}
+
+function isIncidentMessage(entry, category) {
+  return entry.urgency === INCIDENT_URGENCY && entryHasLabel(entry, category);
+}
+
+/**
+ * Terms that appear across many of the messages, most common first
+ */
+function findSharedTerms(messages) {
+  const documentFrequency = new Map();
+  messages.forEach(message => {
+    new Set(tokenize(message)).forEach(term => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+
+  const minCount = Math.max(2, Math.ceil(messages.length * SHARED_TERM_FRACTION));
+  return [...documentFrequency.entries()]
+    .filter(([, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SHARED_TERMS)
+    .map(([term]) => term);
+}
+
+/**
+ * Detect a spike of high-urgency messages in the incident category
+ *
+ * @param {object[]} history - History entries (defaults to saved history)
+ * @param {object} options
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {number} options.windowMinutes - Length of the sliding window
+ * @param {string|null} options.category - Category to watch (defaults to getIncidentCategory); null turns detection off
+ * @returns {object|null} - The possible incident, or null if the rate is normal:
+ *   { id, category, startedAt, count, baselineRate, windowMinutes, sharedTerms, messages: [{id, message, timestamp}] }
+ */
+export function detectIncident(history = loadHistory(), {
+  now = new Date(),
+  windowMinutes = INCIDENT_WINDOW_MINUTES,
+  category = getIncidentCategory().category
+} = {}) {
+  if (!category) return null;
+
+  const windowMs = windowMinutes * MINUTE_MS;
+  const windowStart = now.getTime() - windowMs;
+
+  const timed = history
+    .map(entry => ({ entry, time: new Date(entry.timestamp).getTime() }))
+    .filter(({ time }) => Number.isFinite(time) && time <= now.getTime());
+  if (timed.length === 0) return null;
+
+  const inWindow = timed
+    .filter(({ entry, time }) => time >= windowStart && isIncidentMessage(entry, category))
+    .sort((a, b) => a.time - b.time);
+  if (inWindow.length < MIN_INCIDENT_MESSAGES) return null;
+
+  // Baseline: average per-window count over the history before this window
+  const earliest = Math.min(...timed.map(({ time }) => time));
+  const baselineStart = Math.max(earliest, windowStart - BASELINE_DAYS * 24 * 60 * MINUTE_MS);
+  const baselineWindows = (windowStart - baselineStart) / windowMs;
+  const baselineCount = timed
+    .filter(({ entry, time }) => time >= baselineStart && time < windowStart && isIncidentMessage(entry, category))
+    .length;
+  const baselineRate = baselineWindows >= 1 ? baselineCount / baselineWindows : 0;
+
+  if (inWindow.length < SPIKE_RATIO * baselineRate) return null;
+
+  return {
+    id: inWindow[0].entry.id,
+    category,
+    startedAt: inWindow[0].entry.timestamp,
+    count: inWindow.length,
+    baselineRate: Math.round(baselineRate * 100) / 100,
+    windowMinutes,
+    sharedTerms: findSharedTerms(inWindow.map(({ entry }) => entry.message)),
+    messages: inWindow.reverse().map(({ entry }) => ({
+      id: entry.id,
+      message: entry.message,
+      timestamp: entry.timestamp
+    }))
+  };
+}
+
+/**
+ * Whether a message shares terms with an active incident
+ */
+export function isRelatedToIncident(message, incident) {
+  if (!incident || incident.sharedTerms.length === 0) return false;
+  const terms = new Set(tokenize(message));
+  return incident.sharedTerms.some(term => terms.has(term));
+}
+
+/**
+ * Describe an active incident for the urgency and recommendation prompts
+ */
+export function formatIncidentContext(incident) {
+  return `Possible ongoing incident: ${incident.count} high-urgency ${incident.category} messages in the last ${incident.windowMinutes} minutes `
+    + `(usual rate: ${incident.baselineRate} per ${incident.windowMinutes} minutes).`
+    + (incident.sharedTerms.length > 0 ? ` Common terms: ${incident.sharedTerms.join(', ')}.` : '')
+    + ' If this message describes the same problem, treat it as part of a system-wide incident.';
+}
@@ -0,0 +1,118 @@
+import { getEnv } from './config.js';
+import { getProviderSettings } from './llmProviders.js';
+import { hashString } from './text.js';
+
+/**
+ * LLM Fixtures - record/replay of request/response pairs
+ * Record mode saves every successful completion keyed by a hash of its prompt;
+ * replay mode serves those saved responses so the analyzers run without a network or API key.
+ *
+ * Set VITE_LLM_FIXTURE_MODE to "record" or "replay" (default "off").
+ * In the browser, fixtures are read and written through the Vite dev server
+ * (see llmFixturesPlugin in vite.config.js), which stores them in fixtures/llm-fixtures.json.
+ */
+
+export const FIXTURE_ENDPOINT = '/__llm-fixtures';
+
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+/**
+ * Default backend - the Vite dev server middleware
+ */
+const devServerBackend = {
+  async load() {
+    const response = await fetch(FIXTURE_ENDPOINT);
+    if (!response.ok) {
+      throw new Error(`Fixture endpoint returned ${response.status}`);
+    }
+    return response.json();
+  },
+  async save(key, entry) {
+    await fetch(FIXTURE_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ key, entry })
+    });
+  }
+};
+
+let backend = devServerBackend;
+let modeOverride = null;
+let fixturesPromise = null;
+
+/**
+ * Fixture key for a request - a hash of the prompt messages only,
+ * so fixtures recorded against one provider replay under any other
+ */
+export function getFixtureKey(options) {
+  const prompt = (options.messages || []).map(m => `${m.role}:${m.content}`).join('\n');
+  return hashString(prompt);
+}
+
+/**
+ * Current fixture mode: 'off', 'record' or 'replay'
+ */
+export function getFixtureMode() {
+  const mode = modeOverride || getEnv('VITE_LLM_FIXTURE_MODE', 'off');
+  return FIXTURE_MODES.includes(mode) ? mode : 'off';
+}
+
+/**
+ * Override the fixture mode and/or storage backend at runtime (Node scripts)
+ *
+ * @param {object} settings
+ * @param {string} settings.mode - 'off', 'record' or 'replay'
+ * @param {{load: function, save: function}} settings.backend - Fixture storage
+ */
+export function configureFixtures({ mode = null, backend: customBackend = null } = {}) {
+  modeOverride = mode;
+  backend = customBackend || devServerBackend;
+  fixturesPromise = null;
+}
+
+function loadFixtures() {
+  if (!fixturesPromise) {
+    fixturesPromise = backend.load().catch(error => {
+      console.warn('Could not load LLM fixtures:', error.message);
+      return {};
+    });
+  }
+  return fixturesPromise;
+}
+
+/**
+ * Look up the recorded response for a request
+ *
+ * @throws {Error} with code 'FIXTURE_MISSING' when nothing was recorded for this prompt
+ */
+export async function replayFixture(options) {
+  const fixtures = await loadFixtures();
+  const key = getFixtureKey(options);
+
+  if (!fixtures[key]) {
+    const error = new Error(`No recorded fixture for prompt ${key}`);
+    error.code = 'FIXTURE_MISSING';
+    throw error;
+  }
+  return fixtures[key].response;
+}
+
+/**
+ * Save a request/response pair
+ */
+export async function recordFixture(options, response) {
+  const fixtures = await loadFixtures();
+  const key = getFixtureKey(options);
+  const entry = {
+    request: {
+      model: options.model || getProviderSettings().model,
+      messages: options.messages,
+      temperature: options.temperature
+    },
+    response,
+    recordedAt: new Date().toISOString()
+  };
+
+  fixtures[key] = entry;
+  await backend.save(key, entry);
+}
@@ -1,150 +1,221 @@
-import { groqRequest, parseJsonResponse } from './apiClient';
+import { structuredRequest, readPartialFields } from './apiClient.js';
+import { getTaxonomy, findCategory, findSubcategory, getDefaultCategoryName } from './taxonomy.js';
+import { buildCategorySchema } from './schema.js';
+import { formatCategoryExamples } from './corrections.js';
+import { UNTRUSTED_CONTENT_RULE, wrapCustomerMessage } from './promptSafety.js';
+import { formatConversationContext } from './conversations.js';
 
 /**
  * LLM Helper for categorizing customer support messages
- * Using Groq API with structured prompts for accurate categorization
+ * Using the configured LLM provider with structured prompts for accurate categorization
  */
 
 /**
- * Category definitions with clear criteria
+ * Build the category section of the system prompt from the taxonomy
  */
-const CATEGORY_DEFINITIONS = {
-  "Billing Issue": {
-    description: "Payment problems, charges, refunds, invoices, subscription management, pricing disputes",
-    keywords: ['bill', 'payment', 'charge', 'invoice', 'refund', 'subscription', 'price', 'cost', 'fee', 'credit card', 'cancel subscription', 'renewal', 'discount', 'promo', 'coupon']
-  },
-  "Technical Problem": {
-    description: "Bugs, errors, crashes, outages, performance issues, functionality not working as expected",
-    keywords: ['bug', 'error', 'broken', 'not working', 'crash', 'down', 'slow', 'loading', 'freeze', 'stuck', 'fail', 'issue', 'problem', 'glitch', 'unresponsive', 'timeout', 'connection']
-  },
-  "Feature Request": {
-    description: "Suggestions for new features, improvements, enhancements, or changes to existing functionality",
-    keywords: ['feature', 'add', 'improve', 'enhancement', 'suggestion', 'wish', 'would be great', 'would like', 'could you add', 'missing', 'need ability', 'roadmap']
-  },
-  "General Inquiry": {
-    description: "Questions about how things work, pricing information, account questions, general help, positive feedback",
-    keywords: ['how do', 'how to', 'what is', 'where is', 'can i', 'is there', 'help', 'question', 'wondering', 'curious', 'thank', 'thanks', 'great job', 'love']
+export function buildCategoryPrompt(taxonomy) {
+  return taxonomy.map((category, index) => {
+    const lines = [`${index + 1}. **${category.name}**: ${category.description}`];
+    if (category.examples.length > 0) {
+      lines.push(`   - Examples: ${category.examples.map(e => `"${e}"`).join(', ')}`);
+    }
+    if (category.subcategories.length > 0) {
+      lines.push('   - Subcategories:');
+      category.subcategories.forEach(sub => {
+        lines.push(`     - ${sub.name}${sub.description ? `: ${sub.description}` : ''}`);
+      });
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Classification rules, skipping any that mention categories missing from the taxonomy
+ */
+export function buildClassificationRules(taxonomy) {
+  const has = (name) => Boolean(findCategory(name, taxonomy));
+  const rules = ['- Choose the MOST SPECIFIC category that fits as the primary category'];
+
+  rules.push('- If a message mentions multiple issues, list every other applicable category under "secondaryCategories", ranked by confidence');
+  if (has('Technical Problem') && has('Billing Issue')) {
+    rules.push('- When choosing the primary among multiple issues, prioritize: Technical Problem > Billing Issue > others');
+  }
+  rules.push('- Messages expressing frustration about a specific issue should be categorized by the issue type, not the emotion');
+  if (has('Technical Problem')) {
+    rules.push('- "Can\'t access" or "locked out" are Technical Problems unless specifically about billing/payment access');
   }
-};
+  if (has('General Inquiry')) {
+    rules.push('- Positive feedback with no question = General Inquiry');
+  }
+  rules.push(`- Ambiguous messages default to ${getDefaultCategoryName(taxonomy)}`);
+  rules.push('- Only set a subcategory that is listed under the chosen category; otherwise use null');
+  rules.push('- Leave "secondaryCategories" empty when the message is about a single issue');
+
+  return rules.join('\n');
+}
 
 /**
- * Categorize a customer support message using Groq AI
+ * Categorize a customer support message using the configured LLM provider
  *
  * @param {string} message - The customer support message
- * @returns {Promise<{category: string, reasoning: string, confidence: number}>}
+ * @param {AbortSignal} signal - Optional abort signal for cancellation
+ * @param {object} options
+ * @param {Array} options.examples - Agent-corrected examples to include as few-shot guidance
+ * @param {Array} options.similarExamples - Similar past tickets retrieved from history
+ * @param {object} options.meter - Usage meter from usageMeter, if the caller tracks tokens
+ * @param {function} options.onPartial - Streams the response; receives the partial { reasoning } as it arrives
+ * @param {string} options.subject - Email subject, as extra context
+ * @param {object} options.conversation - Earlier turns from conversations.findConversation, if any;
+ *   short follow-ups ("still broken") are classified like the issue they continue
+ * @returns {Promise<{category: string, subcategory: string|null, reasoning: string, confidence: number,
+ *   secondaryCategories: Array<{category: string, subcategory: string|null, confidence: number}>, fallback?: boolean}>}
  */
-export async function categorizeMessage(message, signal = null) {
+export async function categorizeMessage(message, signal = null, { examples = [], similarExamples = [], meter = null, onPartial = null, subject = null, conversation = null } = {}) {
+  const taxonomy = getTaxonomy();
+
   try {
-    const content = await groqRequest({
-      model: "llama-3.3-70b-versatile",
+    const parsed = await structuredRequest({
       messages: [
         {
           role: "system",
           content: `You are a customer support message classifier. Analyze messages and categorize them accurately.
 
+${UNTRUSTED_CONTENT_RULE}
+
 ## Available Categories
 
-1. **Billing Issue**: ${CATEGORY_DEFINITIONS["Billing Issue"].description}
-   - Examples: "I was charged twice", "Need a refund", "Cancel my subscription"
+${buildCategoryPrompt(taxonomy)}
 
-2. **Technical Problem**: ${CATEGORY_DEFINITIONS["Technical Problem"].description}
-   - Examples: "App keeps crashing", "Can't login", "Page won't load"
+## Classification Rules
 
-3. **Feature Request**: ${CATEGORY_DEFINITIONS["Feature Request"].description}
-   - Examples: "Would be great if you added...", "Can you implement...", "I wish there was..."
+${buildClassificationRules(taxonomy)}
+${examples.length > 0 ? `
+## Agent-Corrected Examples
 
-4. **General Inquiry**: ${CATEGORY_DEFINITIONS["General Inquiry"].description}
-   - Examples: "How do I export data?", "What are your business hours?", "Thanks for the help!"
+Support agents corrected the classification of these past messages. Follow their labels for similar messages:
+${formatCategoryExamples(examples)}
+` : ''}${similarExamples.length > 0 ? `
+## Similar Past Tickets
 
-## Classification Rules
-
-- Choose the MOST SPECIFIC category that fits
-- If a message mentions multiple issues, prioritize: Technical Problem > Billing Issue > others
-- Messages expressing frustration about a specific issue should be categorized by the issue type, not the emotion
-- "Can't access" or "locked out" are Technical Problems unless specifically about billing/payment access
-- Positive feedback with no question = General Inquiry
-- Ambiguous messages default to General Inquiry
+These previously triaged messages are similar to the new one. Use them for consistency, but classify the new message on its own content:
+${formatCategoryExamples(similarExamples)}
+` : ''}${conversation ? `
+## Conversation So Far
 
+${formatConversationContext(conversation)} A short follow-up usually continues the earlier issue.
+` : ''}
 ## Response Format
 
 Return JSON only:
 {
   "category": "Category Name",
+  "subcategory": "Subcategory Name or null",
   "confidence": 0.0-1.0,
-  "reasoning": "Brief explanation of why this category was chosen"
+  "secondaryCategories": [
+    { "category": "Other Category Name", "subcategory": "Subcategory Name or null", "confidence": 0.0-1.0 }
+  ],
+  "reasoning": "Brief explanation of why these categories were chosen"
 }`
         },
         {
           role: "user",
-          content: `Categorize this customer support message:
+          content: `Categorize this customer support ${subject ? 'email' : 'message'}:
 
-"${message}"
+${wrapCustomerMessage(message, subject)}
 
 Return JSON only.`
         }
       ],
       temperature: 0.2,
-      max_tokens: 300
-    }, signal);
-
-    const parsed = parseJsonResponse(content);
-    if (parsed) {
-      // Validate category is one of our defined categories
-      const validCategories = Object.keys(CATEGORY_DEFINITIONS);
-      const category = validCategories.includes(parsed.category) ? parsed.category : "Unknown";
-
-      return {
-        category,
-        reasoning: parsed.reasoning || content,
-        confidence: parsed.confidence || 0.8
-      };
-    }
+      max_tokens: 300,
+      meter,
+      onToken: onPartial && ((text) => onPartial(readPartialFields(text, ['reasoning'])))
+    }, buildCategorySchema(taxonomy.map(category => category.name)), signal);
 
-    // Fallback: try to extract category from prose response
-    return extractCategoryFromProse(content, message);
+    return toCategorization(parsed, taxonomy);
 
   } catch (error) {
-    console.warn('Groq API failed, using fallback categorization:', error.message);
-    return getFallbackCategorization(message);
+    console.warn('LLM API failed, using fallback categorization:', error.message);
+    // Marked so the pipeline doesn't cache a result produced during an outage
+    return { ...getFallbackCategorization(message, taxonomy), fallback: true };
   }
 }
 
 /**
- * Extract category from non-JSON LLM response
+ * Turn validated model output into a categorization, matching labels to the taxonomy's spelling
  */
-function extractCategoryFromProse(content, originalMessage) {
-  const lowerContent = content.toLowerCase();
-
-  for (const [category] of Object.entries(CATEGORY_DEFINITIONS)) {
-    if (lowerContent.includes(category.toLowerCase())) {
-      return {
-        category,
-        reasoning: content,
-        confidence: 0.7
-      };
-    }
+export function toCategorization(parsed, taxonomy = getTaxonomy()) {
+  const matched = findCategory(parsed.category, taxonomy);
+  const subcategory = findSubcategory(matched, parsed.subcategory);
+
+  const category = matched ? matched.name : "Unknown";
+
+  return {
+    category,
+    subcategory: subcategory ? subcategory.name : null,
+    reasoning: parsed.reasoning,
+    confidence: parsed.confidence ?? 0.8,
+    secondaryCategories: normalizeSecondaryCategories(parsed.secondaryCategories, category, taxonomy)
+  };
+}
+
+/**
+ * Validate secondary labels from the model: known categories only, no repeats of the primary,
+ * confidence clamped to 0-1, highest confidence first
+ */
+function normalizeSecondaryCategories(labels, primaryCategory, taxonomy) {
+  if (!Array.isArray(labels)) return [];
+
+  const seen = new Set([primaryCategory]);
+  const result = [];
+
+  for (const label of labels) {
+    const matched = findCategory(label?.category, taxonomy);
+    if (!matched || seen.has(matched.name)) continue;
+    seen.add(matched.name);
+
+    const confidence = Number(label.confidence);
+    result.push({
+      category: matched.name,
+      subcategory: findSubcategory(matched, label.subcategory)?.name || null,
+      confidence: Number.isFinite(confidence) ? Math.max(0, Math.min(1, confidence)) : 0.5
+    });
   }
 
-  // If no category found in response, use fallback
-  return getFallbackCategorization(originalMessage);
+  return result.sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Score how strongly a message matches a keyword list
+ * Longer keywords are more specific, so they get more weight
+ */
+function scoreKeywords(lowerMessage, keywords) {
+  return keywords.reduce((score, keyword) => (
+    lowerMessage.includes(keyword) ? score + keyword.split(' ').length : score
+  ), 0);
 }
 
 /**
  * Intelligent fallback categorization when API is unavailable
  */
-function getFallbackCategorization(message) {
+export function getFallbackCategorization(message, taxonomy = getTaxonomy()) {
   const lowerMessage = message.toLowerCase();
 
-  // Score each category based on keyword matches
+  // Score each category based on its own and its subcategories' keyword matches
   const scores = {};
-  for (const [category, def] of Object.entries(CATEGORY_DEFINITIONS)) {
-    scores[category] = 0;
-    for (const keyword of def.keywords) {
-      if (lowerMessage.includes(keyword)) {
-        // Longer keywords are more specific, give them more weight
-        scores[category] += keyword.split(' ').length;
+  const bestSubcategories = {};
+  for (const category of taxonomy) {
+    scores[category.name] = scoreKeywords(lowerMessage, category.keywords);
+
+    let bestSubScore = 0;
+    for (const sub of category.subcategories) {
+      const subScore = scoreKeywords(lowerMessage, sub.keywords);
+      if (subScore > bestSubScore) {
+        bestSubScore = subScore;
+        bestSubcategories[category.name] = sub.name;
       }
     }
+    scores[category.name] += bestSubScore;
   }
 
   // Priority rules for ties and edge cases
@@ -157,7 +228,7 @@ function getFallbackCategorization(message) {
   }
 
   // Find highest scoring category
-  let bestCategory = "General Inquiry";
+  let bestCategory = getDefaultCategoryName(taxonomy);
   let bestScore = 0;
 
   for (const [category, score] of Object.entries(scores)) {
@@ -168,19 +239,33 @@ function getFallbackCategorization(message) {
   }
 
   // Generate appropriate reasoning
-  const reasoning = generateFallbackReasoning(bestCategory);
+  const reasoning = generateFallbackReasoning(bestCategory, taxonomy);
+
+  // Every other category with keyword matches becomes a secondary label,
+  // with confidence proportional to its share of the total keyword score
+  const totalScore = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  const secondaryCategories = Object.entries(scores)
+    .filter(([category, score]) => category !== bestCategory && score > 0)
+    .map(([category, score]) => ({
+      category,
+      subcategory: bestSubcategories[category] || null,
+      confidence: Math.round((score / totalScore) * 100) / 100
+    }))
+    .sort((a, b) => b.confidence - a.confidence);
 
   return {
     category: bestCategory,
+    subcategory: bestScore > 0 ? bestSubcategories[bestCategory] || null : null,
     reasoning,
-    confidence: bestScore > 2 ? 0.8 : bestScore > 0 ? 0.6 : 0.4
+    confidence: bestScore > 2 ? 0.8 : bestScore > 0 ? 0.6 : 0.4,
+    secondaryCategories
   };
 }
 
 /**
  * Generate contextual reasoning for fallback categorization
  */
-function generateFallbackReasoning(category) {
+function generateFallbackReasoning(category, taxonomy) {
   const reasoningTemplates = {
     "Billing Issue": [
       "This message relates to billing, payments, or subscription management. The customer appears to have a financial or account-related concern that needs to be addressed.",
@@ -204,13 +289,21 @@ function generateFallbackReasoning(category) {
     ]
   };
 
-  const templates = reasoningTemplates[category] || reasoningTemplates["General Inquiry"];
+  // User-defined categories get reasoning built from their description
+  if (!reasoningTemplates[category]) {
+    const definition = findCategory(category, taxonomy);
+    return definition?.description
+      ? `The message matches keywords associated with ${category} (${definition.description.toLowerCase()}).`
+      : `The message was categorized as ${category} based on keyword matches.`;
+  }
+
+  const templates = reasoningTemplates[category];
   return templates[Math.floor(Math.random() * templates.length)];
 }
 
 /**
- * Get category definitions (for documentation/UI)
+ * Get category definitions keyed by name (for documentation/UI)
  */
 export function getCategoryDefinitions() {
-  return CATEGORY_DEFINITIONS;
+  return Object.fromEntries(getTaxonomy().map(category => [category.name, category]));
 }
@@ -0,0 +1,397 @@
+import { getEnv } from './config.js';
+
+/**
+ * LLM Provider layer
+ * Each provider turns chat completion options into response text (and token usage) for groqRequest,
+ * either in one piece or streamed chunk by chunk.
+ * Model names live here, one default per provider, so analyzers never hard-code them.
+ */
+
+/**
+ * Provider defaults - the single place model names and endpoints are configured
+ * API keys are read from the first env var set in apiKeyEnvs. Unprefixed names are only
+ * visible to Node (the local server, scripts); VITE_ names are compiled into the browser bundle.
+ */
+const PROVIDER_DEFAULTS = {
+  // The local server (server/index.js), which holds the API key; model null = server's default
+  proxy: {
+    model: null,
+    baseUrl: '/api',
+    apiKeyEnvs: [],
+    jsonMode: true
+  },
+  groq: {
+    model: 'llama-3.3-70b-versatile',
+    baseUrl: null,
+    apiKeyEnvs: ['GROQ_API_KEY', 'VITE_GROQ_API_KEY'],
+    jsonMode: true
+  },
+  openai: {
+    model: 'gpt-4o-mini',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyEnvs: ['LLM_API_KEY', 'VITE_LLM_API_KEY'],
+    jsonMode: true
+  },
+  ollama: {
+    model: 'llama3.1',
+    baseUrl: 'http://localhost:11434/v1',
+    apiKeyEnvs: [],
+    jsonMode: true
+  },
+  mock: {
+    model: 'mock-model',
+    baseUrl: null,
+    apiKeyEnvs: [],
+    jsonMode: false
+  }
+};
+
+const isBrowser = () => typeof window !== 'undefined';
+
+/**
+ * Default mock response - one JSON object that satisfies every analyzer's fields
+ */
+const DEFAULT_MOCK_RESPONSE = {
+  category: 'General Inquiry',
+  subcategory: null,
+  confidence: 0.5,
+  secondaryCategories: [],
+  reasoning: 'Mock provider response.',
+  level: 'Medium',
+  score: 50,
+  urgencyReasoning: 'Mock provider response.',
+  action: 'Review the message and respond to the customer.',
+  escalate: false,
+  escalateReason: null,
+  reply: 'Hi there,\n\nThanks for reaching out. We are looking into this and will follow up shortly.\n\nBest,\nThe Support Team'
+};
+
+let mockResponder = () => JSON.stringify(DEFAULT_MOCK_RESPONSE);
+
+// Characters per chunk when the mock provider streams
+const MOCK_CHUNK_SIZE = 12;
+
+// Runtime overrides (Node scripts, tests) take precedence over env vars
+let overrides = {};
+let groqClient = null;
+
+// How long the API server's model is remembered before asking again
+const SERVER_MODEL_TTL_MS = 60 * 1000;
+let serverModel = null;   // { promise, checkedAt }
+
+/**
+ * Build an Error carrying the HTTP status, matching groq-sdk's error shape
+ */
+async function httpError(response) {
+  let detail = '';
+  try {
+    detail = await response.text();
+  } catch {
+    // Body unavailable
+  }
+  const error = new Error(`LLM request failed with status ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+  error.status = response.status;
+  error.headers = response.headers;
+  return error;
+}
+
+/**
+ * OpenAI-style usage block → { promptTokens, completionTokens }, or null if not reported
+ */
+function normalizeUsage(usage) {
+  if (!usage || typeof usage.prompt_tokens !== 'number') return null;
+  return { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens ?? 0 };
+}
+
+/**
+ * Groq SDK client (lazy-loaded on first use)
+ * The SDK's own retries are off; apiClient's scheduler handles retries and rate limits.
+ */
+async function getGroqClient(settings) {
+  if (!groqClient) {
+    // Dynamic import - Groq SDK is only loaded when first API call is made
+    const { default: Groq } = await import('groq-sdk');
+    groqClient = new Groq({
+      apiKey: settings.apiKey,
+      // Only reached in the browser with VITE_LLM_BROWSER_DIRECT (see assertProviderAllowed)
+      dangerouslyAllowBrowser: true,
+      maxRetries: 0
+    });
+  }
+  return groqClient;
+}
+
+/**
+ * Groq via the official SDK
+ */
+async function groqComplete(options, signal, settings) {
+  const client = await getGroqClient(settings);
+  const response = await client.chat.completions.create(options, { signal });
+  return { content: response.choices[0].message.content, usage: normalizeUsage(response.usage) };
+}
+
+/**
+ * Any OpenAI-compatible /chat/completions endpoint (OpenAI, Ollama, llama.cpp server, vLLM...)
+ */
+async function openAiCompatibleComplete(options, signal, settings) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.apiKey) {
+    headers.Authorization = `Bearer ${settings.apiKey}`;
+  }
+
+  const response = await fetch(`${settings.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(options),
+    signal
+  });
+
+  if (!response.ok) {
+    throw await httpError(response);
+  }
+
+  const data = await response.json();
+  return { content: data.choices?.[0]?.message?.content ?? '', usage: normalizeUsage(data.usage) };
+}
+
+/**
+ * Groq streaming via the SDK's async iterator; usage arrives on the last chunk
+ */
+async function groqStream(options, signal, settings, onDelta) {
+  const client = await getGroqClient(settings);
+  const stream = await client.chat.completions.create({ ...options, stream: true }, { signal });
+  let content = '';
+  let usage = null;
+  for await (const chunk of stream) {
+    const delta = chunk.choices[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onDelta(delta);
+    }
+    usage = normalizeUsage(chunk.x_groq?.usage || chunk.usage) || usage;
+  }
+  return { content, usage };
+}
+
+/**
+ * OpenAI-compatible streaming: server-sent events with one JSON chunk per `data:` line
+ */
+async function openAiCompatibleStream(options, signal, settings, onDelta) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.apiKey) {
+    headers.Authorization = `Bearer ${settings.apiKey}`;
+  }
+
+  const response = await fetch(`${settings.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ ...options, stream: true }),
+    signal
+  });
+
+  if (!response.ok) {
+    throw await httpError(response);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let usage = null;
+
+  const handleLine = (line) => {
+    const data = line.replace(/^data:\s*/, '').trim();
+    if (!line.startsWith('data:') || !data || data === '[DONE]') return;
+    const chunk = JSON.parse(data);
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onDelta(delta);
+    }
+    usage = normalizeUsage(chunk.usage) || usage;
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer);
+
+  return { content, usage };
+}
+
+/**
+ * Deterministic offline provider
+ */
+async function mockComplete(options, signal) {
+  if (signal?.aborted) {
+    const error = new Error('Aborted');
+    error.name = 'AbortError';
+    throw error;
+  }
+  return { content: mockResponder(options), usage: null };
+}
+
+/**
+ * Mock streaming: the mock response, delivered in small chunks
+ */
+async function mockStream(options, signal, settings, onDelta) {
+  const { content } = await mockComplete(options, signal);
+  for (let i = 0; i < content.length; i += MOCK_CHUNK_SIZE) {
+    if (signal?.aborted) {
+      const error = new Error('Aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+    onDelta(content.slice(i, i + MOCK_CHUNK_SIZE));
+    await Promise.resolve();
+  }
+  return { content, usage: null };
+}
+
+const PROVIDERS = {
+  proxy: openAiCompatibleComplete,
+  groq: groqComplete,
+  openai: openAiCompatibleComplete,
+  ollama: openAiCompatibleComplete,
+  mock: mockComplete
+};
+
+const STREAMING_PROVIDERS = {
+  proxy: openAiCompatibleStream,
+  groq: groqStream,
+  openai: openAiCompatibleStream,
+  ollama: openAiCompatibleStream,
+  mock: mockStream
+};
+
+/**
+ * Resolve the active provider settings from overrides and env vars
+ *
+ * Env vars:
+ * - VITE_LLM_PROVIDER: proxy, groq, openai, ollama or mock
+ *   (default: proxy in the browser, groq in Node)
+ * - VITE_LLM_MODEL: overrides the provider's default model
+ * - VITE_LLM_BASE_URL: overrides the provider's default endpoint
+ * - GROQ_API_KEY / LLM_API_KEY: API key (Node only); VITE_GROQ_API_KEY / VITE_LLM_API_KEY
+ *   also work but are exposed to the browser
+ * - VITE_LLM_JSON_MODE: set to "false" for endpoints without response_format support
+ * - VITE_LLM_BROWSER_DIRECT: set to "true" to let the browser call keyed providers directly
+ */
+export function getProviderSettings() {
+  const name = overrides.provider || getEnv('VITE_LLM_PROVIDER', isBrowser() ? 'proxy' : 'groq');
+  const defaults = PROVIDER_DEFAULTS[name];
+
+  if (!defaults) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDER_DEFAULTS).join(', ')}`);
+  }
+
+  return {
+    name,
+    model: overrides.model || getEnv('VITE_LLM_MODEL', defaults.model),
+    baseUrl: overrides.baseUrl || getEnv('VITE_LLM_BASE_URL', defaults.baseUrl),
+    apiKey: overrides.apiKey || defaults.apiKeyEnvs.map(env => getEnv(env)).find(Boolean),
+    jsonMode: overrides.jsonMode ?? (getEnv('VITE_LLM_JSON_MODE', String(defaults.jsonMode)) !== 'false')
+  };
+}
+
+/**
+ * The provider and model answering requests, e.g. "groq/llama-3.3-70b-versatile"
+ * The proxy provider leaves the model to the API server, so it is read from the server's
+ * /api/health (remembered for a minute).
+ *
+ * @returns {Promise<string|null>} - null when the API server can't be asked
+ */
+export async function getActiveModel() {
+  const settings = getProviderSettings();
+  if (settings.name !== 'proxy' || settings.model) {
+    return `${settings.name}/${settings.model}`;
+  }
+
+  if (!serverModel || Date.now() - serverModel.checkedAt > SERVER_MODEL_TTL_MS) {
+    const promise = fetch(`${settings.baseUrl}/health`)
+      .then(response => (response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`))))
+      .then(({ provider, model }) => `${provider}/${model}`)
+      .catch(() => {
+        // Ask again next time rather than remembering the failure
+        if (serverModel?.promise === promise) serverModel = null;
+        return null;
+      });
+    serverModel = { promise, checkedAt: Date.now() };
+  }
+  return serverModel.promise;
+}
+
+/**
+ * Override provider settings at runtime
+ *
+ * @param {object} settings - Any of { provider, model, baseUrl, apiKey, jsonMode }; pass {} to reset
+ */
+export function configureProvider(settings = {}) {
+  overrides = { ...settings };
+  groqClient = null;
+  serverModel = null;
+}
+
+/**
+ * Replace the mock provider's response generator
+ *
+ * @param {function} responder - Receives the chat completion options, returns response text
+ */
+export function setMockResponder(responder) {
+  mockResponder = responder || (() => JSON.stringify(DEFAULT_MOCK_RESPONSE));
+}
+
+/**
+ * Run a chat completion against the active provider
+ *
+ * @param {object} options - Chat completion options; model defaults to the provider's model
+ * @param {AbortSignal} signal - Abort signal for timeout/cancellation
+ * @returns {Promise<{content: string, usage: {promptTokens: number, completionTokens: number}|null}>}
+ */
+export async function completeChat(options, signal) {
+  const settings = getProviderSettings();
+  assertProviderAllowed(settings);
+  return PROVIDERS[settings.name](providerOptions(options, settings), signal, settings);
+}
+
+/**
+ * Run a chat completion against the active provider, streaming the response
+ *
+ * @param {object} options - Chat completion options; model defaults to the provider's model
+ * @param {AbortSignal} signal - Abort signal for timeout/cancellation
+ * @param {function} onDelta - Called with each chunk of response text as it arrives
+ * @returns {Promise<{content: string, usage: {promptTokens: number, completionTokens: number}|null}>}
+ */
+export async function streamChat(options, signal, onDelta) {
+  const settings = getProviderSettings();
+  assertProviderAllowed(settings);
+  return STREAMING_PROVIDERS[settings.name](providerOptions(options, settings), signal, settings, onDelta);
+}
+
+/**
+ * Keyed providers can only be called from the browser as an explicit developer option,
+ * since the key has to be shipped in the bundle for that
+ */
+function assertProviderAllowed(settings) {
+  const keyed = PROVIDER_DEFAULTS[settings.name].apiKeyEnvs.length > 0;
+  if (keyed && isBrowser() && getEnv('VITE_LLM_BROWSER_DIRECT') !== 'true') {
+    throw new Error(`The ${settings.name} provider would expose its API key in the browser. Run the local server (npm run server) and use the proxy provider, or set VITE_LLM_BROWSER_DIRECT=true for local development.`);
+  }
+}
+
+/**
+ * Apply provider settings: default model, and response_format only where JSON mode is supported
+ */
+function providerOptions(options, settings) {
+  const { response_format: responseFormat, ...rest } = options;
+  return {
+    ...rest,
+    ...(responseFormat && settings.jsonMode ? { response_format: responseFormat } : {}),
+    model: options.model || settings.model
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * PII Redaction - swaps personal data and secrets for typed placeholders such as [EMAIL_1]
+ * Applied to every prompt before it leaves the browser; the placeholders in the model's
+ * response are put back afterwards so agents see the original values.
+ */
+
+/**
+ * Luhn checksum, to tell card numbers from other long digit runs
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+const digitCount = (text) => text.replace(/\D/g, '').length;
+
+/**
+ * Detectors in the order they run; earlier ones win on overlapping text
+ * `group` names the capture group holding the sensitive part (default: whole match)
+ */
+const PII_PATTERNS = [
+  {
+    type: 'API_KEY',
+    label: 'API key',
+    pattern: /\b(?:sk|pk|rk)[-_](?:live[-_]|test[-_]|proj[-_])?[A-Za-z0-9_-]{16,}|\bgsk_[A-Za-z0-9]{20,}|\bAKIA[0-9A-Z]{16}\b|\bgh[pousr]_[A-Za-z0-9]{30,}|\bxox[abprs]-[A-Za-z0-9-]{10,}/g
+  },
+  {
+    type: 'API_KEY',
+    label: 'API key',
+    pattern: /\b(?:api[_ -]?key|access[_ -]?token|secret|token|password)\s*[:=]\s*["']?(?<value>[A-Za-z0-9_\-.+/=]{11,}[A-Za-z0-9_\-+/=])/gi,
+    group: 'value'
+  },
+  {
+    type: 'EMAIL',
+    label: 'email',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  {
+    type: 'IBAN',
+    label: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g
+  },
+  {
+    type: 'CARD',
+    label: 'card number',
+    pattern: /(?<![\w+-])\d(?:[ -]?\d){12,18}(?![\w-])/g,
+    accept: (match) => passesLuhn(match.replace(/\D/g, ''))
+  },
+  {
+    type: 'PHONE',
+    label: 'phone number',
+    // Needs a country code, an area code in brackets or separated groups, so bare order and invoice numbers stay
+    pattern: /(?<![\w#-])(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,3}|\(\d{2,4}\)[\s.-]?\d{3,4}[\s.-]?\d{3,4}|\d{2,4}[\s.-]\d{3,4}[\s.-]\d{3,4})(?![\w-])/g,
+    accept: (match) => digitCount(match) >= 9 && digitCount(match) <= 15
+  },
+  {
+    type: 'ADDRESS',
+    label: 'address',
+    pattern: /\b\d{1,5}\s+(?:[A-Z][A-Za-z]+\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Square|Sq)\b\.?(?:,?\s+(?:Apt|Suite|Unit)\.?\s*#?\w+)?/g
+  }
+];
+
+const PLACEHOLDER_PATTERN = /\[(?:API_KEY|EMAIL|IBAN|CARD|PHONE|ADDRESS)_\d+\]/g;
+
+/**
+ * Create a redaction session; the same value gets the same placeholder across every text redacted with it
+ */
+export function createRedactor() {
+  const placeholders = new Map();   // original value → placeholder
+  const originals = new Map();      // placeholder → original value
+  const counters = {};
+
+  const placeholderFor = (type, value) => {
+    if (!placeholders.has(value)) {
+      counters[type] = (counters[type] || 0) + 1;
+      const placeholder = `[${type}_${counters[type]}]`;
+      placeholders.set(value, placeholder);
+      originals.set(placeholder, value);
+    }
+    return placeholders.get(value);
+  };
+
+  return {
+    /**
+     * Replace detected PII in a text with placeholders
+     */
+    redact(text) {
+      if (typeof text !== 'string' || !text) return text;
+
+      return PII_PATTERNS.reduce((current, { type, pattern, group, accept }) =>
+        current.replace(pattern, (...args) => {
+          const match = args[0];
+          const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+          const value = group ? groups?.[group] : match;
+          if (!value || (accept && !accept(value))) return match;
+          return match.replace(value, placeholderFor(type, value));
+        }), text);
+    },
+
+    /**
+     * Put the original values back in place of placeholders
+     */
+    restore(text) {
+      if (typeof text !== 'string' || originals.size === 0) return text;
+      return text.replace(PLACEHOLDER_PATTERN, placeholder => originals.get(placeholder) ?? placeholder);
+    },
+
+    /**
+     * Placeholders issued so far, by type
+     */
+    get counts() {
+      const counts = {};
+      originals.forEach((_, placeholder) => {
+        const type = placeholder.slice(1, placeholder.lastIndexOf('_'));
+        counts[type] = (counts[type] || 0) + 1;
+      });
+      return counts;
+    }
+  };
+}
+
+/**
+ * Redact a single text
+ *
+ * @returns {{text: string, counts: object}} - Redacted text and number of values replaced per type
+ */
+export function redactText(text) {
+  const redactor = createRedactor();
+  const redacted = redactor.redact(text);
+  return { text: redacted, counts: redactor.counts };
+}
+
+/**
+ * Human-readable summary of redaction counts, e.g. "1 email, 2 phone numbers"
+ */
+export function describeRedactions(counts) {
+  const labels = Object.fromEntries(PII_PATTERNS.map(({ type, label }) => [type, label]));
+  return Object.entries(counts || {})
+    .map(([type, count]) => `${count} ${labels[type] || type.toLowerCase()}${count === 1 ? '' : 's'}`)
+    .join(', ');
+}
+
+// Keys holding ids, timestamps and email thread headers (Message-ID, In-Reply-To, References)
+// never contain PII and must stay intact; conversations are linked by the thread headers
+const SKIPPED_KEY_PATTERN = /^id$|Id$|At$|^timestamp$|^inReplyTo$|^references$/;
+
+/**
+ * Redact every string in a (JSON-like) value, e.g. a history entry
+ */
+export function redactDeep(value, redactor = createRedactor()) {
+  if (typeof value === 'string') return redactor.redact(value);
+  if (Array.isArray(value)) return value.map(item => redactDeep(item, redactor));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, SKIPPED_KEY_PATTERN.test(key) ? item : redactDeep(item, redactor)]
+    ));
+  }
+  return value;
+}
@@ -0,0 +1,198 @@
+import { structuredRequest } from './apiClient.js';
+import { REPLY_SCHEMA } from './schema.js';
+import { updateHistoryEntry } from './historyStore.js';
+import { UNTRUSTED_CONTENT_RULE, wrapCustomerMessage } from './promptSafety.js';
+
+/**
+ * Reply Drafter - customer-facing reply drafts with tone and length controls
+ * Builds on the triage result so the draft follows the recommended action.
+ */
+
+export const REPLY_TONES = {
+  formal: {
+    label: 'Formal',
+    instruction: 'Professional and courteous. No contractions, no exclamation marks.'
+  },
+  friendly: {
+    label: 'Friendly',
+    instruction: 'Warm and conversational, like a helpful colleague. Contractions are fine.'
+  },
+  apologetic: {
+    label: 'Apologetic',
+    instruction: 'Acknowledge the inconvenience early and sincerely, take ownership, then focus on the fix.'
+  }
+};
+
+export const REPLY_LENGTHS = {
+  short: { label: 'Short', instruction: '2-3 sentences', maxTokens: 200 },
+  medium: { label: 'Medium', instruction: '1-2 short paragraphs', maxTokens: 400 },
+  long: { label: 'Detailed', instruction: '3 short paragraphs with clear next steps', maxTokens: 700 }
+};
+
+export const DEFAULT_TONE = 'friendly';
+export const DEFAULT_LENGTH = 'medium';
+
+/**
+ * Draft a customer-facing reply using AI
+ *
+ * @param {string} message - The original customer message
+ * @param {object} triage - { category, urgency, recommendedAction } from the analysis
+ * @param {AbortSignal} signal - Optional abort signal for cancellation
+ * @param {object} options
+ * @param {string} options.tone - Key of REPLY_TONES
+ * @param {string} options.length - Key of REPLY_LENGTHS
+ * @returns {Promise<{reply: string}>}
+ */
+export async function draftReply(message, { category, urgency, recommendedAction }, signal = null, { tone = DEFAULT_TONE, length = DEFAULT_LENGTH } = {}) {
+  const toneConfig = REPLY_TONES[tone] || REPLY_TONES[DEFAULT_TONE];
+  const lengthConfig = REPLY_LENGTHS[length] || REPLY_LENGTHS[DEFAULT_LENGTH];
+
+  try {
+    const parsed = await structuredRequest({
+      messages: [
+        {
+          role: "system",
+          content: `You are a customer support agent writing a reply to a customer. Write the message the customer will receive.
+
+${UNTRUSTED_CONTENT_RULE}
+
+Guidelines:
+1. **Tone**: ${toneConfig.instruction}
+2. **Length**: ${lengthConfig.instruction}
+3. **Specific** - Address the details of the customer's message, not a generic answer
+4. **Honest** - Follow the internal recommended action, but never mention internal processes, teams, escalation or triage labels
+5. **No promises** - Don't invent timelines, refunds or fixes that the recommended action doesn't support
+6. Don't include a subject line or a signature name; end with a short sign-off such as "Best regards," followed by "The Support Team"
+
+Response format (JSON):
+{
+  "reply": "the full reply text, using \\n for line breaks"
+}`
+        },
+        {
+          role: "user",
+          content: `Draft a reply to this support ticket:
+
+Category: ${category}
+Urgency: ${urgency}
+Recommended action for the agent: ${recommendedAction}
+Customer Message:
+${wrapCustomerMessage(message)}
+
+Return JSON only.`
+        }
+      ],
+      temperature: 0.6,
+      max_tokens: lengthConfig.maxTokens
+    }, REPLY_SCHEMA, signal);
+
+    return { reply: parsed.reply.trim() };
+
+  } catch (error) {
+    console.warn('LLM API failed for reply drafting, using fallback:', error.message);
+    return getFallbackReply(message, category, urgency, { tone, length });
+  }
+}
+
+const GREETINGS = {
+  formal: 'Dear Customer,',
+  friendly: 'Hi there,',
+  apologetic: 'Hello,'
+};
+
+const OPENERS = {
+  formal: 'Thank you for contacting us.',
+  friendly: 'Thanks so much for reaching out!',
+  apologetic: 'We are truly sorry for the trouble this has caused, and thank you for letting us know.'
+};
+
+const SIGN_OFFS = {
+  formal: 'Kind regards,\nThe Support Team',
+  friendly: 'Best,\nThe Support Team',
+  apologetic: 'With our apologies,\nThe Support Team'
+};
+
+/**
+ * Category body sentences, picked by the first matching keyword
+ */
+function getReplyBody(lowerMessage, category) {
+  switch (category) {
+    case 'Billing Issue':
+      if (lowerMessage.includes('refund')) {
+        return 'We are reviewing your billing history and the charge in question. If it qualifies for a refund, we will process it and confirm by email.';
+      }
+      if (lowerMessage.includes('charge') || lowerMessage.includes('charged')) {
+        return 'We are looking into the charges on your account. If any of them are in error, we will correct them and send you an itemized breakdown.';
+      }
+      if (lowerMessage.includes('cancel')) {
+        return 'We have received your cancellation request. Before we proceed, we would like to make sure you know about the options available, such as changing or pausing your plan.';
+      }
+      return 'We are reviewing your account, recent invoices and payment history to get to the bottom of your billing question.';
+
+    case 'Technical Problem':
+      if (lowerMessage.includes('login') || lowerMessage.includes('password') || lowerMessage.includes('access')) {
+        return 'We are checking your account for anything that might be blocking access. Once we have verified your identity, we can help you reset your password or recover your account.';
+      }
+      if (lowerMessage.includes('error') || lowerMessage.includes('bug')) {
+        return 'To help us investigate, could you send a screenshot of the error and the steps that led to it? We will check it against known issues right away.';
+      }
+      if (lowerMessage.includes('down') || lowerMessage.includes('not working') || lowerMessage.includes('slow')) {
+        return 'We are checking our system status and recent incident reports now, and will update you as soon as we know more.';
+      }
+      return 'Our team is looking into the issue you described. Any extra details, such as what you were trying to do and any error messages, will help us resolve it faster.';
+
+    case 'Feature Request':
+      return 'We have shared your suggestion with our product team. Feedback like yours directly shapes what we build next.';
+
+    case 'General Inquiry':
+      if (lowerMessage.includes('pricing') || lowerMessage.includes('cost') || lowerMessage.includes('plan')) {
+        return 'You can find details on all of our plans on our pricing page, and we are happy to set up a call if you need a custom or volume quote.';
+      }
+      return 'We are happy to help with your question and will follow up with the details you need.';
+
+    default:
+      return 'We have received your message and a member of our team will look into it.';
+  }
+}
+
+/**
+ * Closing line based on urgency, used for medium and long replies
+ */
+function getTimelineSentence(urgency) {
+  if (urgency === 'High') return 'We are treating this as a priority and will update you as soon as possible.';
+  if (urgency === 'Medium') return 'We will get back to you with an update within one business day.';
+  return 'We will follow up with you shortly.';
+}
+
+/**
+ * Keyword/template fallback when the API is unavailable
+ */
+export function getFallbackReply(message, category, urgency, { tone = DEFAULT_TONE, length = DEFAULT_LENGTH } = {}) {
+  const toneKey = REPLY_TONES[tone] ? tone : DEFAULT_TONE;
+  const lowerMessage = message.toLowerCase();
+
+  const paragraphs = [OPENERS[toneKey] + ' ' + getReplyBody(lowerMessage, category)];
+  if (length !== 'short') {
+    paragraphs.push(getTimelineSentence(urgency));
+  }
+  if (length === 'long') {
+    paragraphs.push('If you have any additional information, just reply to this email and it will be added to your request.');
+  }
+
+  return {
+    reply: `${GREETINGS[toneKey]}\n\n${paragraphs.join('\n\n')}\n\n${SIGN_OFFS[toneKey]}`
+  };
+}
+
+/**
+ * Save the reply text that was sent to the customer with its history entry
+ *
+ * @param {object} current - Optional in-memory copy to update (see historyStore.updateHistoryEntry)
+ * @returns {object|null} - The updated entry, or null if it no longer exists
+ */
+export function saveSentReply(entryId, { text, tone, length }, current = null) {
+  return updateHistoryEntry(entryId, entry => ({
+    ...entry,
+    sentReply: { text, tone, length, sentAt: new Date().toISOString() }
+  }), current);
+}
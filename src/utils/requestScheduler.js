@@ -0,0 +1,170 @@
+import { getSettings } from './settings.js';
+
+/**
+ * Request Scheduler - queues LLM calls to stay within per-minute request and token budgets
+ * Budgets come from the requestsPerMinute and tokensPerMinute settings (0 = unlimited).
+ * Requests start in the order they were queued, and a rate-limit response can pause the
+ * whole queue until the provider's Retry-After has passed.
+ */
+
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Create a scheduler
+ *
+ * @param {object} options
+ * @param {function} options.getBudgets - Returns { requestsPerMinute, tokensPerMinute }
+ * @param {function} options.now - Clock, in milliseconds
+ * @returns {{schedule: function, pause: function, subscribe: function}}
+ */
+export function createScheduler({ getBudgets = getSettings, now = () => Date.now() } = {}) {
+  const queue = [];     // waiting requests, oldest first
+  const recent = [];    // { startedAt, tokens } for requests started in the last minute
+  const listeners = new Set();
+  let active = 0;
+  let pausedUntil = 0;
+  let timer = null;
+  let waiting = null;   // { until, reason } while the head of the queue is held back
+
+  const snapshot = () => {
+    const signals = queue.map(request => request.signal);
+    return {
+      active,
+      queued: queue.length,
+      resumesAt: waiting?.until ?? null,
+      reason: waiting?.reason ?? null,
+      // 1-based position of the first queued request carrying this signal, 0 if none
+      positionOf: (signal) => signals.indexOf(signal) + 1
+    };
+  };
+
+  const notify = () => {
+    const state = snapshot();
+    listeners.forEach(listener => listener(state));
+  };
+
+  /**
+   * When the request at the head of the queue may start
+   */
+  const nextStart = (request, time) => {
+    if (pausedUntil > time) {
+      return { until: pausedUntil, reason: 'retry-after' };
+    }
+
+    const { requestsPerMinute, tokensPerMinute } = getBudgets();
+    if (requestsPerMinute > 0 && recent.length >= requestsPerMinute) {
+      return { until: recent[recent.length - requestsPerMinute].startedAt + WINDOW_MS, reason: 'requests' };
+    }
+
+    if (tokensPerMinute > 0 && recent.length > 0) {
+      // A request larger than the whole budget runs alone once the window is empty
+      let used = recent.reduce((sum, entry) => sum + entry.tokens, 0);
+      const needed = Math.min(request.tokens, tokensPerMinute);
+      for (const entry of recent) {
+        if (used + needed <= tokensPerMinute) break;
+        used -= entry.tokens;
+        if (used + needed <= tokensPerMinute) {
+          return { until: entry.startedAt + WINDOW_MS, reason: 'tokens' };
+        }
+      }
+    }
+
+    return null;
+  };
+
+  const start = (request, time) => {
+    const entry = { startedAt: time, tokens: request.tokens };
+    recent.push(entry);
+    request.signal?.removeEventListener('abort', request.onAbort);
+    active++;
+
+    Promise.resolve()
+      .then(request.task)
+      .then(result => {
+        // Replace the estimate with the real token count once it's known
+        entry.tokens = request.measure?.(result) ?? entry.tokens;
+        request.resolve(result);
+      }, request.reject)
+      .finally(() => {
+        active--;
+        pump();
+      });
+  };
+
+  const pump = () => {
+    clearTimeout(timer);
+    timer = null;
+    waiting = null;
+
+    const time = now();
+    while (recent.length > 0 && recent[0].startedAt + WINDOW_MS <= time) {
+      recent.shift();
+    }
+
+    while (queue.length > 0) {
+      const hold = nextStart(queue[0], time);
+      if (hold) {
+        waiting = hold;
+        timer = setTimeout(pump, Math.max(0, hold.until - time));
+        break;
+      }
+      start(queue.shift(), time);
+    }
+
+    notify();
+  };
+
+  return {
+    /**
+     * Queue a request
+     *
+     * @param {function} task - Starts the request; returns a promise
+     * @param {object} options
+     * @param {number} options.tokens - Estimated tokens the request will use
+     * @param {AbortSignal} options.signal - Removes the request from the queue when aborted
+     * @param {function} options.measure - Returns the actual tokens used from the task's result, if known
+     * @returns {Promise<*>} - The task's result
+     */
+    schedule(task, { tokens = 0, signal = null, measure = null } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(new Error('Request cancelled'));
+          return;
+        }
+
+        const request = { task, tokens, signal, measure, resolve, reject };
+        request.onAbort = () => {
+          const index = queue.indexOf(request);
+          if (index === -1) return;
+          queue.splice(index, 1);
+          reject(new Error('Request cancelled'));
+          pump();
+        };
+        signal?.addEventListener('abort', request.onAbort, { once: true });
+
+        queue.push(request);
+        pump();
+      });
+    },
+
+    /**
+     * Hold every queued request for a while, e.g. for a 429's Retry-After
+     */
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, now() + ms);
+      pump();
+    },
+
+    /**
+     * Receive queue state on every change
+     *
+     * @param {function} listener - Called with { active, queued, resumesAt, reason, positionOf(signal) }
+     * @returns {function} - Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      listener(snapshot());
+      return () => listeners.delete(listener);
+    }
+  };
+}
@@ -0,0 +1,244 @@
+import { readJson, writeJson, removeItem } from './storage.js';
+import { createEntryId, loadHistory, updateHistoryEntry } from './historyStore.js';
+import { SUBCATEGORY_SEPARATOR } from './taxonomy.js';
+
+/**
+ * Response Library - approved canned responses with {{variable}} placeholders
+ * Templates are tagged with categories/subcategories so AnalyzePage can suggest the best matches.
+ */
+
+const LIBRARY_KEY = 'responseLibrary';
+
+// {{ name }} placeholders; names are letters, digits and underscores
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const DEFAULT_SUGGESTION_LIMIT = 3;
+
+/**
+ * Built-in templates, used until the user saves their own library
+ */
+export const DEFAULT_RESPONSE_LIBRARY = [
+  {
+    id: 'refund-approved',
+    title: 'Refund approved',
+    body: 'Hi {{customer_name}},\n\nThanks for getting in touch. We have approved a refund for invoice {{invoice_id}}. You should see it on your statement within {{refund_days}} business days.\n\nBest regards,\nThe Support Team',
+    tags: [{ category: 'Billing Issue', subcategory: 'Refund' }]
+  },
+  {
+    id: 'duplicate-charge',
+    title: 'Duplicate charge reversed',
+    body: 'Hi {{customer_name}},\n\nSorry about the duplicate charge on invoice {{invoice_id}}. We have reversed the extra payment, and it will be back on your card within 5-10 business days.\n\nBest regards,\nThe Support Team',
+    tags: [{ category: 'Billing Issue', subcategory: 'Duplicate Charge' }]
+  },
+  {
+    id: 'billing-review',
+    title: 'Reviewing billing question',
+    body: 'Hi {{customer_name}},\n\nThanks for reaching out about your bill. We are reviewing invoice {{invoice_id}} and will get back to you by {{eta}}.\n\nBest regards,\nThe Support Team',
+    tags: [{ category: 'Billing Issue', subcategory: null }]
+  },
+  {
+    id: 'password-reset',
+    title: 'Password reset instructions',
+    body: 'Hi {{customer_name}},\n\nYou can reset your password at any time from the sign-in page by choosing "Forgot password". If the reset email does not arrive within a few minutes, please check your spam folder or reply to this message.\n\nBest regards,\nThe Support Team',
+    tags: [{ category: 'Technical Problem', subcategory: 'Login & Access' }]
+  },
+  {
+    id: 'known-outage',
+    title: 'Known outage update',
+    body: 'Hi {{customer_name}},\n\nWe are aware of an issue affecting {{affected_feature}} and our engineers are working on it now. We expect it to be resolved by {{eta}}, and you can follow progress on our status page.\n\nWe are sorry for the disruption.\nThe Support Team',
+    tags: [{ category: 'Technical Problem', subcategory: 'Outage' }, { category: 'Technical Problem', subcategory: 'Performance' }]
+  },
+  {
+    id: 'bug-investigating',
+    title: 'Investigating a bug',
+    body: 'Hi {{customer_name}},\n\nThanks for reporting this. We have passed the details to our engineering team as ticket {{ticket_id}}. We will update you by {{eta}}.\n\nBest regards,\nThe Support Team',
+    tags: [{ category: 'Technical Problem', subcategory: null }]
+  },
+  {
+    id: 'feature-logged',
+    title: 'Feature request logged',
+    body: 'Hi {{customer_name}},\n\nThank you for the suggestion! We have shared it with our product team, who review every request when planning the roadmap.\n\nBest regards,\nThe Support Team',
+    tags: [{ category: 'Feature Request', subcategory: null }]
+  },
+  {
+    id: 'general-help',
+    title: 'General follow-up',
+    body: 'Hi {{customer_name}},\n\nThanks for your message. {{answer}}\n\nLet us know if there is anything else we can help with.\n\nBest regards,\nThe Support Team',
+    tags: []
+  }
+];
+
+/**
+ * Names of the variables used in a template body, in order of first use
+ */
+export function extractVariables(body) {
+  const names = [];
+  for (const match of (body || '').matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Replace placeholders with values; placeholders without a value are left in place
+ */
+export function fillTemplate(body, values = {}) {
+  return body.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = values[name];
+    return value !== undefined && String(value).trim() !== '' ? String(value) : placeholder;
+  });
+}
+
+/**
+ * Parse a "Category › Subcategory" label into a tag
+ */
+export function parseTagLabel(label) {
+  const [category, subcategory] = label.split(SUBCATEGORY_SEPARATOR.trim()).map(part => part.trim());
+  return { category, subcategory: subcategory || null };
+}
+
+function normalizeLibrary(library) {
+  return library.map(template => ({
+    id: template.id || createEntryId(),
+    title: String(template.title || '').trim(),
+    body: String(template.body || '').trim(),
+    tags: (template.tags || [])
+      .filter(tag => tag?.category)
+      .map(tag => ({ category: String(tag.category).trim(), subcategory: tag.subcategory ? String(tag.subcategory).trim() : null }))
+  }));
+}
+
+/**
+ * Check a library for problems
+ *
+ * @returns {string[]} - Human-readable errors; empty if valid
+ */
+export function validateLibrary(library) {
+  if (!Array.isArray(library)) {
+    return ['The response library must be a list of templates'];
+  }
+
+  const errors = [];
+  library.forEach((template, index) => {
+    const title = String(template.title || '').trim();
+    if (!title) {
+      errors.push(`Template ${index + 1} needs a title`);
+    }
+    if (!String(template.body || '').trim()) {
+      errors.push(`${title || `Template ${index + 1}`} needs a body`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Get the active response library (saved or default)
+ */
+export function getResponseLibrary() {
+  const saved = readJson(LIBRARY_KEY, null);
+  if (Array.isArray(saved) && validateLibrary(saved).length === 0) {
+    return normalizeLibrary(saved);
+  }
+  return normalizeLibrary(DEFAULT_RESPONSE_LIBRARY);
+}
+
+/**
+ * Save a response library
+ *
+ * @throws {Error} if the library is invalid
+ */
+export function saveResponseLibrary(library) {
+  const errors = validateLibrary(library);
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+  const normalized = normalizeLibrary(library);
+  writeJson(LIBRARY_KEY, normalized);
+  return normalized;
+}
+
+/**
+ * Discard the saved library and return to the defaults
+ */
+export function resetResponseLibrary() {
+  removeItem(LIBRARY_KEY);
+  return getResponseLibrary();
+}
+
+/**
+ * How well a template's tags fit a label: exact subcategory beats category-wide beats untagged
+ */
+function tagScore(template, category, subcategory) {
+  if (template.tags.length === 0) return 1;
+
+  let best = 0;
+  template.tags.forEach(tag => {
+    if (tag.category !== category) return;
+    if (tag.subcategory && tag.subcategory === subcategory) {
+      best = Math.max(best, 3);
+    } else if (!tag.subcategory) {
+      best = Math.max(best, 2);
+    }
+  });
+  return best;
+}
+
+/**
+ * Templates that best match an analysis' labels
+ *
+ * @param {object} labels - { category, subcategory, secondaryCategories } from the analysis
+ * @param {object} options
+ * @param {object[]} options.library - Templates to choose from (defaults to the saved library)
+ * @param {number} options.limit - Maximum suggestions
+ * @returns {object[]} - Matching templates, best first
+ */
+export function suggestTemplates({ category, subcategory = null, secondaryCategories = [] }, {
+  library = getResponseLibrary(),
+  limit = DEFAULT_SUGGESTION_LIMIT
+} = {}) {
+  return library
+    .map(template => {
+      // Secondary labels count, but less than the primary label
+      const secondary = secondaryCategories.map(label => tagScore(template, label.category, label.subcategory || null) * 0.5);
+      return { template, score: Math.max(tagScore(template, category, subcategory), ...secondary) };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ template }) => template);
+}
+
+/**
+ * Record that a template was used to answer a history entry
+ *
+ * @param {object} current - Optional in-memory copy to update (see historyStore.updateHistoryEntry)
+ * @returns {object|null} - The updated entry, or null if it no longer exists
+ */
+export function recordTemplateUse(entryId, template, current = null) {
+  return updateHistoryEntry(entryId, entry => ({
+    ...entry,
+    templateId: template.id,
+    templateTitle: template.title
+  }), current);
+}
+
+/**
+ * How often each template was used across history
+ *
+ * @returns {Array<{templateId: string, title: string, count: number}>} - Most used first
+ */
+export function getTemplateUsage(history = loadHistory()) {
+  const usage = new Map();
+  history.forEach(entry => {
+    if (!entry.templateId) return;
+    const current = usage.get(entry.templateId) || { templateId: entry.templateId, title: entry.templateTitle, count: 0 };
+    current.count++;
+    usage.set(entry.templateId, current);
+  });
+
+  // Show current titles for templates that still exist
+  const library = getResponseLibrary();
+  return [...usage.values()]
+    .map(item => ({ ...item, title: library.find(t => t.id === item.templateId)?.title || item.title }))
+    .sort((a, b) => b.count - a.count);
+}
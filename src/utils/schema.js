@@ -0,0 +1,145 @@
+/**
+ * Output Schemas - shape checks for the JSON each analyzer asks the model for
+ * A schema maps field names to rules:
+ *   { type, required, nullable, enum, ignoreCase, min, max, minLength, items }
+ * type is one of 'string', 'number', 'integer', 'boolean', 'array' or 'object'.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function checkType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Check one value against a field rule
+ *
+ * @returns {string[]} - Problems with the value, prefixed with its path
+ */
+function validateField(path, value, rule) {
+  if (value === undefined) {
+    return rule.required ? [`"${path}" is required`] : [];
+  }
+  if (value === null) {
+    return rule.nullable || !rule.required ? [] : [`"${path}" must not be null`];
+  }
+  if (!checkType(value, rule.type)) {
+    return [`"${path}" must be ${rule.type === 'integer' ? 'an integer' : `a ${rule.type}`}, got ${JSON.stringify(value)}`];
+  }
+
+  const errors = [];
+  if (rule.enum) {
+    const allowed = rule.ignoreCase
+      ? rule.enum.some(option => option.toLowerCase() === String(value).toLowerCase())
+      : rule.enum.includes(value);
+    if (!allowed) {
+      errors.push(`"${path}" must be one of ${rule.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    errors.push(`"${path}" must be at least ${rule.min}, got ${value}`);
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    errors.push(`"${path}" must be at most ${rule.max}, got ${value}`);
+  }
+  if (rule.minLength !== undefined && value.trim?.().length < rule.minLength) {
+    errors.push(`"${path}" must not be empty`);
+  }
+  if (rule.type === 'array' && rule.items) {
+    value.forEach((item, index) => {
+      errors.push(...(rule.items.type === 'object' && rule.items.fields
+        ? validateObject(item, rule.items.fields, `${path}[${index}]`)
+        : validateField(`${path}[${index}]`, item, rule.items)));
+    });
+  }
+  if (rule.type === 'object' && rule.fields) {
+    errors.push(...validateObject(value, rule.fields, path));
+  }
+  return errors;
+}
+
+function validateObject(value, fields, prefix = '') {
+  if (typeOf(value) !== 'object') {
+    return [`${prefix ? `"${prefix}"` : 'Response'} must be a JSON object`];
+  }
+  return Object.entries(fields).flatMap(([name, rule]) =>
+    validateField(prefix ? `${prefix}.${name}` : name, value[name], rule)
+  );
+}
+
+/**
+ * Validate parsed model output against a schema
+ *
+ * @param {*} value - Parsed JSON (or null if parsing failed)
+ * @param {object} schema - Field rules
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateSchema(value, schema) {
+  if (value === null || value === undefined) {
+    return { valid: false, errors: ['Response is not valid JSON'] };
+  }
+  const errors = validateObject(value, schema);
+  return { valid: errors.length === 0, errors };
+}
+
+export const URGENCY_LEVELS = ['High', 'Medium', 'Low'];
+
+/**
+ * Categorization output; category names come from the active taxonomy
+ */
+export function buildCategorySchema(categoryNames) {
+  const labels = [...categoryNames, 'Unknown'];
+  return {
+    category: { type: 'string', required: true, enum: labels, ignoreCase: true },
+    subcategory: { type: 'string', nullable: true },
+    confidence: { type: 'number', min: 0, max: 1 },
+    secondaryCategories: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          category: { type: 'string', required: true, enum: labels, ignoreCase: true },
+          subcategory: { type: 'string', nullable: true },
+          confidence: { type: 'number', min: 0, max: 1 }
+        }
+      }
+    },
+    reasoning: { type: 'string', required: true, minLength: 1 }
+  };
+}
+
+export const URGENCY_SCHEMA = {
+  level: { type: 'string', required: true, enum: URGENCY_LEVELS },
+  score: { type: 'number', required: true, min: 0, max: 100 },
+  reasoning: { type: 'string', required: true, minLength: 1 }
+};
+
+export const RECOMMENDATION_SCHEMA = {
+  action: { type: 'string', required: true, minLength: 1 },
+  escalate: { type: 'boolean', required: true },
+  escalateReason: { type: 'string', nullable: true }
+};
+
+/**
+ * Combined single-call output: categorization plus urgency and recommendation fields
+ * Urgency reasoning gets its own key since "reasoning" belongs to the categorization.
+ */
+export function buildCombinedSchema(categoryNames) {
+  return {
+    ...buildCategorySchema(categoryNames),
+    level: URGENCY_SCHEMA.level,
+    score: URGENCY_SCHEMA.score,
+    urgencyReasoning: URGENCY_SCHEMA.reasoning,
+    ...RECOMMENDATION_SCHEMA
+  };
+}
+
+export const REPLY_SCHEMA = {
+  reply: { type: 'string', required: true, minLength: 1 }
+};
@@ -0,0 +1,50 @@
+import { readJson, writeJson } from './storage.js';
+
+/**
+ * App Settings - simple preferences saved in localStorage
+ * Structured configuration (taxonomy, response library) lives in its own module.
+ */
+
+const SETTINGS_KEY = 'appSettings';
+
+export const DEFAULT_SETTINGS = {
+  // Save history with PII replaced by placeholders instead of the original text
+  redactHistory: false,
+  // Reuse earlier results for identical messages (see analysisCache.js)
+  analysisCache: true,
+  cacheTtlHours: 168,
+  cacheMaxEntries: 500,
+  // Per-minute LLM budgets enforced by the request scheduler (0 = unlimited);
+  // defaults match Groq's free tier for llama-3.3-70b-versatile
+  requestsPerMinute: 30,
+  tokensPerMinute: 12000,
+  // Category whose high-urgency messages count towards an incident (see incidentDetector.js)
+  incidentCategory: 'Technical Problem'
+};
+
+/**
+ * Get all settings, with defaults for anything not saved
+ */
+export function getSettings() {
+  const saved = readJson(SETTINGS_KEY, {});
+  return { ...DEFAULT_SETTINGS, ...(saved && typeof saved === 'object' ? saved : {}) };
+}
+
+/**
+ * Get a single setting
+ */
+export function getSetting(name) {
+  return getSettings()[name];
+}
+
+/**
+ * Save changes to one or more settings
+ *
+ * @param {object} changes - Settings to change
+ * @returns {object} - All settings after the change
+ */
+export function updateSettings(changes) {
+  const settings = { ...getSettings(), ...changes };
+  writeJson(SETTINGS_KEY, settings);
+  return settings;
+}
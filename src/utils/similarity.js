@@ -0,0 +1,145 @@
+/**
+ * Text Similarity - lightweight TF-IDF vectors computed in the browser
+ * No external embedding service; vectors are sparse term → weight maps.
+ */
+
+// Common words that carry no topical signal
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'for', 'from', 'had', 'has', 'have', 'hi', 'hello', 'i', 'if', 'in', 'into', 'is', 'it', 'its', "it's",
+  'just', 'me', 'my', 'of', 'on', 'or', 'our', 'please', 'so', 'that', 'the', 'their', 'them', 'then',
+  'there', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which', 'will', 'with', 'would', 'you',
+  'your', 'us', 'am', 'im', 'thanks', 'thank', 'any', 'all', 'some', 'also', 'get', 'got'
+]);
+
+/**
+ * Split text into normalized terms
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+function termFrequencies(terms) {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+}
+
+function normalize(vector) {
+  let sumOfSquares = 0;
+  vector.forEach(weight => {
+    sumOfSquares += weight * weight;
+  });
+  const norm = Math.sqrt(sumOfSquares) || 1;
+  vector.forEach((weight, term) => vector.set(term, weight / norm));
+  return vector;
+}
+
+/**
+ * Cosine similarity between two normalized sparse vectors
+ */
+export function cosineSimilarity(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.forEach((weight, term) => {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  });
+  return dot;
+}
+
+/**
+ * Build a TF-IDF index over a set of documents
+ *
+ * @param {Array<{id: string, text: string}>} documents
+ * @returns {{idf: Map<string, number>, vectors: Map<string, Map<string, number>>, size: number}}
+ */
+export function buildIndex(documents) {
+  const tokenized = documents.map(doc => ({ id: doc.id, counts: termFrequencies(tokenize(doc.text)) }));
+
+  const documentFrequency = new Map();
+  tokenized.forEach(({ counts }) => {
+    counts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  // Smoothed IDF so terms present in every document still count a little
+  const idf = new Map();
+  documentFrequency.forEach((df, term) => {
+    idf.set(term, Math.log((tokenized.length + 1) / (df + 1)) + 1);
+  });
+
+  const vectors = new Map();
+  tokenized.forEach(({ id, counts }) => {
+    const vector = new Map();
+    counts.forEach((count, term) => vector.set(term, (1 + Math.log(count)) * idf.get(term)));
+    vectors.set(id, normalize(vector));
+  });
+
+  return { idf, vectors, size: tokenized.length };
+}
+
+/**
+ * Vectorize query text against an existing index
+ * Terms the index has never seen get the maximum IDF
+ */
+export function vectorize(index, text) {
+  const maxIdf = Math.log(index.size + 1) + 1;
+  const vector = new Map();
+  termFrequencies(tokenize(text)).forEach((count, term) => {
+    vector.set(term, (1 + Math.log(count)) * (index.idf.get(term) ?? maxIdf));
+  });
+  return normalize(vector);
+}
+
+/**
+ * Find the documents most similar to a query
+ *
+ * @param {object} index - Output of buildIndex
+ * @param {string} text - Query text
+ * @param {object} options
+ * @param {number} options.limit - Maximum results
+ * @param {number} options.minScore - Minimum cosine similarity (0-1)
+ * @returns {Array<{id: string, score: number}>} - Highest score first
+ */
+export function querySimilar(index, text, { limit = 5, minScore = 0.2 } = {}) {
+  const queryVector = vectorize(index, text);
+  const results = [];
+
+  index.vectors.forEach((vector, id) => {
+    const score = cosineSimilarity(queryVector, vector);
+    if (score >= minScore) {
+      results.push({ id, score });
+    }
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Character trigrams of whitespace-normalized text, for typo-tolerant comparison
+ */
+export function characterShingles(text, size = 3) {
+  const normalized = ` ${(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+  const shingles = new Set();
+  for (let i = 0; i <= normalized.length - size; i++) {
+    shingles.add(normalized.slice(i, i + size));
+  }
+  return shingles;
+}
+
+/**
+ * Sørensen–Dice coefficient between two shingle sets (0-1)
+ */
+export function diceCoefficient(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let overlap = 0;
+  small.forEach(shingle => {
+    if (large.has(shingle)) overlap++;
+  });
+  return (2 * overlap) / (a.size + b.size);
+}
@@ -0,0 +1,64 @@
+/**
+ * Thin JSON wrapper around localStorage
+ * Falls back to an in-memory store when localStorage is unavailable (e.g. Node scripts),
+ * unless a backend has been set with setStorageBackend (the API server keeps a file).
+ */
+
+let customBackend = null;
+
+/**
+ * localStorage-like backend kept in a Map, for Node scripts and tests
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+const memoryStore = createMemoryStorage();
+
+/**
+ * Use another localStorage-like backend ({ getItem, setItem, removeItem })
+ */
+export function setStorageBackend(backend) {
+  customBackend = backend;
+}
+
+function getBackend() {
+  if (customBackend) {
+    return customBackend;
+  }
+  if (typeof localStorage !== 'undefined') {
+    return localStorage;
+  }
+  return memoryStore;
+}
+
+/**
+ * Read and parse a JSON value, returning the fallback if missing or corrupt
+ */
+export function readJson(key, fallback) {
+  try {
+    const raw = getBackend().getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Serialize and store a JSON value
+ */
+export function writeJson(key, value) {
+  getBackend().setItem(key, JSON.stringify(value));
+}
+
+/**
+ * Remove a stored value
+ */
+export function removeItem(key) {
+  getBackend().removeItem(key);
+}
@@ -0,0 +1,218 @@
+import { readJson, writeJson, removeItem } from './storage.js';
+
+/**
+ * Category Taxonomy - user-configurable categories and subcategories
+ * The saved taxonomy drives the classifier prompt, keyword fallback, category validation and History filters.
+ */
+
+const TAXONOMY_KEY = 'categoryTaxonomy';
+
+// Separator used when displaying "Category › Subcategory"
+export const SUBCATEGORY_SEPARATOR = ' › ';
+
+/**
+ * Built-in taxonomy, used until the user saves their own
+ */
+export const DEFAULT_TAXONOMY = [
+  {
+    name: 'Billing Issue',
+    description: 'Payment problems, charges, refunds, invoices, subscription management, pricing disputes',
+    examples: ['I was charged twice', 'Need a refund', 'Cancel my subscription'],
+    keywords: ['bill', 'payment', 'charge', 'invoice', 'refund', 'subscription', 'price', 'cost', 'fee', 'credit card', 'cancel subscription', 'renewal', 'discount', 'promo', 'coupon'],
+    subcategories: [
+      {
+        name: 'Refund',
+        description: 'Requests to return money for a charge or plan',
+        keywords: ['refund', 'money back', 'reimburse']
+      },
+      {
+        name: 'Duplicate Charge',
+        description: 'Customer was billed more than once for the same thing',
+        keywords: ['charged twice', 'double charged', 'duplicate charge']
+      },
+      {
+        name: 'Subscription Change',
+        description: 'Upgrades, downgrades, renewals and cancellations',
+        keywords: ['upgrade', 'downgrade', 'cancel subscription', 'renewal', 'plan']
+      }
+    ]
+  },
+  {
+    name: 'Technical Problem',
+    description: 'Bugs, errors, crashes, outages, performance issues, functionality not working as expected',
+    examples: ['App keeps crashing', "Can't login", "Page won't load"],
+    keywords: ['bug', 'error', 'broken', 'not working', 'crash', 'down', 'slow', 'loading', 'freeze', 'stuck', 'fail', 'issue', 'problem', 'glitch', 'unresponsive', 'timeout', 'connection'],
+    subcategories: [
+      {
+        name: 'Login & Access',
+        description: 'Cannot sign in, locked out, password or permission problems',
+        keywords: ['login', 'log in', 'password', 'locked out', "can't access", 'cannot access']
+      },
+      {
+        name: 'Performance',
+        description: 'Slowness, timeouts and unresponsive pages',
+        keywords: ['slow', 'timeout', 'timing out', 'loading', 'unresponsive']
+      },
+      {
+        name: 'Outage',
+        description: 'Service or component is down for one or more users',
+        keywords: ['down', 'outage', 'not available', 'unavailable']
+      }
+    ]
+  },
+  {
+    name: 'Feature Request',
+    description: 'Suggestions for new features, improvements, enhancements, or changes to existing functionality',
+    examples: ['Would be great if you added...', 'Can you implement...', 'I wish there was...'],
+    keywords: ['feature', 'add', 'improve', 'enhancement', 'suggestion', 'wish', 'would be great', 'would like', 'could you add', 'missing', 'need ability', 'roadmap'],
+    subcategories: []
+  },
+  {
+    name: 'General Inquiry',
+    description: 'Questions about how things work, pricing information, account questions, general help, positive feedback',
+    examples: ['How do I export data?', 'What are your business hours?', 'Thanks for the help!'],
+    keywords: ['how do', 'how to', 'what is', 'where is', 'can i', 'is there', 'help', 'question', 'wondering', 'curious', 'thank', 'thanks', 'great job', 'love'],
+    subcategories: []
+  }
+];
+
+// Category used when nothing else fits, if the taxonomy has it
+const PREFERRED_DEFAULT_CATEGORY = 'General Inquiry';
+
+function normalizeList(list) {
+  return (Array.isArray(list) ? list : [])
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Clean up a taxonomy: trim strings, drop empty list entries, fill missing fields
+ */
+function normalizeTaxonomy(taxonomy) {
+  return taxonomy.map(category => ({
+    name: String(category.name || '').trim(),
+    description: String(category.description || '').trim(),
+    examples: normalizeList(category.examples),
+    keywords: normalizeList(category.keywords).map(k => k.toLowerCase()),
+    subcategories: (category.subcategories || []).map(sub => ({
+      name: String(sub.name || '').trim(),
+      description: String(sub.description || '').trim(),
+      keywords: normalizeList(sub.keywords).map(k => k.toLowerCase())
+    }))
+  }));
+}
+
+/**
+ * Check a taxonomy for problems
+ *
+ * @returns {string[]} - Human-readable errors; empty if valid
+ */
+export function validateTaxonomy(taxonomy) {
+  const errors = [];
+
+  if (!Array.isArray(taxonomy) || taxonomy.length === 0) {
+    return ['At least one category is required'];
+  }
+
+  const seen = new Set();
+  taxonomy.forEach((category, index) => {
+    const name = String(category.name || '').trim();
+    if (!name) {
+      errors.push(`Category ${index + 1} needs a name`);
+      return;
+    }
+    if (name === 'Unknown') {
+      errors.push('"Unknown" is reserved for unclassifiable messages');
+    }
+    if (seen.has(name.toLowerCase())) {
+      errors.push(`Duplicate category "${name}"`);
+    }
+    seen.add(name.toLowerCase());
+
+    const seenSubs = new Set();
+    (category.subcategories || []).forEach((sub, subIndex) => {
+      const subName = String(sub.name || '').trim();
+      if (!subName) {
+        errors.push(`${name}: subcategory ${subIndex + 1} needs a name`);
+      } else if (seenSubs.has(subName.toLowerCase())) {
+        errors.push(`${name}: duplicate subcategory "${subName}"`);
+      }
+      seenSubs.add(subName.toLowerCase());
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Get the active taxonomy (saved or default)
+ */
+export function getTaxonomy() {
+  const saved = readJson(TAXONOMY_KEY, null);
+  if (Array.isArray(saved) && validateTaxonomy(saved).length === 0) {
+    return normalizeTaxonomy(saved);
+  }
+  return normalizeTaxonomy(DEFAULT_TAXONOMY);
+}
+
+/**
+ * Save a taxonomy
+ *
+ * @throws {Error} if the taxonomy is invalid
+ */
+export function saveTaxonomy(taxonomy) {
+  const errors = validateTaxonomy(taxonomy);
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+  const normalized = normalizeTaxonomy(taxonomy);
+  writeJson(TAXONOMY_KEY, normalized);
+  return normalized;
+}
+
+/**
+ * Discard the saved taxonomy and return to the defaults
+ */
+export function resetTaxonomy() {
+  removeItem(TAXONOMY_KEY);
+  return getTaxonomy();
+}
+
+/**
+ * Names of all top-level categories
+ */
+export function getCategoryNames() {
+  return getTaxonomy().map(category => category.name);
+}
+
+/**
+ * Look up a category by name (case-insensitive)
+ */
+export function findCategory(name, taxonomy = getTaxonomy()) {
+  if (!name) return null;
+  const lower = String(name).toLowerCase();
+  return taxonomy.find(category => category.name.toLowerCase() === lower) || null;
+}
+
+/**
+ * Look up a subcategory of a category by name (case-insensitive)
+ */
+export function findSubcategory(category, name) {
+  if (!category || !name) return null;
+  const lower = String(name).toLowerCase();
+  return category.subcategories.find(sub => sub.name.toLowerCase() === lower) || null;
+}
+
+/**
+ * Category assigned to ambiguous messages
+ */
+export function getDefaultCategoryName(taxonomy = getTaxonomy()) {
+  return findCategory(PREFERRED_DEFAULT_CATEGORY, taxonomy)?.name || taxonomy[taxonomy.length - 1].name;
+}
+
+/**
+ * Display label for a category and optional subcategory, e.g. "Billing Issue › Refund"
+ */
+export function formatCategoryLabel(category, subcategory = null) {
+  return subcategory ? `${category}${SUBCATEGORY_SEPARATOR}${subcategory}` : category;
+}
@@ -1,10 +1,35 @@
-import { groqRequest, parseJsonResponse } from './apiClient';
+import { structuredRequest, readPartialFields } from './apiClient.js';
+import { getCategoryNames } from './taxonomy.js';
+import { RECOMMENDATION_SCHEMA } from './schema.js';
+import { formatRecommendationExamples } from './exampleRetrieval.js';
+import { formatIncidentContext, isRelatedToIncident } from './incidentDetector.js';
+import { UNTRUSTED_CONTENT_RULE, wrapCustomerMessage } from './promptSafety.js';
+import { formatConversationContext, getRepeatContactReason } from './conversations.js';
+import { assessCustomerProfile, formatCustomerProfileContext } from './customerProfiles.js';
 
 /**
  * AI-Powered Action Recommendations
  * Generates contextual, specific recommendations based on message analysis
  */
 
+/**
+ * Prompt guidance shared with the combined analyzer
+ */
+export const RECOMMENDATION_GUIDELINES = `Your recommendations should be:
+1. **Specific** - Reference details from the actual message, not generic advice
+2. **Actionable** - Clear steps the agent can take immediately
+3. **Appropriate** - Match the urgency level (High = immediate action, Low = standard process)
+4. **Empathetic** - Consider the customer's emotional state`;
+
+export const ESCALATION_CRITERIA = `Escalation criteria:
+- Security concerns or data breaches
+- Legal/compliance mentions
+- VIP/executive customers
+- System-wide outages affecting multiple users
+- Threats to cancel or legal action
+- Issues persisting after multiple contacts
+- High urgency technical problems blocking business operations`;
+
 /**
  * Generate a contextual recommended action using AI
  *
@@ -12,22 +37,26 @@ import { groqRequest, parseJsonResponse } from './apiClient';
  * @param {string} category - The message category
  * @param {string} urgency - The urgency level (High/Medium/Low)
  * @param {AbortSignal} signal - Optional abort signal for cancellation
- * @returns {Promise<{action: string, escalate: boolean, escalateReason: string|null}>}
+ * @param {object} options
+ * @param {Array} options.similarExamples - Similar past tickets retrieved from history
+ * @param {object} options.incident - Active incident from incidentDetector, if any
+ * @param {object} options.conversation - Earlier turns from conversations.findConversation, if any
+ * @param {object} options.customerProfile - Tier, plan, account value and renewal date from customerProfiles, if known
+ * @param {object} options.meter - Usage meter from usageMeter, if the caller tracks tokens
+ * @param {function} options.onPartial - Streams the response; receives the partial { action } as it arrives
+ * @returns {Promise<{action: string, escalate: boolean, escalateReason: string|null, fallback?: boolean}>}
  */
-export async function getRecommendedAction(message, category, urgency, signal = null) {
+export async function getRecommendedAction(message, category, urgency, signal = null, { similarExamples = [], incident = null, conversation = null, customerProfile = null, meter = null, onPartial = null } = {}) {
   try {
-    const content = await groqRequest({
-      model: "llama-3.3-70b-versatile",
+    const parsed = await structuredRequest({
       messages: [
         {
           role: "system",
           content: `You are an expert customer support advisor. Generate specific, actionable recommendations for support agents.
 
-Your recommendations should be:
-1. **Specific** - Reference details from the actual message, not generic advice
-2. **Actionable** - Clear steps the agent can take immediately
-3. **Appropriate** - Match the urgency level (High = immediate action, Low = standard process)
-4. **Empathetic** - Consider the customer's emotional state
+${UNTRUSTED_CONTENT_RULE}
+
+${RECOMMENDATION_GUIDELINES}
 
 Response format (JSON):
 {
@@ -36,14 +65,16 @@ Response format (JSON):
   "escalateReason": "reason if escalating, null otherwise"
 }
 
-Escalation criteria:
-- Security concerns or data breaches
-- Legal/compliance mentions
-- VIP/executive customers
-- System-wide outages affecting multiple users
-- Threats to cancel or legal action
-- Issues persisting after multiple contacts
-- High urgency technical problems blocking business operations`
+${ESCALATION_CRITERIA}${similarExamples.length > 0 ? `
+
+Actions recommended for similar past tickets (adapt them, don't copy them):
+${formatRecommendationExamples(similarExamples)}` : ''}${incident ? `
+
+${formatIncidentContext(incident)} If so, point the agent to the incident instead of individual troubleshooting.` : ''}${conversation ? `
+
+${formatConversationContext(conversation)} Refer to what was already tried or promised.` : ''}${customerProfile ? `
+
+${formatCustomerProfileContext(customerProfile)}` : ''}`
         },
         {
           role: "user",
@@ -51,36 +82,34 @@ Escalation criteria:
 
 Category: ${category}
 Urgency: ${urgency}
-Customer Message: "${message}"
+Customer Message:
+${wrapCustomerMessage(message)}
 
 Return JSON only.`
         }
       ],
       temperature: 0.4,
-      max_tokens: 300
-    }, signal);
-
-    const parsed = parseJsonResponse(content);
-    if (parsed) {
-      return {
-        action: parsed.action || "Review the message and respond appropriately.",
-        escalate: parsed.escalate || false,
-        escalateReason: parsed.escalateReason || null
-      };
-    }
+      max_tokens: 300,
+      meter,
+      onToken: onPartial && ((text) => onPartial(readPartialFields(text, ['action'])))
+    }, RECOMMENDATION_SCHEMA, signal);
 
-    return getFallbackRecommendation(message, category, urgency);
+    return {
+      action: parsed.action,
+      escalate: parsed.escalate,
+      escalateReason: parsed.escalate ? (parsed.escalateReason || null) : null
+    };
 
   } catch (error) {
-    console.warn('Groq API failed for recommendations, using fallback:', error.message);
-    return getFallbackRecommendation(message, category, urgency);
+    console.warn('LLM API failed for recommendations, using fallback:', error.message);
+    return { ...getFallbackRecommendation(message, category, urgency, incident, conversation, customerProfile), fallback: true };
   }
 }
 
 /**
  * Intelligent fallback recommendations when API unavailable
  */
-function getFallbackRecommendation(message, category, urgency) {
+export function getFallbackRecommendation(message, category, urgency, incident = null, conversation = null, customerProfile = null) {
   const lowerMessage = message.toLowerCase();
   let action = "";
   let escalate = false;
@@ -103,6 +132,27 @@ function getFallbackRecommendation(message, category, urgency) {
     }
   }
 
+  // Part of a spike of similar reports - handle it with the incident
+  const relatedToIncident = isRelatedToIncident(message, incident);
+  if (relatedToIncident && !escalate) {
+    escalate = true;
+    escalateReason = 'Likely part of an ongoing incident affecting multiple users';
+  }
+
+  // Still unresolved after several contacts
+  const repeatContactReason = getRepeatContactReason(conversation);
+  if (repeatContactReason && !escalate) {
+    escalate = true;
+    escalateReason = repeatContactReason;
+  }
+
+  // Key account with a renewal coming up
+  const customerEscalateReason = customerProfile ? assessCustomerProfile(customerProfile).escalateReason : null;
+  if (customerEscalateReason && !escalate) {
+    escalate = true;
+    escalateReason = customerEscalateReason;
+  }
+
   // High urgency always needs immediate attention
   if (urgency === 'High' && !escalate) {
     escalate = true;
@@ -159,6 +209,14 @@ function getFallbackRecommendation(message, category, urgency) {
       break;
   }
 
+  if (relatedToIncident) {
+    action = `A possible incident is in progress (${incident.count} similar reports in the last ${incident.windowMinutes} minutes). Link this ticket to the incident and share its status with the customer. ${action}`;
+  }
+
+  if (conversation) {
+    action = `Review the ${conversation.contactCount - 1} earlier ${conversation.contactCount === 2 ? 'contact' : 'contacts'} before replying so the customer doesn't have to repeat themselves. ${action}`;
+  }
+
   return {
     action,
     escalate,
@@ -170,13 +228,7 @@ function getFallbackRecommendation(message, category, urgency) {
  * Get available categories (for UI filters)
  */
 export function getAvailableCategories() {
-  return [
-    "Billing Issue",
-    "Technical Problem",
-    "Feature Request",
-    "General Inquiry",
-    "Unknown"
-  ];
+  return [...getCategoryNames(), "Unknown"];
 }
 
 /**
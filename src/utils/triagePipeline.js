@@ -0,0 +1,398 @@
+import { categorizeMessage } from './llmHelper.js';
+import { calculateUrgency, getFallbackUrgency } from './urgencyScorer.js';
+import { getRecommendedAction, getFallbackRecommendation } from './templates.js';
+import { createEntryId, loadHistory } from './historyStore.js';
+import { getCorrectionExamples } from './corrections.js';
+import { retrieveSimilarExamples, summarizeInfluences } from './exampleRetrieval.js';
+import { findDuplicates } from './duplicateDetector.js';
+import { detectIncident, isRelatedToIncident } from './incidentDetector.js';
+import { redactText } from './redaction.js';
+import { detectPromptInjection } from './promptSafety.js';
+import { analyzeCombined } from './combinedAnalyzer.js';
+import { createUsageMeter } from './usageMeter.js';
+import { getCacheKey, getCachedAnalysis, setCachedAnalysis } from './analysisCache.js';
+import { findConversation, getCustomerId, getRepeatContactReason, groupConversations } from './conversations.js';
+import { findCustomerProfile, normalizeProfile, assessCustomerProfile, formatCustomerProfileContext } from './customerProfiles.js';
+
+/**
+ * Triage Pipeline - runs a message through categorization, urgency and recommendation
+ * Shared by the single-message and batch modes of AnalyzePage
+ */
+
+// Default number of messages analyzed at the same time in batch mode
+export const DEFAULT_BATCH_CONCURRENCY = 2;
+
+/**
+ * Throw if the signal has been aborted
+ * The analyzers swallow API errors and fall back, so cancellation is checked between stages
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new Error('Request cancelled');
+  }
+}
+
+/**
+ * Categorization and urgency results → history entry fields
+ */
+function categorizationFields({ category, subcategory, confidence, secondaryCategories, reasoning }) {
+  return {
+    category,
+    subcategory: subcategory || null,
+    categoryConfidence: confidence,
+    secondaryCategories: secondaryCategories || [],
+    reasoning
+  };
+}
+
+function urgencyFields({ level, score, reasoning }) {
+  return { urgency: level, urgencyScore: score, urgencyReasoning: reasoning };
+}
+
+/**
+ * Rename streamed analyzer fields to their history entry names, keeping only fields present
+ */
+function renameFields(fields, names) {
+  return Object.fromEntries(Object.entries(fields).map(([name, value]) => [names[name] || name, value]));
+}
+
+/**
+ * Analysis modes selectable per run
+ * combined-fallback is recorded on results whose combined call failed and were rerun split
+ */
+export const ANALYSIS_MODES = {
+  split: { label: 'Three calls', description: 'Separate category, urgency and recommendation calls' },
+  combined: { label: 'Single call', description: 'One structured call; falls back to three calls if incomplete' }
+};
+
+export const DEFAULT_ANALYSIS_MODE = 'split';
+
+/**
+ * Analyze a single message
+ *
+ * @param {string} message - The customer support message
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Optional abort signal for cancellation
+ * @param {function} options.onStage - Optional callback receiving a loading stage label
+ * @param {string} options.mode - Key of ANALYSIS_MODES
+ * @param {function} options.onPartial - Optional; streams the LLM calls and receives result fields
+ *   (in the history entry's shape) as each part arrives. Streamed text fields may be incomplete.
+ * @param {boolean} options.forceRefresh - Skip the analysis cache lookup (the fresh result is still cached)
+ * @param {object} options.email - For imported emails: { sender, subject, date, messageId, inReplyTo, references }.
+ *   The subject is added to the category and urgency prompts; all of it is saved with the result.
+ * @param {string} options.customerId - Groups the message with earlier ones from the customer
+ *   (imported emails use the sender's address when this is not set)
+ * @param {string} options.threadId - Groups the message with earlier ones in the same thread
+ * @param {object} options.customerProfile - Tier, plan, account value and renewal date entered for this
+ *   message; otherwise the customer's saved profile is used, if there is one
+ * @param {object[]} options.earlierResults - Results not yet saved to history (earlier items of a batch)
+ *   that count as earlier turns of the conversation
+ * @returns {Promise<object>} - The analysis result, in the shape saved to history
+ */
+export async function analyzeMessage(message, { signal = null, onStage = null, mode = DEFAULT_ANALYSIS_MODE, onPartial = null, forceRefresh = false, email = null, customerId = null, threadId = null, customerProfile = null, earlierResults = [] } = {}) {
+  const startedAt = performance.now();
+  const meter = createUsageMeter();
+
+  // Agent corrections and similar past tickets are fed back as few-shot examples
+  const history = loadHistory();
+  // Earlier messages from the same customer or thread are context, and count as repeat contacts
+  const contact = { customerId, threadId, sender: email?.sender, email };
+  // Key accounts and upcoming renewals raise urgency
+  const profile = customerProfile ? normalizeProfile(customerProfile) : findCustomerProfile(getCustomerId(contact));
+  const context = {
+    categoryExamples: getCorrectionExamples({ fields: ['category', 'subcategory'], history }),
+    urgencyExamples: getCorrectionExamples({ fields: ['urgency', 'escalate'], history }),
+    similarExamples: retrieveSimilarExamples(message, { history }),
+    // A spike of high-urgency technical messages is context for scoring this one
+    incident: detectIncident(history),
+    // Messages that try to steer the model don't get to decide their own urgency or escalation
+    injection: detectPromptInjection(email?.subject ? `${email.subject}\n${message}` : message),
+    subject: email?.subject || null,
+    conversation: findConversation([...history, ...earlierResults], contact),
+    customerProfile: profile,
+    meter,
+    onPartial
+  };
+  const { similarExamples, incident, injection, conversation } = context;
+
+  // Likely repeats of recent tickets are flagged on the result
+  const possibleDuplicates = findDuplicates(message, history);
+
+  // Identical messages reuse an earlier result unless a fresh analysis is forced
+  const cacheKey = await getCacheKey(message, mode, context.subject, [
+    ...(conversation?.turns.map(turn => turn.id) || []),
+    // The profile's prompt text counts down to the renewal, so it changes daily
+    ...(profile ? [formatCustomerProfileContext(profile)] : [])
+  ]);
+  const cached = forceRefresh ? null : await getCachedAnalysis(cacheKey);
+  throwIfCancelled(signal);
+
+  let analysis = cached?.value.analysis || null;
+  let analysisMode = cached?.value.analysisMode || 'split';
+
+  if (!analysis && mode === 'combined') {
+    onStage?.('Analyzing message...');
+    try {
+      const combined = await analyzeCombined(message, signal, {
+        ...context,
+        onPartial: onPartial && ((fields) => onPartial(renameFields(fields, { action: 'recommendedAction' })))
+      });
+      analysis = {
+        ...combined,
+        urgency: injection.suspected ? getFallbackUrgency(message, combined.categorization.category, undefined, incident, conversation, profile) : combined.urgency
+      };
+      analysisMode = 'combined';
+    } catch (error) {
+      throwIfCancelled(signal);
+      console.warn('Combined analysis failed, falling back to three calls:', error.message);
+      analysisMode = 'combined-fallback';
+      // Discard text streamed from the failed call
+      onPartial?.({ reasoning: null, urgencyReasoning: null, recommendedAction: null });
+    }
+  }
+
+  if (!analysis) {
+    analysis = await analyzeSplit(message, signal, onStage, context);
+  }
+
+  // Rule-based results from a failed call aren't cached, so the message is retried next time
+  if (!cached && !Object.values(analysis).some(part => part.fallback)) {
+    await setCachedAnalysis(cacheKey, { analysis, analysisMode });
+  }
+
+  const { categorization, urgency: urgencyResult } = analysis;
+  let actionResult = analysis.recommendation;
+
+  if (injection.suspected) {
+    const { escalate, escalateReason } = getFallbackRecommendation(message, categorization.category, urgencyResult.level, incident, conversation, profile);
+    actionResult = { ...actionResult, escalate, escalateReason };
+  }
+
+  // Repeat contacts past the threshold are escalated whatever the model decided
+  const repeatContactReason = getRepeatContactReason(conversation);
+  if (repeatContactReason && !actionResult.escalate) {
+    actionResult = { ...actionResult, escalate: true, escalateReason: repeatContactReason };
+  }
+
+  return {
+    id: createEntryId(),
+    message,
+    // Imported emails keep who sent them and their thread headers
+    ...(email ? {
+      sender: email.sender || null,
+      subject: email.subject || null,
+      email: { date: email.date || null, messageId: email.messageId || null, inReplyTo: email.inReplyTo || null, references: email.references || [] }
+    } : {}),
+    customerId: getCustomerId(contact),
+    threadId: threadId || null,
+    conversation: conversation
+      ? { kind: conversation.kind, contactCount: conversation.contactCount, previousIds: conversation.turns.map(turn => turn.id) }
+      : null,
+    // The profile as used, and what in it raised priority ("Enterprise customer, renewal in 12 days")
+    customerProfile: profile ? {
+      tier: profile.tier,
+      plan: profile.plan,
+      accountValue: profile.accountValue,
+      renewalDate: profile.renewalDate,
+      reason: assessCustomerProfile(profile).reason,
+      source: customerProfile ? 'manual' : 'directory'
+    } : null,
+    ...categorizationFields(categorization),
+    ...urgencyFields(urgencyResult),
+    recommendedAction: actionResult.action,
+    escalate: actionResult.escalate,
+    escalateReason: actionResult.escalateReason,
+    influencedBy: summarizeInfluences(similarExamples),
+    possibleDuplicates,
+    // What the API client masked before the message reached the LLM
+    redactions: redactText(message).counts,
+    relatedIncident: isRelatedToIncident(message, incident)
+      ? { id: incident.id, startedAt: incident.startedAt, sharedTerms: incident.sharedTerms }
+      : null,
+    untrustedContent: injection.suspected ? { reasons: injection.reasons } : null,
+    analysisMode,
+    cachedAt: cached?.createdAt || null,
+    // Latency and token use, for comparing modes on the dashboard
+    metrics: { latencyMs: Math.round(performance.now() - startedAt), ...meter.summary() },
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * The three-call pipeline: categorization and urgency in parallel, then the recommendation
+ * With onPartial, each part is reported as soon as its own call finishes.
+ */
+async function analyzeSplit(message, signal, onStage, { categoryExamples, urgencyExamples, similarExamples, incident, injection, subject, conversation, customerProfile, meter, onPartial }) {
+  // Stage 1: Run categorization and urgency in parallel
+  // (urgency works without category, just slightly less accurate)
+  onStage?.('Analyzing message...');
+
+  // Tickets already shown as corrections aren't repeated as similar examples
+  const notIn = (examples) => (e) => !examples.some(example => example.id === e.id);
+
+  const [categorization, llmUrgencyResult] = await Promise.all([
+    categorizeMessage(message, signal, {
+      examples: categoryExamples,
+      similarExamples: similarExamples.filter(notIn(categoryExamples)),
+      subject,
+      conversation,
+      meter,
+      onPartial
+    }).then(result => {
+      if (!signal?.aborted) onPartial?.(categorizationFields(result));
+      return result;
+    }),
+    injection.suspected ? null : calculateUrgency(message, null, signal, {
+      examples: urgencyExamples,
+      similarExamples: similarExamples.filter(notIn(urgencyExamples)),
+      incident,
+      subject,
+      conversation,
+      customerProfile,
+      meter,
+      onPartial: onPartial && ((fields) => onPartial(renameFields(fields, { reasoning: 'urgencyReasoning' })))
+    }).then(result => {
+      if (!signal?.aborted) onPartial?.(urgencyFields(result));
+      return result;
+    })
+  ]);
+  throwIfCancelled(signal);
+
+  const urgency = llmUrgencyResult || getFallbackUrgency(message, categorization.category, undefined, incident, conversation, customerProfile);
+  if (!llmUrgencyResult) onPartial?.(urgencyFields(urgency));
+
+  // Stage 2: Get recommended action (needs both category and urgency)
+  onStage?.('Generating recommendations...');
+
+  const recommendation = await getRecommendedAction(message, categorization.category, urgency.level, signal, {
+    similarExamples,
+    incident,
+    conversation,
+    customerProfile,
+    meter,
+    onPartial: onPartial && ((fields) => onPartial(renameFields(fields, { action: 'recommendedAction' })))
+  });
+  throwIfCancelled(signal);
+
+  return { categorization, urgency, recommendation };
+}
+
+/**
+ * Average latency and token use per analysis mode, for comparing them
+ * Fallback runs count toward the combined mode, since their cost is part of choosing it.
+ * Cached results made no calls and are left out.
+ *
+ * @returns {Array<{mode: string, label: string, runs: number, fallbacks: number,
+ *   avgLatencyMs: number, avgCalls: number, avgTokens: number, estimated: boolean}>}
+ */
+export function summarizeAnalysisMetrics(history = loadHistory()) {
+  return Object.entries(ANALYSIS_MODES).map(([mode, { label }]) => {
+    const runs = history.filter(entry => entry.metrics && !entry.cachedAt && (entry.analysisMode || 'split').startsWith(mode));
+    const average = (field) => runs.length > 0
+      ? Math.round(runs.reduce((sum, entry) => sum + entry.metrics[field], 0) / runs.length)
+      : 0;
+
+    return {
+      mode,
+      label,
+      runs: runs.length,
+      fallbacks: runs.filter(entry => entry.analysisMode === 'combined-fallback').length,
+      avgLatencyMs: average('latencyMs'),
+      avgCalls: runs.length > 0 ? runs.reduce((sum, entry) => sum + entry.metrics.calls, 0) / runs.length : 0,
+      avgTokens: average('totalTokens'),
+      estimated: runs.some(entry => entry.metrics.estimated)
+    };
+  });
+}
+
+/**
+ * Analyze a batch of messages with a bounded number of concurrent analyses
+ * Messages from the same customer or thread wait for the one before them, so later turns
+ * get the earlier ones as context.
+ *
+ * @param {Array<{id: string, message: string, email: object, customerId: string, threadId: string}>} items - Parsed batch items;
+ *   email, customerId and threadId are optional
+ * @param {object} options
+ * @param {number} options.concurrency - Maximum analyses in flight
+ * @param {AbortSignal} options.signal - Cancels the whole batch
+ * @param {function} options.onProgress - Called with (itemId, update) whenever a row changes state
+ * @param {string} options.mode - Key of ANALYSIS_MODES, applied to every message
+ * @returns {Promise<{results: object[], failures: object[], cancelled: boolean}>}
+ */
+export async function analyzeBatch(items, { concurrency = DEFAULT_BATCH_CONCURRENCY, signal = null, onProgress = null, mode = DEFAULT_ANALYSIS_MODE } = {}) {
+  const results = [];
+  const failures = [];
+  let nextIndex = 0;
+
+  // Messages of one conversation run in order, so each sees the earlier ones as context
+  const contacts = items.map((item, index) => ({
+    id: String(index),
+    index,
+    customerId: item.customerId,
+    threadId: item.threadId,
+    sender: item.email?.sender,
+    email: item.email
+  }));
+  const previousInConversation = new Map();
+  for (const group of groupConversations(contacts)) {
+    group.entries.slice(1).forEach((contact, i) => previousInConversation.set(contact.index, group.entries[i].index));
+  }
+  const finished = items.map(() => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+  });
+
+  async function worker() {
+    while (nextIndex < items.length && !signal?.aborted) {
+      const index = nextIndex++;
+      const item = items[index];
+
+      // The earlier message was picked up first, so waiting on it can't deadlock
+      if (previousInConversation.has(index)) {
+        await finished[previousInConversation.get(index)].promise;
+        if (signal?.aborted) {
+          onProgress?.(item.id, { status: 'cancelled' });
+          finished[index].resolve();
+          break;
+        }
+      }
+      onProgress?.(item.id, { status: 'running' });
+
+      try {
+        // Earlier items of the batch aren't in history yet, but are earlier turns of a conversation
+        const result = await analyzeMessage(item.message, {
+          signal,
+          mode,
+          email: item.email,
+          customerId: item.customerId,
+          threadId: item.threadId,
+          earlierResults: results.filter(Boolean)
+        });
+        results[index] = result;
+        onProgress?.(item.id, { status: 'done', result });
+      } catch (error) {
+        if (error.message === 'Request cancelled') {
+          onProgress?.(item.id, { status: 'cancelled' });
+        } else {
+          failures.push({ item, error: error.message });
+          onProgress?.(item.id, { status: 'failed', error: error.message });
+        }
+      }
+      finished[index].resolve();
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+  // Rows never picked up before cancellation
+  if (signal?.aborted) {
+    for (const item of items.slice(nextIndex)) {
+      onProgress?.(item.id, { status: 'cancelled' });
+    }
+  }
+
+  // Results are slotted by input index, so completion order doesn't matter
+  return { results: results.filter(Boolean), failures, cancelled: Boolean(signal?.aborted) };
+}
@@ -1,4 +1,10 @@
-import { groqRequest, parseJsonResponse } from './apiClient';
+import { structuredRequest, readPartialFields } from './apiClient.js';
+import { URGENCY_SCHEMA } from './schema.js';
+import { formatUrgencyExamples } from './corrections.js';
+import { formatIncidentContext, isRelatedToIncident } from './incidentDetector.js';
+import { UNTRUSTED_CONTENT_RULE, wrapCustomerMessage } from './promptSafety.js';
+import { formatConversationContext } from './conversations.js';
+import { assessCustomerProfile, formatCustomerProfileContext } from './customerProfiles.js';
 
 /**
  * Urgency Scorer - AI-powered urgency calculation with contextual understanding
@@ -31,10 +37,25 @@ const BUSINESS_IMPACT_KEYWORDS = [
   'demo', 'presentation', 'meeting', 'launch', 'release'
 ];
 
+/**
+ * Prompt guidance shared with the combined analyzer
+ */
+export const URGENCY_FACTORS = `Consider these factors:
+1. **Severity**: Is this a critical issue (outage, security, data loss) or minor inconvenience?
+2. **Scope**: Does it affect one user, a team, or the entire organization?
+3. **Business Impact**: Could this cause revenue loss, legal issues, or reputational damage?
+4. **Time Sensitivity**: Is there a deadline or time-critical element?
+5. **Customer Sentiment**: Is the customer distressed, frustrated, or calm?
+6. **Blockers**: Is the customer completely blocked from using the product?`;
+
+export const URGENCY_LEVEL_GUIDE = `High (70-100): Critical issues, outages, security concerns, blocked users, significant business impact
+Medium (30-69): Important but not critical, partial functionality loss, frustrated but not blocked
+Low (0-29): General inquiries, feature requests, positive feedback, minor issues`;
+
 /**
  * Detect signals from the message for context
  */
-function detectSignals(message) {
+export function detectSignals(message) {
   const lowerMessage = message.toLowerCase();
 
   const signals = {
@@ -60,41 +81,59 @@ function detectSignals(message) {
  *
  * @param {string} message - The customer support message
  * @param {string} category - The category from LLM categorization (optional, enhances accuracy)
- * @returns {Promise<{level: string, score: number, reasoning: string, signals: object}>}
+ * @param {AbortSignal} signal - Optional abort signal for cancellation
+ * @param {object} options
+ * @param {Array} options.examples - Agent-corrected examples to include as few-shot guidance
+ * @param {Array} options.similarExamples - Similar past tickets retrieved from history
+ * @param {object} options.incident - Active incident from incidentDetector, if any
+ * @param {object} options.meter - Usage meter from usageMeter, if the caller tracks tokens
+ * @param {function} options.onPartial - Streams the response; receives the partial { reasoning } as it arrives
+ * @param {string} options.subject - Email subject, as extra context
+ * @param {object} options.conversation - Earlier turns from conversations.findConversation, if any
+ * @param {object} options.customerProfile - Tier, plan, account value and renewal date from customerProfiles, if known
+ * @returns {Promise<{level: string, score: number, reasoning: string, signals: object, fallback?: boolean}>}
  */
-export async function calculateUrgency(message, category = null, signal = null) {
-  const signals = detectSignals(message);
+export async function calculateUrgency(message, category = null, signal = null, { examples = [], similarExamples = [], incident = null, meter = null, onPartial = null, subject = null, conversation = null, customerProfile = null } = {}) {
+  const signals = {
+    ...detectSignals(subject ? `${subject}\n${message}` : message),
+    contactCount: conversation?.contactCount || 1
+  };
 
   try {
-    const content = await groqRequest({
-      model: "llama-3.3-70b-versatile",
+    const parsed = await structuredRequest({
       messages: [
         {
           role: "system",
           content: `You are an expert customer support triage specialist. Analyze messages to determine urgency level.
 
-Consider these factors:
-1. **Severity**: Is this a critical issue (outage, security, data loss) or minor inconvenience?
-2. **Scope**: Does it affect one user, a team, or the entire organization?
-3. **Business Impact**: Could this cause revenue loss, legal issues, or reputational damage?
-4. **Time Sensitivity**: Is there a deadline or time-critical element?
-5. **Customer Sentiment**: Is the customer distressed, frustrated, or calm?
-6. **Blockers**: Is the customer completely blocked from using the product?
+${UNTRUSTED_CONTENT_RULE}
+
+${URGENCY_FACTORS}
 
 Return a JSON object with:
 - "level": "High", "Medium", or "Low"
 - "score": number from 0-100
 - "reasoning": brief explanation (2-3 sentences max)
 
-High (70-100): Critical issues, outages, security concerns, blocked users, significant business impact
-Medium (30-69): Important but not critical, partial functionality loss, frustrated but not blocked
-Low (0-29): General inquiries, feature requests, positive feedback, minor issues`
+${URGENCY_LEVEL_GUIDE}${examples.length > 0 ? `
+
+Support agents corrected the urgency of these past messages. Calibrate similar messages to match:
+${formatUrgencyExamples(examples)}` : ''}${similarExamples.length > 0 ? `
+
+Similar previously triaged messages, for consistency:
+${formatUrgencyExamples(similarExamples)}` : ''}${incident ? `
+
+${formatIncidentContext(incident)}` : ''}${conversation ? `
+
+${formatConversationContext(conversation)} An issue still unresolved after earlier contacts is more urgent than the same message sent for the first time.` : ''}${customerProfile ? `
+
+${formatCustomerProfileContext(customerProfile)}` : ''}`
         },
         {
           role: "user",
           content: `Analyze urgency for this customer message${category ? ` (Category: ${category})` : ''}:
 
-"${message}"
+${wrapCustomerMessage(message, subject)}
 
 Detected signals:
 - Critical keywords found: ${signals.hasCriticalKeyword}
@@ -102,30 +141,27 @@ Detected signals:
 - Business impact mentioned: ${signals.hasBusinessImpact}
 - Negative sentiment: ${signals.hasNegativeSentiment}
 - Positive sentiment: ${signals.hasPositiveSentiment}
+- Contacts from this customer: ${signals.contactCount}
 
 Return JSON only.`
         }
       ],
       temperature: 0.3,
-      max_tokens: 300
-    }, signal);
-
-    const parsed = parseJsonResponse(content);
-    if (parsed) {
-      return {
-        level: parsed.level || "Medium",
-        score: parsed.score || 50,
-        reasoning: parsed.reasoning || "Unable to determine detailed reasoning.",
-        signals
-      };
-    }
-
-    // Fallback if JSON parsing fails
-    return getFallbackUrgency(message, category, signals);
+      max_tokens: 300,
+      meter,
+      onToken: onPartial && ((text) => onPartial(readPartialFields(text, ['reasoning'])))
+    }, URGENCY_SCHEMA, signal);
+
+    return {
+      level: parsed.level,
+      score: Math.round(parsed.score),
+      reasoning: parsed.reasoning,
+      signals
+    };
 
   } catch (error) {
-    console.warn('Groq API failed for urgency scoring, using fallback:', error.message);
-    return getFallbackUrgency(message, category, signals);
+    console.warn('LLM API failed for urgency scoring, using fallback:', error.message);
+    return { ...getFallbackUrgency(message, category, signals, incident, conversation, customerProfile), fallback: true };
   }
 }
 
@@ -133,7 +169,7 @@ Return JSON only.`
  * Fallback urgency calculation when API is unavailable
  * Uses intelligent rule-based scoring that considers context
  */
-function getFallbackUrgency(message, category, signals) {
+export function getFallbackUrgency(message, category = null, signals = detectSignals(message), incident = null, conversation = null, customerProfile = null) {
   let score = 50;
   const reasons = [];
 
@@ -161,6 +197,25 @@ function getFallbackUrgency(message, category, signals) {
     reasons.push("Customer expressing frustration or dissatisfaction");
   }
 
+  // Part of an ongoing spike of similar technical problems
+  if (isRelatedToIncident(message, incident)) {
+    score += 20;
+    reasons.push("Message matches a possible ongoing incident");
+  }
+
+  // Still writing in after earlier contacts; each one adds up to a cap
+  if (conversation?.contactCount > 1) {
+    score += Math.min(20, (conversation.contactCount - 1) * 10);
+    reasons.push(`Contact #${conversation.contactCount} from this customer about an unresolved issue`);
+  }
+
+  // Key accounts and upcoming renewals
+  const customer = customerProfile ? assessCustomerProfile(customerProfile) : null;
+  if (customer?.reason) {
+    score += customer.urgencyBonus;
+    reasons.push(customer.reason);
+  }
+
   // Category-based adjustments
   if (category === "Technical Problem") {
     score += 10;
@@ -0,0 +1,54 @@
+/**
+ * Usage Meter - counts LLM calls and tokens for one analysis run
+ * Pass a meter in the request options (`meter`) and groqRequest records every call to it.
+ * Providers that don't report usage (mock, fixture replay) get an estimate of ~4 characters per token.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Rough token count for text when the provider doesn't report one
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Create a meter
+ *
+ * @returns {{record: function, summary: function}}
+ */
+export function createUsageMeter() {
+  const totals = { calls: 0, promptTokens: 0, completionTokens: 0, estimated: false };
+
+  return {
+    /**
+     * Record one completed call
+     *
+     * @param {object} call
+     * @param {Array} call.messages - Prompt messages sent
+     * @param {string} call.content - Response text
+     * @param {object|null} call.usage - { promptTokens, completionTokens } from the provider, if reported
+     */
+    record({ messages, content, usage }) {
+      totals.calls++;
+      if (usage) {
+        totals.promptTokens += usage.promptTokens;
+        totals.completionTokens += usage.completionTokens;
+      } else {
+        totals.promptTokens += estimateTokens(messages.map(message => message.content).join('\n'));
+        totals.completionTokens += estimateTokens(content);
+        totals.estimated = true;
+      }
+    },
+
+    /**
+     * Totals so far
+     *
+     * @returns {{calls: number, promptTokens: number, completionTokens: number, totalTokens: number, estimated: boolean}}
+     */
+    summary() {
+      return { ...totals, totalTokens: totals.promptTokens + totals.completionTokens };
+    }
+  };
+}
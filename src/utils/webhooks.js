@@ -0,0 +1,432 @@
+import { readJson, writeJson } from './storage.js';
+import { createEntryId } from './historyStore.js';
+import { sleep, isRetryable, getRetryAfterMs } from './apiClient.js';
+import { formatCategoryLabel } from './taxonomy.js';
+import { truncate } from './text.js';
+import { redactDeep } from './redaction.js';
+
+/**
+ * Outbound Webhooks - notify other tools when an analysis escalates, is High urgency or
+ * matches a category
+ * Each webhook has its own URL, payload format and signing secret. Deliveries are retried
+ * with backoff and recorded in a delivery log shown on the Settings page. Unless a webhook
+ * opts out (redactPii: false), personal data in its payload is replaced by placeholders.
+ *
+ * Requests are signed with HMAC-SHA256 over `${timestamp}.${body}`:
+ *   X-Triage-Timestamp: <unix seconds>
+ *   X-Triage-Signature: sha256=<hex digest>
+ * In the browser, deliveries go through the API server's /api/webhooks/deliver relay, since
+ * Slack and Teams endpoints don't accept cross-origin requests. The relay only posts to
+ * webhooks the server knows, so saved webhooks are synced to it (syncWebhooks).
+ * In Node (the API server), deliveries are posted directly after the delivery guard has
+ * checked the URL (setDeliveryGuard).
+ */
+
+const WEBHOOKS_KEY = 'webhooks';
+const DELIVERIES_KEY = 'webhookDeliveries';
+const RELAY_URL = '/api/webhooks/deliver';
+const SYNC_URL = '/api/webhooks';
+
+// Configuration
+const CONFIG = {
+  timeout: 10000,       // 10 second timeout per attempt
+  maxAttempts: 4,       // First try plus three retries
+  retryDelay: 1000,     // 1 second initial delay
+  retryBackoff: 2,      // Exponential backoff multiplier
+  maxLogEntries: 200    // Oldest deliveries are dropped beyond this
+};
+
+export const WEBHOOK_EVENTS = {
+  escalation: { label: 'Escalation', description: 'The recommendation says to escalate' },
+  'high-urgency': { label: 'High urgency', description: 'Urgency is scored High' },
+  category: { label: 'Category match', description: 'The message has one of the selected categories' }
+};
+
+export const PAYLOAD_FORMATS = {
+  generic: 'Generic JSON',
+  slack: 'Slack blocks',
+  teams: 'Teams card'
+};
+
+const listeners = new Set();
+let deliveryGuard = null;
+
+function normalizeWebhook(webhook) {
+  return {
+    id: webhook.id || createEntryId(),
+    name: String(webhook.name || '').trim(),
+    url: String(webhook.url || '').trim(),
+    enabled: webhook.enabled !== false,
+    events: (webhook.events || []).filter(event => WEBHOOK_EVENTS[event]),
+    categories: (webhook.categories || []).filter(Boolean),
+    format: PAYLOAD_FORMATS[webhook.format] ? webhook.format : 'generic',
+    secret: String(webhook.secret || ''),
+    // Webhooks saved before the option existed redact too
+    redactPii: webhook.redactPii !== false
+  };
+}
+
+/**
+ * Check webhooks for problems
+ *
+ * @returns {string[]} - Human-readable errors; empty if valid
+ */
+export function validateWebhooks(webhooks) {
+  if (!Array.isArray(webhooks)) {
+    return ['Webhooks must be a list'];
+  }
+
+  const errors = [];
+  webhooks.forEach((webhook, index) => {
+    const name = String(webhook.name || '').trim() || `Webhook ${index + 1}`;
+    let url = null;
+    try {
+      url = new URL(String(webhook.url || '').trim());
+    } catch {
+      // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push(`${name} needs an http(s) URL`);
+    }
+    if (!webhook.events?.length) {
+      errors.push(`${name} needs at least one event`);
+    }
+    if (webhook.events?.includes('category') && !webhook.categories?.length) {
+      errors.push(`${name} needs at least one category for the category match event`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Get the saved webhooks
+ */
+export function getWebhooks() {
+  const saved = readJson(WEBHOOKS_KEY, []);
+  return Array.isArray(saved) ? saved.map(normalizeWebhook) : [];
+}
+
+/**
+ * Save the webhook list
+ *
+ * @throws {Error} if any webhook is invalid
+ */
+export function saveWebhooks(webhooks) {
+  const errors = validateWebhooks(webhooks);
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+  const normalized = webhooks.map(normalizeWebhook);
+  writeJson(WEBHOOKS_KEY, normalized);
+  return normalized;
+}
+
+/**
+ * Check URLs before they are posted to directly; the guard throws to refuse one
+ * The API server uses it to keep deliveries off loopback and private addresses.
+ *
+ * @param {function|null} guard - async (url) => void
+ */
+export function setDeliveryGuard(guard) {
+  deliveryGuard = guard;
+}
+
+/**
+ * Send the saved webhooks to the API server, for its relay and its own deliveries
+ *
+ * @throws {Error} if the server is unreachable or rejects the list
+ */
+export async function syncWebhooks(webhooks = getWebhooks()) {
+  const response = await fetch(SYNC_URL, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ webhooks })
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw new Error(body?.error?.message || `HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Events a result triggers for a webhook
+ * Category matches use "Category" or "Category › Subcategory" labels, against primary and
+ * secondary labels alike.
+ *
+ * @returns {string[]} - Keys of WEBHOOK_EVENTS, empty if the webhook shouldn't fire
+ */
+export function matchWebhookEvents(webhook, result) {
+  const labels = [
+    { category: result.category, subcategory: result.subcategory || null },
+    ...(result.secondaryCategories || [])
+  ];
+  const matchesCategory = webhook.categories.some(label =>
+    labels.some(({ category, subcategory }) =>
+      label === category || label === formatCategoryLabel(category, subcategory || null)
+    )
+  );
+
+  return webhook.events.filter(event =>
+    (event === 'escalation' && result.escalate) ||
+    (event === 'high-urgency' && result.urgency === 'High') ||
+    (event === 'category' && matchesCategory)
+  );
+}
+
+/**
+ * Request body for a webhook's payload format
+ */
+export function buildPayload(format, events, result) {
+  const label = formatCategoryLabel(result.category, result.subcategory || null);
+  const reasons = events.map(event => WEBHOOK_EVENTS[event].label).join(', ');
+  const summary = `${result.escalate ? '⚠️ Escalation: ' : ''}${label} message, ${result.urgency} urgency (${result.urgencyScore}/100)`;
+  const excerpt = truncate(result.message, 300);
+
+  if (format === 'slack') {
+    return {
+      text: summary,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: summary.slice(0, 150) } },
+        { type: 'section', text: { type: 'mrkdwn', text: `>${excerpt.replace(/\n/g, '\n>')}` } },
+        {
+          type: 'section',
+          fields: [
+            { type: 'mrkdwn', text: `*Category*\n${label}` },
+            { type: 'mrkdwn', text: `*Urgency*\n${result.urgency} (${result.urgencyScore}/100)` },
+            ...(result.escalate ? [{ type: 'mrkdwn', text: `*Escalation*\n${result.escalateReason || 'Yes'}` }] : [])
+          ]
+        },
+        { type: 'section', text: { type: 'mrkdwn', text: `*Recommended action*\n${result.recommendedAction}` } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `Triggered by: ${reasons}` }] }
+      ]
+    };
+  }
+
+  if (format === 'teams') {
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            { type: 'TextBlock', text: summary, weight: 'Bolder', size: 'Medium', wrap: true },
+            { type: 'TextBlock', text: excerpt, isSubtle: true, wrap: true },
+            {
+              type: 'FactSet',
+              facts: [
+                { title: 'Category', value: label },
+                { title: 'Urgency', value: `${result.urgency} (${result.urgencyScore}/100)` },
+                ...(result.escalate ? [{ title: 'Escalation', value: result.escalateReason || 'Yes' }] : []),
+                { title: 'Triggered by', value: reasons }
+              ]
+            },
+            { type: 'TextBlock', text: `**Recommended action:** ${result.recommendedAction}`, wrap: true }
+          ]
+        }
+      }]
+    };
+  }
+
+  return {
+    events,
+    analysis: {
+      id: result.id,
+      message: result.message,
+      category: result.category,
+      subcategory: result.subcategory || null,
+      urgency: result.urgency,
+      urgencyScore: result.urgencyScore,
+      escalate: result.escalate,
+      escalateReason: result.escalateReason || null,
+      recommendedAction: result.recommendedAction,
+      reasoning: result.reasoning,
+      timestamp: result.timestamp
+    }
+  };
+}
+
+/**
+ * HMAC-SHA256 of `${timestamp}.${body}`, hex-encoded
+ */
+export async function signPayload(secret, timestamp, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Delivery log, newest first
+ */
+export function getDeliveryLog() {
+  const log = readJson(DELIVERIES_KEY, []);
+  return Array.isArray(log) ? log : [];
+}
+
+export function clearDeliveryLog() {
+  writeJson(DELIVERIES_KEY, []);
+  notify();
+}
+
+/**
+ * Receive the delivery log whenever a delivery is added or updated
+ *
+ * @returns {function} - Unsubscribe
+ */
+export function subscribeToDeliveries(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notify() {
+  const log = getDeliveryLog();
+  listeners.forEach(listener => listener(log));
+}
+
+function saveDelivery(delivery) {
+  const log = getDeliveryLog().filter(entry => entry.id !== delivery.id);
+  writeJson(DELIVERIES_KEY, [delivery, ...log].slice(0, CONFIG.maxLogEntries));
+  notify();
+}
+
+/**
+ * POST once, directly in Node or through the API server's relay in the browser
+ *
+ * @throws {Error} with .status and .headers for HTTP errors
+ */
+async function post(url, headers, body) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
+
+  try {
+    const relayed = typeof window !== 'undefined';
+    if (!relayed && deliveryGuard) await deliveryGuard(url);
+    const response = relayed
+      ? await fetch(RELAY_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url, headers, body }),
+        signal: controller.signal
+      })
+      : await fetch(url, { method: 'POST', headers, body, redirect: 'manual', signal: controller.signal });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+    return response.status;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`No response within ${CONFIG.timeout / 1000}s`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Deliver one result to one webhook, retrying with backoff
+ * Every attempt is recorded in the delivery log.
+ *
+ * @param {object} webhook - Saved webhook
+ * @param {string[]} events - Events that triggered the delivery
+ * @param {object} result - Analysis result, in the shape saved to history
+ * @returns {Promise<object>} - The final delivery log entry
+ */
+export async function deliverWebhook(webhook, events, result) {
+  const body = JSON.stringify(buildPayload(webhook.format, events, webhook.redactPii ? redactDeep(result) : result));
+  const delivery = {
+    id: createEntryId(),
+    webhookId: webhook.id,
+    webhookName: webhook.name || webhook.url,
+    url: webhook.url,
+    events,
+    entryId: result.id,
+    status: 'pending',
+    attempts: [],
+    createdAt: new Date().toISOString()
+  };
+  saveDelivery(delivery);
+
+  for (let attempt = 1; attempt <= CONFIG.maxAttempts; attempt++) {
+    // Signed per attempt so receivers can reject stale timestamps
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Triage-Event': events.join(','),
+      'X-Triage-Delivery': delivery.id,
+      'X-Triage-Timestamp': timestamp,
+      ...(webhook.secret ? { 'X-Triage-Signature': `sha256=${await signPayload(webhook.secret, timestamp, body)}` } : {})
+    };
+
+    try {
+      const status = await post(webhook.url, headers, body);
+      delivery.attempts.push({ at: new Date().toISOString(), status, error: null });
+      delivery.status = 'delivered';
+      saveDelivery(delivery);
+      return delivery;
+    } catch (error) {
+      delivery.attempts.push({ at: new Date().toISOString(), status: error.status || null, error: error.message });
+
+      if (!isRetryable(error) || attempt === CONFIG.maxAttempts) {
+        delivery.status = 'failed';
+        saveDelivery(delivery);
+        return delivery;
+      }
+
+      saveDelivery(delivery);
+      const backoff = CONFIG.retryDelay * Math.pow(CONFIG.retryBackoff, attempt - 1);
+      await sleep(Math.max(backoff, getRetryAfterMs(error) ?? 0));
+    }
+  }
+  return delivery;
+}
+
+/**
+ * Fire every enabled webhook whose events match a result
+ * Runs in the background; failures end up in the delivery log, never in the caller.
+ *
+ * @param {object|object[]} results - Analysis result(s), in the shape saved to history
+ * @returns {Promise<object[]>} - Delivery log entries
+ */
+export async function dispatchWebhooks(results) {
+  const list = Array.isArray(results) ? results : [results];
+  const webhooks = getWebhooks().filter(webhook => webhook.enabled);
+
+  const deliveries = list.flatMap(result => webhooks.map(webhook => {
+    const events = matchWebhookEvents(webhook, result);
+    return events.length > 0 ? deliverWebhook(webhook, events, result) : null;
+  })).filter(Boolean);
+
+  return Promise.all(deliveries.map(delivery => delivery.catch(error => {
+    console.warn('Webhook delivery failed:', error.message);
+    return null;
+  })));
+}
+
+/**
+ * Send a sample escalation to a webhook, ignoring its event filters
+ */
+export function sendTestWebhook(webhook) {
+  const sample = {
+    id: 'test',
+    message: 'Test delivery: our production dashboard has been down for an hour and customers cannot log in.',
+    category: 'Technical Problem',
+    subcategory: 'Outage',
+    secondaryCategories: [],
+    urgency: 'High',
+    urgencyScore: 92,
+    escalate: true,
+    escalateReason: 'Production outage affecting customers',
+    recommendedAction: 'This is a test delivery from the triage app. No action is needed.',
+    reasoning: 'Test delivery',
+    timestamp: new Date().toISOString()
+  };
+  return deliverWebhook(normalizeWebhook(webhook), webhook.events?.length ? webhook.events : ['escalation'], sample);
+}
@@ -0,0 +1,67 @@
+import { test, before, after, beforeEach } from 'node:test'
+import { createServer } from 'node:http'
+import assert from 'node:assert/strict'
+import { configureProvider } from '../src/utils/llmProviders.js'
+import { setStorageBackend, createMemoryStorage } from '../src/utils/storage.js'
+import { getCacheKey } from '../src/utils/analysisCache.js'
+import { getTaxonomy, saveTaxonomy } from '../src/utils/taxonomy.js'
+
+// Stands in for the API server's /api/health
+let serverModel = 'llama-3.3-70b-versatile'
+let healthServer
+let healthUrl
+
+before(async () => {
+  healthServer = createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify({ status: 'ok', provider: 'groq', model: serverModel }))
+  })
+  await new Promise(resolve => healthServer.listen(0, '127.0.0.1', resolve))
+  healthUrl = `http://127.0.0.1:${healthServer.address().port}/api`
+})
+
+after(() => {
+  configureProvider({})
+  healthServer.close()
+})
+
+beforeEach(() => {
+  setStorageBackend(createMemoryStorage())
+})
+
+test('keys for the proxy provider include the API server\'s model', async () => {
+  configureProvider({ provider: 'proxy', baseUrl: healthUrl })
+  const first = await getCacheKey('The app is down', 'split')
+  assert.equal(await getCacheKey('The  app is down ', 'split'), first)
+
+  serverModel = 'llama-3.1-8b-instant'
+  configureProvider({ provider: 'proxy', baseUrl: healthUrl })
+  assert.notEqual(await getCacheKey('The app is down', 'split'), first)
+})
+
+test('no key when the API server can\'t be reached', async () => {
+  configureProvider({ provider: 'proxy', baseUrl: 'http://127.0.0.1:9/api' })
+  assert.equal(await getCacheKey('The app is down', 'split'), null)
+})
+
+test('keys differ by provider and model', async () => {
+  configureProvider({ provider: 'mock' })
+  const mock = await getCacheKey('The app is down', 'split')
+  configureProvider({ provider: 'mock', model: 'other-model' })
+  assert.notEqual(await getCacheKey('The app is down', 'split'), mock)
+})
+
+test('editing any part of the taxonomy changes the key', async () => {
+  configureProvider({ provider: 'mock' })
+  const original = await getCacheKey('The app is down', 'split')
+
+  const taxonomy = getTaxonomy()
+  taxonomy[0].subcategories[0].keywords.push('brownout')
+  saveTaxonomy(taxonomy)
+  const withKeyword = await getCacheKey('The app is down', 'split')
+  assert.notEqual(withKeyword, original)
+
+  taxonomy[0].description += ' Includes partial outages.'
+  saveTaxonomy(taxonomy)
+  assert.notEqual(await getCacheKey('The app is down', 'split'), withKeyword)
+})
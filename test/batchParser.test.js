@@ -0,0 +1,71 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseCsv, parseBatchFile, MAX_BATCH_SIZE } from '../src/utils/batchParser.js'
+
+test('parseCsv handles quotes, escaped quotes, embedded newlines and CRLF', () => {
+  const csv = 'message,customer_id\r\n"Hello, world",42\r\n"She said ""hi""\nthen left",\r\n\r\nplain,7'
+  assert.deepEqual(parseCsv(csv), [
+    ['message', 'customer_id'],
+    ['Hello, world', '42'],
+    ['She said "hi"\nthen left', ''],
+    ['plain', '7']
+  ])
+})
+
+test('parseCsv keeps a last row without a trailing newline and drops blank lines', () => {
+  assert.deepEqual(parseCsv('a,b\n\n  \nc,d'), [['a', 'b'], ['c', 'd']])
+  assert.deepEqual(parseCsv(''), [])
+})
+
+test('CSV files map header columns onto batch items', () => {
+  const { format, items } = parseBatchFile('Text,Customer_ID,thread\n"Refund, please",acme,t-1\n,acme,\n', 'inbox.csv')
+
+  assert.equal(format, 'csv')
+  assert.deepEqual(items.map(({ id, message, customerId, threadId, error }) => ({ id, message, customerId, threadId, error })), [
+    { id: '1', message: 'Refund, please', customerId: 'acme', threadId: 't-1', error: null },
+    { id: '2', message: '', customerId: 'acme', threadId: null, error: 'No message text found' }
+  ])
+})
+
+test('CSV files without a known header use the first column of every row', () => {
+  const { items } = parseBatchFile('The app is down,extra\nCharged twice,extra\n', 'export.csv')
+  assert.deepEqual(items.map(item => item.message), ['The app is down', 'Charged twice'])
+})
+
+test('JSON and NDJSON files are detected from their content', () => {
+  const json = parseBatchFile(JSON.stringify({ testMessages: [{ id: 7, title: 'Outage', message: 'Down again' }] }))
+  assert.equal(json.format, 'json')
+  assert.equal(json.items[0].sourceId, 7)
+  assert.equal(json.items[0].title, 'Outage')
+
+  const ndjson = parseBatchFile('{"text":"First","customerId":12}\n{"body":"Second"}\n')
+  assert.equal(ndjson.format, 'ndjson')
+  assert.deepEqual(ndjson.items.map(item => [item.message, item.customerId]), [['First', '12'], ['Second', null]])
+
+  assert.throws(() => parseBatchFile('{"text":"ok"}\n{broken\n', 'x.ndjson'), /Could not parse NDJSON file: Invalid JSON on line 2/)
+})
+
+test('mbox files become items with their sender and thread headers', () => {
+  const mbox = [
+    'From jane@example.com Tue Mar  3 10:15:00 2026',
+    'From: Jane <jane@example.com>',
+    'Subject: Export broken',
+    'Message-ID: <m1@example.com>',
+    '',
+    'The export fails.',
+    ''
+  ].join('\n')
+  const { format, items } = parseBatchFile(mbox, 'inbox.mbox')
+
+  assert.equal(format, 'mbox')
+  assert.equal(items[0].message, 'The export fails.')
+  assert.equal(items[0].sourceId, '<m1@example.com>')
+  assert.equal(items[0].email.sender, 'Jane <jane@example.com>')
+  assert.equal(items[0].email.subject, 'Export broken')
+})
+
+test('empty and oversized batches are refused', () => {
+  assert.throws(() => parseBatchFile('message\n', 'empty.csv'), /No messages found/)
+  const rows = Array.from({ length: MAX_BATCH_SIZE + 1 }, (_, i) => `Message ${i}`).join('\n')
+  assert.throws(() => parseBatchFile(`message\n${rows}`, 'big.csv'), new RegExp(`Batch contains ${MAX_BATCH_SIZE + 1} messages`))
+})
@@ -0,0 +1,29 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getCustomerId, findConversation, groupConversations } from '../src/utils/conversations.js'
+import { findCustomerProfile, normalizeProfile } from '../src/utils/customerProfiles.js'
+
+test('email customer IDs are keyed by a hash, not the address', () => {
+  const key = getCustomerId({ sender: 'Jane Doe <Jane.Doe@Example.com>' })
+
+  assert.match(key, /^email:[0-9a-f]{14}$/)
+  assert.equal(getCustomerId({ customerId: ' jane.doe@example.com ' }), key)
+  assert.equal(getCustomerId({ customerId: key }), key)
+  assert.equal(getCustomerId({ customerId: 'ACME-42' }), 'acme-42')
+  assert.equal(getCustomerId({ sender: 'Jane Doe <[EMAIL_1]>' }), null)
+})
+
+test('profiles and earlier contacts are found by the hashed key', () => {
+  const key = getCustomerId({ sender: 'jane.doe@example.com' })
+  const profiles = [normalizeProfile({ customerId: 'Jane.Doe@example.com', tier: 'Enterprise' })]
+  assert.equal(findCustomerProfile(key, profiles)?.tier, 'Enterprise')
+  assert.equal(findCustomerProfile('jane.doe@example.com', profiles)?.tier, 'Enterprise')
+
+  const history = [
+    { id: 'a', message: 'Invoice is wrong', customerId: key, timestamp: '2026-03-09T12:00:00Z' },
+    { id: 'b', message: 'Still wrong', customerId: getCustomerId({ customerId: 'other@example.com' }), timestamp: '2026-03-09T13:00:00Z' }
+  ]
+  const conversation = findConversation(history, { sender: 'Jane <jane.doe@example.com>' }, { now: new Date('2026-03-10T12:00:00Z') })
+  assert.deepEqual(conversation.turns.map(turn => turn.id), ['a'])
+  assert.deepEqual(groupConversations(history).map(group => group.customerId), [key, history[1].customerId])
+})
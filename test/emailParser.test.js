@@ -0,0 +1,132 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseEmail, parseEmails, splitMbox, detectEmailFormat, decodeHeaderValue, stripQuotedText, formatSender } from '../src/utils/emailParser.js'
+
+const lines = (...parts) => parts.join('\r\n')
+
+test('folded headers are joined and encoded words decoded', () => {
+  const email = parseEmail(lines(
+    'From: =?UTF-8?Q?Ren=C3=A9e_Dubois?= <Renee@Example.com>',
+    'Subject: =?UTF-8?B?UmVmdW5k?=',
+    ' =?ISO-8859-1?Q?_for_caf=E9?=',
+    'Date: Tue, 03 Mar 2026 10:15:00 +0100',
+    'Message-ID: <m2@example.com>',
+    'In-Reply-To: <m1@example.com>',
+    'References: <m0@example.com>',
+    '\t<m1@example.com>',
+    '',
+    'Still waiting on my refund.'
+  ))
+
+  assert.deepEqual(email.from, { name: 'Renée Dubois', address: 'renee@example.com' })
+  assert.equal(email.subject, 'Refund for café')
+  assert.equal(email.date, '2026-03-03T09:15:00.000Z')
+  assert.equal(email.messageId, '<m2@example.com>')
+  assert.equal(email.inReplyTo, '<m1@example.com>')
+  assert.deepEqual(email.references, ['<m0@example.com>', '<m1@example.com>'])
+  assert.equal(email.body, 'Still waiting on my refund.')
+  assert.equal(formatSender(email.from), 'Renée Dubois <renee@example.com>')
+})
+
+test('decodeHeaderValue leaves plain text alone', () => {
+  assert.equal(decodeHeaderValue('  Plain subject '), 'Plain subject')
+  assert.equal(decodeHeaderValue(undefined), '')
+})
+
+test('multipart emails use the quoted-printable plain part over the HTML part', () => {
+  const email = parseEmail(lines(
+    'From: jane@example.com',
+    'Subject: Invoice',
+    'Content-Type: multipart/alternative; boundary="b1"',
+    '',
+    '--b1',
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('<p>HTML version</p>').toString('base64'),
+    '--b1',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'The invoice total is 12 =E2=82=AC higher than the quote, and the line that=',
+    ' says caf=C3=A9 is wrong.',
+    '--b1--'
+  ))
+
+  // The soft line break (= at the end of a line) joins the two lines
+  assert.equal(email.body, 'The invoice total is 12 € higher than the quote, and the line that says café is wrong.')
+})
+
+test('HTML-only and base64 bodies are decoded, and attachments skipped', () => {
+  const email = parseEmail(lines(
+    'From: jane@example.com',
+    'Content-Type: multipart/mixed; boundary=outer',
+    '',
+    '--outer',
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('<div>Login fails &amp; the page <b>hangs</b></div><blockquote>old text</blockquote>').toString('base64'),
+    '--outer',
+    'Content-Type: text/plain',
+    'Content-Disposition: attachment; filename="log.txt"',
+    '',
+    'attachment contents',
+    '--outer--'
+  ))
+
+  assert.equal(email.body, 'Login fails & the page hangs')
+})
+
+test('quoted replies and signatures are stripped', () => {
+  const text = [
+    'The export is still broken.',
+    '',
+    'Thanks,',
+    'Jane',
+    '',
+    'On Mon, 2 Mar 2026 at 09:00, Support <support@example.com> wrote:',
+    '> Could you try again?'
+  ].join('\n')
+  assert.equal(stripQuotedText(text), 'The export is still broken.')
+  assert.equal(stripQuotedText('Help!\n-- \nJane Doe\nAcme Corp'), 'Help!')
+
+  // A reply with only quoted text keeps it
+  assert.equal(parseEmail('From: a@example.com\n\n> only a quote').body, '> only a quote')
+})
+
+test('mbox mailboxes split on From lines and unescape >From', () => {
+  const mbox = [
+    'From jane@example.com Tue Mar  3 10:15:00 2026',
+    'From: jane@example.com',
+    'Subject: First',
+    '',
+    'Line one',
+    '>From the start it failed',
+    '>>From here on quoted',
+    '',
+    'From bob@example.com Tue Mar  3 11:00:00 2026',
+    'From: bob@example.com',
+    'Subject: Second',
+    '',
+    'Second body',
+    ''
+  ].join('\n')
+
+  assert.equal(detectEmailFormat(mbox), 'mbox')
+  const messages = splitMbox(mbox)
+  assert.equal(messages.length, 2)
+  assert.ok(messages[0].startsWith('From: jane@example.com\n'))
+  assert.ok(messages[0].includes('\nFrom the start it failed\n>From here on quoted\n'))
+
+  const emails = parseEmails(mbox)
+  assert.deepEqual(emails.map(email => email.subject), ['First', 'Second'])
+  // The restored >From line still reads as quoted text in the body
+  assert.equal(emails[0].body, 'Line one\nFrom the start it failed')
+  assert.equal(emails[1].from.address, 'bob@example.com')
+})
+
+test('detectEmailFormat tells emails from other text', () => {
+  assert.equal(detectEmailFormat('\uFEFFReturn-Path: <a@example.com>\nFrom: a@example.com\n\nHi'), 'eml')
+  assert.equal(detectEmailFormat('message,customer_id\nHello,42'), null)
+})
@@ -0,0 +1,28 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { groupSimilar } from '../src/utils/duplicateDetector.js'
+import { groupConversations, getCustomerId } from '../src/utils/conversations.js'
+
+const ids = (groups) => groups.map(group => group.entries.map(entry => entry.id))
+
+test('groupSimilar clusters similar messages in input order', () => {
+  const groups = groupSimilar([
+    { id: 'a', message: 'The dashboard will not load after login' },
+    { id: 'b', message: 'How do I export invoices?' },
+    { id: 'c', message: 'The dashboard will not load after logging in' }
+  ])
+  assert.deepEqual(ids(groups), [['a', 'c'], ['b']])
+  assert.equal(groups[0].representative.id, 'a')
+  assert.equal(groups[0].count, 2)
+})
+
+test('groupConversations joins entries through shared customers and threads', () => {
+  const groups = groupConversations([
+    { id: 'a', customerId: 'acme' },
+    { id: 'b', threadId: 't-1' },
+    { id: 'c', customerId: 'ACME', threadId: 't-1' },
+    { id: 'd', sender: 'Bo <bo@example.com>' }
+  ])
+  assert.deepEqual(ids(groups), [['a', 'b', 'c'], ['d']])
+  assert.deepEqual(groups.map(group => group.customerId), ['acme', getCustomerId({ customerId: 'bo@example.com' })])
+})
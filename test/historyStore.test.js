@@ -0,0 +1,54 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setStorageBackend, createMemoryStorage } from '../src/utils/storage.js'
+import { updateSettings } from '../src/utils/settings.js'
+import { appendHistory, loadHistory } from '../src/utils/historyStore.js'
+import { saveCorrection } from '../src/utils/corrections.js'
+import { groupConversations } from '../src/utils/conversations.js'
+
+beforeEach(() => {
+  setStorageBackend(createMemoryStorage())
+})
+
+test('updates with redactHistory on return the caller\'s unredacted copy', () => {
+  updateSettings({ redactHistory: true })
+  const result = {
+    id: 'e1',
+    message: 'Please email me at jane.doe@example.com about the refund',
+    category: 'General Inquiry',
+    subcategory: null,
+    urgency: 'Low',
+    escalate: false,
+    timestamp: '2026-03-01T10:00:00.000Z'
+  }
+  appendHistory(result)
+
+  const updated = saveCorrection('e1', { category: 'Billing Issue', subcategory: null }, result)
+
+  assert.equal(updated.message, result.message)
+  assert.equal(updated.category, 'Billing Issue')
+  assert.deepEqual(updated.corrections, { category: { original: 'General Inquiry', corrected: 'Billing Issue' } })
+
+  const [stored] = loadHistory()
+  assert.ok(!stored.message.includes('jane.doe@example.com'))
+  assert.equal(stored.category, 'Billing Issue')
+})
+
+test('redacted history still groups email threads apart', () => {
+  updateSettings({ redactHistory: true })
+  const reply = (id, messageId, inReplyTo, timestamp) => ({
+    id,
+    message: 'Any update?',
+    email: { messageId, inReplyTo, references: inReplyTo ? [inReplyTo] : [] },
+    timestamp
+  })
+  appendHistory([
+    reply('a1', '<a1@mail.example.com>', null, '2026-03-01T10:00:00.000Z'),
+    reply('b1', '<b1@mail.example.com>', null, '2026-03-01T11:00:00.000Z'),
+    reply('a2', '<a2@mail.example.com>', '<a1@mail.example.com>', '2026-03-02T10:00:00.000Z'),
+    reply('b2', '<b2@mail.example.com>', '<b1@mail.example.com>', '2026-03-02T11:00:00.000Z')
+  ])
+
+  const groups = groupConversations(loadHistory())
+  assert.deepEqual(groups.map(group => group.entries.map(entry => entry.id)), [['a1', 'a2'], ['b1', 'b2']])
+})
@@ -0,0 +1,41 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setStorageBackend, createMemoryStorage } from '../src/utils/storage.js'
+import { updateSettings } from '../src/utils/settings.js'
+import { detectIncident, getIncidentCategory } from '../src/utils/incidentDetector.js'
+
+const now = new Date('2026-03-10T12:00:00Z')
+
+function spike(category) {
+  return [1, 2, 3].map(minutes => ({
+    id: `${category}-${minutes}`,
+    message: 'Checkout page returns an error',
+    category,
+    urgency: 'High',
+    timestamp: new Date(now.getTime() - minutes * 60000).toISOString()
+  }))
+}
+
+beforeEach(() => {
+  setStorageBackend(createMemoryStorage())
+})
+
+test('watches Technical Problem by default', () => {
+  assert.deepEqual(getIncidentCategory(), { category: 'Technical Problem', missing: null })
+  const incident = detectIncident(spike('Technical Problem'), { now })
+  assert.equal(incident.category, 'Technical Problem')
+  assert.equal(incident.count, 3)
+  assert.equal(detectIncident(spike('Billing Issue'), { now }), null)
+})
+
+test('watches the configured category', () => {
+  updateSettings({ incidentCategory: 'Billing Issue' })
+  assert.equal(detectIncident(spike('Billing Issue'), { now }).category, 'Billing Issue')
+  assert.equal(detectIncident(spike('Technical Problem'), { now }), null)
+})
+
+test('turns detection off when the category is not in the taxonomy', () => {
+  updateSettings({ incidentCategory: 'Outages' })
+  assert.deepEqual(getIncidentCategory(), { category: null, missing: 'Outages' })
+  assert.equal(detectIncident(spike('Technical Problem'), { now }), null)
+})
@@ -0,0 +1,71 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRedactor, redactText, redactDeep, describeRedactions } from '../src/utils/redaction.js'
+
+test('redacts each kind of personal data and secret', () => {
+  const cases = [
+    ['My key is sk-live-abcdefghijklmnop1234', 'My key is [API_KEY_1]'],
+    ['password: hunter2hunter2x', 'password: [API_KEY_1]'],
+    ['Write to jane.doe@example.com please', 'Write to [EMAIL_1] please'],
+    ['Pay into DE89 3704 0044 0532 0130 00 today', 'Pay into [IBAN_1] today'],
+    ['Card 4111 1111 1111 1111 was declined', 'Card [CARD_1] was declined'],
+    ['Call me on +1 415 555 0132', 'Call me on [PHONE_1]'],
+    ['Call me on (415) 555-0132', 'Call me on [PHONE_1]'],
+    ['Call me on 415-555-0132', 'Call me on [PHONE_1]'],
+    ['Call me on +4915112345678', 'Call me on [PHONE_1]'],
+    ['Ship it to 221 Baker Street, Apt 2', 'Ship it to [ADDRESS_1]']
+  ]
+  for (const [text, expected] of cases) {
+    assert.equal(redactText(text).text, expected, text)
+  }
+})
+
+test('leaves order, invoice and ticket numbers alone', () => {
+  const texts = [
+    'Order 123456789012 never arrived',
+    'Invoice #2023045678 is wrong',
+    'See invoice INV-555123456',
+    'Reference 4111111111111112 failed the checksum',
+    'Ticket 98765432 was closed on 2026-03-14'
+  ]
+  for (const text of texts) {
+    assert.deepEqual(redactText(text), { text, counts: {} }, text)
+  }
+})
+
+test('the same value gets the same placeholder and restores to the original', () => {
+  const redactor = createRedactor()
+  const first = redactor.redact('From a@example.com and b@example.com')
+  const second = redactor.redact('Again a@example.com')
+
+  assert.equal(first, 'From [EMAIL_1] and [EMAIL_2]')
+  assert.equal(second, 'Again [EMAIL_1]')
+  assert.deepEqual(redactor.counts, { EMAIL: 2 })
+  assert.equal(redactor.restore('Reply to [EMAIL_2], not [PHONE_9]'), 'Reply to b@example.com, not [PHONE_9]')
+})
+
+test('redactDeep redacts nested strings but keeps ids and timestamps', () => {
+  const entry = {
+    id: 'a@example.com',
+    customerId: 'a@example.com',
+    createdAt: '2026-03-01T10:00:00.000Z',
+    message: 'Hi, a@example.com here',
+    email: { from: 'Ann <a@example.com>' },
+    notes: ['Call +44 20 7946 0958'],
+    score: 42
+  }
+  assert.deepEqual(redactDeep(entry), {
+    id: 'a@example.com',
+    customerId: 'a@example.com',
+    createdAt: '2026-03-01T10:00:00.000Z',
+    message: 'Hi, [EMAIL_1] here',
+    email: { from: 'Ann <[EMAIL_1]>' },
+    notes: ['Call [PHONE_1]'],
+    score: 42
+  })
+})
+
+test('describeRedactions summarizes counts', () => {
+  assert.equal(describeRedactions({ EMAIL: 1, PHONE: 2 }), '1 email, 2 phone numbers')
+  assert.equal(describeRedactions(null), '')
+})
@@ -0,0 +1,309 @@
+import { test, before, after, beforeEach } from 'node:test'
+import { createServer as createHttpServer, request } from 'node:http'
+import assert from 'node:assert/strict'
+import { configureProvider, setMockResponder } from '../src/utils/llmProviders.js'
+import { setStorageBackend, createMemoryStorage } from '../src/utils/storage.js'
+import { appendHistory } from '../src/utils/historyStore.js'
+import { createServer } from '../server/app.js'
+import { assertPublicTarget } from '../server/webhookRelay.js'
+
+// Outage messages get a High, escalated Technical Problem; everything else a Medium billing question
+function respond(options) {
+  const outage = options.messages.some(message => message.role === 'user' && /outage|down/i.test(message.content))
+  return JSON.stringify({
+    category: outage ? 'Technical Problem' : 'Billing Issue',
+    subcategory: null,
+    confidence: 0.9,
+    secondaryCategories: [],
+    reasoning: 'Test responder.',
+    level: outage ? 'High' : 'Medium',
+    score: outage ? 90 : 50,
+    urgencyReasoning: 'Test responder.',
+    action: 'Reply to the customer.',
+    escalate: outage,
+    escalateReason: outage ? 'Production outage' : null
+  })
+}
+
+let server
+let baseUrl
+
+before(async () => {
+  configureProvider({ provider: 'mock' })
+  setMockResponder(respond)
+  // The webhook test's receiver listens on 127.0.0.1
+  server = createServer({ apiToken: 'test-token', allowPrivateWebhooks: true })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => {
+  setMockResponder(null)
+  configureProvider({})
+  server.close()
+})
+
+beforeEach(() => {
+  setStorageBackend(createMemoryStorage())
+})
+
+async function post(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+  return { status: response.status, body: await response.json() }
+}
+
+async function get(path) {
+  const response = await fetch(`${baseUrl}${path}`)
+  return { status: response.status, body: await response.json() }
+}
+
+// fetch won't send a made-up Host header, so requests with one go through node:http
+function getStatus(path, headers) {
+  return new Promise((resolve, reject) => {
+    request(`${baseUrl}${path}`, { headers }, response => {
+      response.resume()
+      resolve(response.statusCode)
+    }).on('error', reject).end()
+  })
+}
+
+test('POST /analyze returns the result and saves it to history', async () => {
+  const { status, body } = await post('/analyze', { message: 'Our production dashboard is down for everyone' })
+
+  assert.equal(status, 200)
+  assert.equal(body.category, 'Technical Problem')
+  assert.equal(body.urgency, 'High')
+  assert.equal(body.escalate, true)
+  assert.equal(typeof body.recommendedAction, 'string')
+
+  const history = await get('/history')
+  assert.equal(history.body.total, 1)
+  assert.equal(history.body.entries[0].id, body.id)
+})
+
+test('POST /analyze/batch keys results by item id', async () => {
+  const { status, body } = await post('/analyze/batch', {
+    messages: ['I was charged twice this month', { id: 'T-2', message: 'Total outage since this morning' }],
+    mode: 'combined'
+  })
+
+  assert.equal(status, 200)
+  assert.deepEqual(body.failures, [])
+  assert.deepEqual(body.results.map(({ id }) => id), ['1', 'T-2'])
+  assert.equal(body.results[0].result.category, 'Billing Issue')
+  assert.equal(body.results[1].result.category, 'Technical Problem')
+})
+
+test('API results fire the webhooks saved on the server', async () => {
+  let receiver
+  const delivered = new Promise(resolve => {
+    receiver = createHttpServer(async (req, res) => {
+      let body = ''
+      for await (const chunk of req) body += chunk
+      res.end('ok')
+      resolve({ headers: req.headers, body: JSON.parse(body) })
+    })
+  })
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve))
+
+  try {
+    const url = `http://127.0.0.1:${receiver.address().port}/hook`
+    const sync = await fetch(`${baseUrl}/api/webhooks`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'X-Triage-Token': 'test-token' },
+      body: JSON.stringify({ webhooks: [{ name: 'Escalations', url, events: ['escalation'] }] })
+    })
+    assert.equal(sync.status, 200)
+
+    const { body: result } = await post('/analyze', { message: 'Total outage since this morning, call me on +1 415 555 0132' })
+    const { headers, body } = await delivered
+    assert.equal(headers['x-triage-event'], 'escalation')
+    assert.deepEqual(body.events, ['escalation'])
+    assert.equal(body.analysis.id, result.id)
+    // Webhooks redact personal data unless they opt out
+    assert.equal(body.analysis.message, 'Total outage since this morning, call me on [PHONE_1]')
+  } finally {
+    receiver.close()
+  }
+})
+
+test('webhook routes need the API token', async () => {
+  for (const headers of [{}, { 'X-Triage-Token': 'wrong' }]) {
+    const sync = await fetch(`${baseUrl}/api/webhooks`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ webhooks: [] })
+    })
+    assert.equal(sync.status, 401)
+
+    const relay = await fetch(`${baseUrl}/api/webhooks/deliver`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ url: 'https://example.com/hook', headers: {}, body: '{}' })
+    })
+    assert.equal(relay.status, 401)
+  }
+})
+
+test('the relay passes back the receiver\'s status but not its body', async () => {
+  const receiver = createHttpServer((req, res) => {
+    res.writeHead(429, { 'Retry-After': '5' })
+    res.end('internal details')
+  })
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve))
+
+  try {
+    const url = `http://127.0.0.1:${receiver.address().port}/hook`
+    const headers = { 'Content-Type': 'application/json', 'X-Triage-Token': 'test-token' }
+    await fetch(`${baseUrl}/api/webhooks`, {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify({ webhooks: [{ name: 'Receiver', url, events: ['escalation'] }] })
+    })
+
+    const response = await fetch(`${baseUrl}/api/webhooks/deliver`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ url, headers: {}, body: '{}' })
+    })
+    assert.equal(response.status, 429)
+    assert.equal(response.headers.get('retry-after'), '5')
+    assert.equal(await response.text(), '')
+  } finally {
+    receiver.close()
+  }
+})
+
+test('webhooks on loopback, private and link-local addresses are refused', async () => {
+  const urls = ['http://169.254.169.254/latest/meta-data', 'http://10.0.0.5/hook', 'http://[::1]:8080/', 'http://localhost/hook']
+  for (const url of urls) {
+    await assert.rejects(assertPublicTarget(url), { status: 403 }, url)
+  }
+  await assertPublicTarget('https://93.184.215.14/hook')
+})
+
+test('GET /history filters, sorts newest first and pages', async () => {
+  appendHistory([
+    { id: 'a', message: 'Charged twice', category: 'Billing Issue', urgency: 'Medium', escalate: false, timestamp: '2026-03-01T10:00:00.000Z' },
+    { id: 'b', message: 'API is down', category: 'Technical Problem', urgency: 'High', escalate: true, timestamp: '2026-03-02T10:00:00.000Z' },
+    {
+      id: 'c',
+      message: 'Refund for the outage',
+      category: 'Billing Issue',
+      subcategory: 'Refund',
+      secondaryCategories: [{ category: 'Technical Problem', subcategory: 'Outage' }],
+      urgency: 'Low',
+      escalate: false,
+      timestamp: '2026-03-03T10:00:00.000Z'
+    }
+  ])
+  const ids = (response) => response.body.entries.map(entry => entry.id)
+
+  const all = await get('/history')
+  assert.equal(all.body.total, 3)
+  assert.deepEqual(ids(all), ['c', 'b', 'a'])
+
+  assert.deepEqual(ids(await get('/history?category=Billing%20Issue')), ['c', 'a'])
+  assert.deepEqual(ids(await get('/history?category=Technical%20Problem')), ['c', 'b'])
+  assert.deepEqual(ids(await get('/history?category=Billing%20Issue&subcategory=Refund')), ['c'])
+  assert.deepEqual(ids(await get('/history?urgency=High')), ['b'])
+  assert.deepEqual(ids(await get('/history?escalate=false')), ['c', 'a'])
+  assert.deepEqual(ids(await get('/history?from=2026-03-02&to=2026-03-02T23:59:59Z')), ['b'])
+
+  const page = await get('/history?limit=1&offset=1')
+  assert.equal(page.body.total, 3)
+  assert.equal(page.body.limit, 1)
+  assert.equal(page.body.offset, 1)
+  assert.deepEqual(ids(page), ['b'])
+})
+
+test('GET /stats counts the server history', async () => {
+  await post('/analyze', { message: 'I was charged twice this month' })
+  await post('/analyze', { message: 'Total outage since this morning' })
+
+  const { status, body } = await get('/stats')
+  assert.equal(status, 200)
+  assert.equal(body.total, 2)
+  assert.ok(body.analysisMetrics)
+})
+
+test('POST /analyze rejects invalid input with a 400', async () => {
+  const cases = [
+    [{}, '"message" must be a non-empty string'],
+    [{ message: '   ' }, '"message" must be a non-empty string'],
+    [{ message: 'x'.repeat(20001) }, '"message" must be at most 20000 characters'],
+    [{ message: 'Hello', mode: 'fast' }, '"mode" must be one of'],
+    [{ message: 'Hello', subject: 42 }, '"subject" must be a string'],
+    [{ message: 'Hello', customerId: {} }, '"customerId" must be a string'],
+    [{ message: 'Hello', customerProfile: { tier: 'Gold' } }, '"customerProfile" is invalid']
+  ]
+  for (const [body, message] of cases) {
+    const response = await post('/analyze', body)
+    assert.equal(response.status, 400, JSON.stringify(body).slice(0, 80))
+    assert.ok(response.body.error.message.startsWith(message), response.body.error.message)
+  }
+
+  const history = await get('/history')
+  assert.equal(history.body.total, 0)
+})
+
+test('POST /analyze/batch rejects invalid input with a 400', async () => {
+  const cases = [
+    [{}, '"messages" must be a non-empty array'],
+    [{ messages: [] }, '"messages" must be a non-empty array'],
+    [{ messages: ['ok', { id: 'T-2' }] }, '"messages[1].message" must be a non-empty string'],
+    [{ messages: Array(501).fill('Hello') }, 'Batch contains 501 messages'],
+    [{ messages: ['Hello'], mode: 'fast' }, '"mode" must be one of']
+  ]
+  for (const [body, message] of cases) {
+    const response = await post('/analyze/batch', body)
+    assert.equal(response.status, 400)
+    assert.ok(response.body.error.message.startsWith(message), response.body.error.message)
+  }
+})
+
+test('GET /history rejects invalid filters with a 400', async () => {
+  const cases = [
+    ['urgency=Urgent', '"urgency" must be one of'],
+    ['escalate=yes', '"escalate" must be true or false'],
+    ['subcategory=Outage', '"subcategory" requires "category"'],
+    ['from=yesterday', '"from" must be a date'],
+    ['limit=501', '"limit" must be a non-negative integer up to 500'],
+    ['offset=-1', '"offset" must be a non-negative integer']
+  ]
+  for (const [query, message] of cases) {
+    const response = await get(`/history?${query}`)
+    assert.equal(response.status, 400)
+    assert.ok(response.body.error.message.startsWith(message), response.body.error.message)
+  }
+})
+
+test('only this server\'s loopback host and the app\'s origins are accepted', async () => {
+  const { port } = server.address()
+
+  assert.equal(await getStatus('/stats', { Host: `localhost:${port}` }), 200)
+  assert.equal(await getStatus('/stats', { Host: `localhost:${port}`, Origin: 'http://localhost:5173' }), 200)
+  assert.equal(await getStatus('/stats', { Host: `[::1]:${port}`, Origin: 'http://127.0.0.1:4173' }), 200)
+
+  // DNS rebinding: the attacker's name resolves to 127.0.0.1 but is still the Host
+  assert.equal(await getStatus('/stats', { Host: `attacker.example:${port}`, Origin: `http://attacker.example:${port}` }), 403)
+  assert.equal(await getStatus('/stats', { Host: `localhost:${port + 1}` }), 403)
+  assert.equal(await getStatus('/stats', { Host: `localhost:${port}`, Origin: 'http://localhost:3000' }), 403)
+  assert.equal(await getStatus('/stats', { Host: `localhost:${port}`, Origin: 'https://evil.example' }), 403)
+})
+
+test('POST bodies must be JSON', async () => {
+  const response = await fetch(`${baseUrl}/analyze`, { method: 'POST', body: 'message=Hello' })
+  assert.equal(response.status, 415)
+
+  const invalid = await fetch(`${baseUrl}/analyze`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"message":'
+  })
+  assert.equal(invalid.status, 400)
+})
@@ -1,7 +1,80 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFile, writeFile, mkdir } from 'node:fs/promises'
+import { dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { API_TOKEN_HEADER, readApiToken } from './server/apiToken.js'
+
+const FIXTURES_FILE = fileURLToPath(new URL('./fixtures/llm-fixtures.json', import.meta.url))
+
+async function readFixtures() {
+  try {
+    return JSON.parse(await readFile(FIXTURES_FILE, 'utf8'))
+  } catch {
+    return {}
+  }
+}
+
+// Serves and records LLM fixtures for VITE_LLM_FIXTURE_MODE (see src/utils/llmFixtures.js)
+function llmFixturesPlugin() {
+  // Serialize writes so concurrent recordings don't overwrite each other
+  let writeQueue = Promise.resolve()
+
+  return {
+    name: 'llm-fixtures',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use('/__llm-fixtures', async (req, res) => {
+        if (req.method === 'POST') {
+          let body = ''
+          for await (const chunk of req) body += chunk
+          try {
+            const { key, entry } = JSON.parse(body)
+            const write = writeQueue.then(async () => {
+              const fixtures = await readFixtures()
+              fixtures[key] = entry
+              await mkdir(dirname(FIXTURES_FILE), { recursive: true })
+              await writeFile(FIXTURES_FILE, JSON.stringify(fixtures, null, 2) + '\n')
+            })
+            writeQueue = write.catch(() => {})
+            await write
+            res.statusCode = 204
+          } catch (error) {
+            res.statusCode = 400
+            res.end(error.message)
+            return
+          }
+          res.end()
+          return
+        }
+
+        res.setHeader('Content-Type', 'application/json')
+        res.end(JSON.stringify(await readFixtures()))
+      })
+    },
+  }
+}
+
+// The triage API server (npm run server) holds the LLM API key; the app calls it under /api.
+// The proxy adds the server's API token (TRIAGE_API_TOKEN, else the file the server creates),
+// read per request so it's found even when the server starts after Vite.
+const apiProxy = {
+  '/api': {
+    target: process.env.TRIAGE_API_URL || 'http://localhost:8787',
+    // The server only answers to its own host name and port
+    changeOrigin: true,
+    configure: (proxy) => {
+      proxy.on('proxyReq', (proxyReq) => {
+        const token = process.env.TRIAGE_API_TOKEN || readApiToken()
+        if (token) proxyReq.setHeader(API_TOKEN_HEADER, token)
+      })
+    },
+  },
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), llmFixturesPlugin()],
+  server: { proxy: apiProxy },
+  preview: { proxy: apiProxy },
 })